@@ -12,9 +12,17 @@ import VideoGridManager from './modules/video-grid.js';
 import SelectionPanelManager from './modules/selection-panel.js';
 import UIUtils from './modules/ui-utils.js';
 import EventHandlers from './modules/event-handlers.js';
+import PresetPanelManager from './modules/preset-panel.js';
+import SortControlManager from './modules/sort-control.js';
+import TableViewManager from './modules/table-view.js';
 import RobotAliasManager from './modules/robot-aliases.js';
 import ErrorNotifier from './modules/error-notifier.js';
 import DownloadManager from './modules/download-manager.js';
+import toastManager from './modules/toast-manager.js';
+import catalogClient from './modules/@catalog/index.js';
+import { parseSearchQuery } from './modules/@search/index.js';
+import { DEFAULT_SORT } from './modules/dataset-sort.js';
+import { createViewState, encodeViewState, decodeViewState, hasViewState, encodeCart, decodeCart } from './modules/view-state.js';
 
 /**
  * Main Application Class
@@ -44,6 +52,27 @@ class Application {
         
         /** @type {EventHandlers|null} */
         this.eventHandlers = null;
+        
+        /** @type {PresetPanelManager|null} */
+        this.presetPanelManager = null;
+        
+        /** @type {SortControlManager|null} */
+        this.sortControlManager = null;
+        
+        /** @type {TableViewManager|null} */
+        this.tableViewManager = null;
+        
+        /** @type {number} Sequence number of the latest filter query */
+        this.filterRequestId = 0;
+        
+        /** @type {boolean} True while a catalog refresh is scheduled for the next frame */
+        this.catalogRefreshPending = false;
+        
+        /** @type {boolean} Whether view changes are written to the URL hash (after the initial link is restored) */
+        this.urlStateReady = false;
+        
+        /** @type {string} Hash of the last view state written or restored (without '#') */
+        this.lastViewHash = '';
     }
     
     /**
@@ -51,45 +80,89 @@ class Application {
      */
     async init() {
         try {
-            // Show loading overlay
-            const loadingOverlay = document.getElementById('loadingOverlay');
-            loadingOverlay.classList.remove('hidden');
-            
             // Initialize configuration
             this.config = ConfigManager.getConfig();
             
             // Load robot alias map (non-blocking for core data, but awaited before UI init)
             await RobotAliasManager.load(this.config);
+            // Keyword search runs in the catalog worker, which needs the aliases too
+            catalogClient.setAliasMap(RobotAliasManager.aliasMap);
             
-            // Load datasets
-            const loadingProgress = document.getElementById('loadingProgress');
-            const loadingBar = document.getElementById('loadingBar');
-            await dataManager.loadDatasets(loadingProgress, loadingBar);
-            
-            // Build dataset index
-            dataManager.buildDatasetIndex();
-            
-            // Initialize managers
+            // Initialize managers with the (still empty) catalog; datasets are rendered as they arrive
             this.initializeManagers();
             
             // Build filter UI
-            this.filterManager.buildFilterGroups();
+            this.filterManager.renderFilterGroups();
             
             // Bind all events
             this.eventHandlers.bindEvents();
+            this.presetPanelManager.bindEvents();
+            this.sortControlManager.bindEvents();
+            this.tableViewManager.bindEvents();
+            this.bindViewStateEvents();
+            
+            // Filters, search, sort, grouping and hub from a shared link apply before the first query;
+            // without a sort or grouping in the link, the last one chosen in this browser is used
+            const linkState = hasViewState(location.hash) ? decodeViewState(location.hash) : null;
+            if (linkState) {
+                this.applyViewState({
+                    ...linkState,
+                    sort: linkState.sort || this.sortControlManager.getStoredSort(),
+                    groupBy: linkState.groupBy || this.sortControlManager.getStoredGroupBy()
+                });
+            } else {
+                this.sortControlManager.applySort(this.sortControlManager.getStoredSort());
+                this.sortControlManager.applyGroupBy(this.sortControlManager.getStoredGroupBy());
+            }
             
             // Setup filter change listener
             document.addEventListener('filtersChanged', () => {
                 this.handleFiltersChanged();
             });
             
-            // Initial render
-            this.handleFiltersChanged();
+            // A batch of datasets was loaded (see DataManager.appendBatch)
+            document.addEventListener('catalogProgress', () => {
+                this.scheduleCatalogRefresh();
+            });
             
-            // Hide loading overlay
-            setTimeout(() => {
-                loadingOverlay.classList.add('hidden');
-            }, 300);
+            // Newer catalog fetched in the background (see DataManager.refreshCatalogInBackground)
+            document.addEventListener('catalogUpdated', (e) => {
+                this.handleCatalogUpdated(e.detail);
+            });
+            
+            // Dataset dates read from data_index.json after a cached catalog was shown ("Recently added" sort)
+            document.addEventListener('catalogDatesUpdated', () => {
+                this.videoGridManager.setAddedDates(dataManager.addedDates);
+            });
+            
+            // Load datasets
+            const loadingProgress = document.getElementById('loadingProgress');
+            const loadingBar = document.getElementById('loadingBar');
+            document.getElementById('loadingCancelBtn').addEventListener('click', () => {
+                dataManager.cancelLoading();
+            });
+            await dataManager.loadDatasets(loadingProgress, loadingBar);
+            
+            if (dataManager.loadCancelled) {
+                toastManager.info(`Loading cancelled: showing ${dataManager.datasets.length} datasets`);
+            }
+            
+            // Build dataset index
+            dataManager.buildDatasetIndex();
+            
+            // Final render with the complete catalog
+            await this.refreshCatalogView();
+            
+            // Hide loading indicator
+            this.uiUtils.toggleLoadingIndicator(false);
+            
+            // The open dataset and the cart need the loaded catalog
+            if (linkState) {
+                await this.restoreLinkedDatasets(linkState);
+            }
+            // The cart is added once: the restored entry is replaced by one without it
+            this.urlStateReady = true;
+            this.syncUrlState(true);
             
             console.log('✓ Application initialized successfully');
             
@@ -97,7 +170,7 @@ class Application {
             ErrorNotifier.error('Failed to initialize application: ' + err.message, err);
             
             setTimeout(() => {
-                document.getElementById('loadingOverlay').classList.add('hidden');
+                document.getElementById('loadingIndicator').classList.add('hidden');
             }, 300);
         }
     }
@@ -108,7 +181,7 @@ class Application {
     initializeManagers() {
         // Filter Manager
         this.filterManager = new FilterManager(
-            dataManager.getAllDatasets(),
+            dataManager.getCatalog(),
             RobotAliasManager
         );
         
@@ -129,7 +202,7 @@ class Application {
         DownloadManager.setCurrentHub(this.selectionPanelManager.currentHub);
         
         // UI Utilities
-        this.uiUtils = new UIUtils();
+        this.uiUtils = new UIUtils(dataManager);
         
         // Event Handlers
         this.eventHandlers = new EventHandlers(
@@ -142,14 +215,42 @@ class Application {
             this.selectedDatasets,
             dataManager.datasetMap
         );
+        
+        // Saved filter presets and smart collections
+        this.presetPanelManager = new PresetPanelManager({
+            filter: this.filterManager,
+            videoGrid: this.videoGridManager,
+            selectionPanel: this.selectionPanelManager
+        });
+        
+        // Grid sort control
+        this.sortControlManager = new SortControlManager({
+            videoGrid: this.videoGridManager
+        });
+        
+        // Table view of the results
+        this.tableViewManager = new TableViewManager(
+            { videoGrid: this.videoGridManager },
+            this.selectedDatasets,
+            this.listDatasets
+        );
     }
     
     /**
      * Handle filters changed event
+     * @returns {Promise<void>}
      */
-    handleFiltersChanged() {
+    async handleFiltersChanged() {
         const searchQuery = document.getElementById('searchBox')?.value || '';
-        const filteredDatasets = this.filterManager.applyFilters(searchQuery);
+        
+        // Parse errors are shown inline; the valid part of the query is still applied
+        this.uiUtils.showSearchQueryErrors(parseSearchQuery(searchQuery).errors, searchQuery);
+        this.filterManager.renderFilterTags(searchQuery);
+        
+        // Queries are answered asynchronously; only the latest one is rendered
+        const requestId = ++this.filterRequestId;
+        const filteredDatasets = await this.filterManager.applyFilters(searchQuery);
+        if (requestId !== this.filterRequestId) return;
         
         // Update counts
         this.uiUtils.updateCounts(filteredDatasets.length, this.selectedDatasets.size);
@@ -157,48 +258,246 @@ class Application {
         // Update filter counts in UI
         this.updateFilterCounts(filteredDatasets);
         
-        // Render video grid
-        this.videoGridManager.renderVideoGrid(filteredDatasets);
+        // Render video grid in the chosen sort order (search matches are highlighted on the cards)
+        this.videoGridManager.setHighlightTerms(this.filterManager.highlightTerms);
+        this.videoGridManager.showDatasets(filteredDatasets);
         
         // Update selection panel
         this.selectionPanelManager.updateSelectionPanel();
+        
+        this.syncUrlState();
     }
     
     /**
-     * Update filter counts in UI (now uses static counts)
-     * @param {Dataset[]} filteredDatasets - Filtered datasets
+     * Bind URL hash related events: view changes, back/forward navigation and the share buttons
      */
-    updateFilterCounts(filteredDatasets) {
-        const counts = {};
-
-        // Get static counts for all filter options
-        document.querySelectorAll('[data-count]').forEach(el => {
-            const countKey = el.dataset.count;
-            if (!countKey) return;
-
-            // Get the filter option element that contains this count element
-            const optionElement = el.closest('.filter-option');
-            if (!optionElement) return;
-
-            // Get filter key and value from the option element
-            const filterKey = optionElement.dataset.filter;
-            const filterValue = optionElement.dataset.value;
-
-            // Only process if this is a selectable filter option (has both filter and value)
-            if (filterKey && filterValue) {
-                counts[countKey] = this.filterManager.getStaticCount(filterKey, filterValue);
+    bindViewStateEvents() {
+        // Hub switch, detail modal and sort control (see EventHandlers / UIUtils / SortControlManager)
+        document.addEventListener('viewStateChanged', () => {
+            this.syncUrlState();
+        });
+        
+        // Back/forward between view states, or a link pasted into the address bar
+        window.addEventListener('popstate', () => {
+            this.handleHashNavigation();
+        });
+        window.addEventListener('hashchange', () => {
+            this.handleHashNavigation();
+        });
+        
+        document.getElementById('shareLinkBtn')?.addEventListener('click', () => {
+            this.copyShareLink(false);
+        });
+        document.getElementById('shareCartBtn')?.addEventListener('click', () => {
+            this.copyShareLink(true);
+        });
+    }
+    
+    /**
+     * Current view state (the cart is only added to links shared explicitly, see copyShareLink)
+     * @returns {import('./modules/view-state.js').ViewState}
+     */
+    getViewState() {
+        const state = createViewState();
+        Object.assign(state, this.filterManager.getFilterSnapshot());
+        state.search = document.getElementById('searchBox')?.value || '';
+        state.sort = this.videoGridManager.sort;
+        state.groupBy = this.videoGridManager.groupBy;
+        state.hub = this.selectionPanelManager.currentHub;
+        state.detail = document.getElementById('detailModalOverlay')?.dataset.path || null;
+        return state;
+    }
+    
+    /**
+     * Apply filters, search, sort, grouping and hub of a view state to the UI (without querying)
+     * @param {import('./modules/view-state.js').ViewState} state - View state
+     */
+    applyViewState(state) {
+        this.filterManager.restoreFilterSnapshot(state);
+        
+        const searchBox = document.getElementById('searchBox');
+        if (searchBox) {
+            searchBox.value = state.search;
+        }
+        
+        this.sortControlManager.applySort(state.sort || DEFAULT_SORT);
+        this.sortControlManager.applyGroupBy(state.groupBy);
+        
+        if (state.hub !== this.selectionPanelManager.currentHub) {
+            this.selectionPanelManager.setHub(state.hub);
+            DownloadManager.setCurrentHub(state.hub);
+            this.eventHandlers.updateHubSwitchButton(state.hub);
+        }
+    }
+    
+    /**
+     * Open the dataset and add the cart of a link once the catalog is loaded
+     * @param {import('./modules/view-state.js').ViewState} state - View state
+     * @returns {Promise<void>}
+     */
+    async restoreLinkedDatasets(state) {
+        if (state.detail && dataManager.datasetMap.has(state.detail)) {
+            this.uiUtils.showDetailModal(state.detail, dataManager.datasetMap);
+        }
+        
+        if (!state.cart) return;
+        
+        try {
+            const paths = await decodeCart(state.cart);
+            const { added, missing } = this.selectionPanelManager.addToList(paths);
+            this.videoGridManager.updateCardStyles();
+            
+            const note = missing > 0 ? ` (${missing} not in the catalog)` : '';
+            toastManager.success(`Added ${added} datasets from the link to the cart${note}`);
+        } catch (err) {
+            ErrorNotifier.error('Failed to read the cart from the link: ' + err.message, err);
+        }
+    }
+    
+    /**
+     * Handle back/forward navigation between view states
+     */
+    handleHashNavigation() {
+        const hash = location.hash.replace(/^#/, '');
+        if (!this.urlStateReady || hash === this.lastViewHash) return;
+        
+        const state = decodeViewState(hash);
+        this.lastViewHash = hash;
+        this.applyViewState(state);
+        
+        const openPath = document.getElementById('detailModalOverlay')?.dataset.path || null;
+        if (state.detail !== openPath) {
+            if (state.detail && dataManager.datasetMap.has(state.detail)) {
+                this.uiUtils.showDetailModal(state.detail, dataManager.datasetMap);
+            } else {
+                this.uiUtils.hideDetailModal();
+            }
+        }
+        
+        if (state.cart) {
+            this.restoreLinkedDatasets({ ...state, detail: null });
+        }
+        
+        document.dispatchEvent(new CustomEvent('filtersChanged'));
+    }
+    
+    /**
+     * Write the current view state to the URL hash.
+     * Typing in the search box replaces the history entry; other changes add one (so Back undoes them).
+     * @param {boolean} [replace=false] - Always replace the current history entry
+     */
+    syncUrlState(replace = false) {
+        if (!this.urlStateReady) return;
+        
+        const hash = encodeViewState(this.getViewState());
+        if (hash === this.lastViewHash) return;
+        
+        const previous = decodeViewState(this.lastViewHash);
+        const current = decodeViewState(hash);
+        const searchOnly = encodeViewState({ ...previous, search: '' }) === encodeViewState({ ...current, search: '' });
+        
+        const url = `${location.pathname}${location.search}${hash ? `#${hash}` : ''}`;
+        if (replace || searchOnly) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+        this.lastViewHash = hash;
+    }
+    
+    /**
+     * Copy a link to the current view
+     * @param {boolean} withCart - Include the cart datasets
+     * @returns {Promise<void>}
+     */
+    async copyShareLink(withCart) {
+        if (withCart && this.listDatasets.size === 0) {
+            toastManager.info('The cart is empty');
+            return;
+        }
+        
+        try {
+            const state = this.getViewState();
+            if (withCart) {
+                state.cart = await encodeCart(this.listDatasets);
             }
+            
+            const hash = encodeViewState(state);
+            const url = `${location.origin}${location.pathname}${location.search}${hash ? `#${hash}` : ''}`;
+            await DownloadManager.copyToClipboard(url);
+            toastManager.success(withCart ? `Link with ${this.listDatasets.size} datasets copied` : 'Link copied');
+        } catch (err) {
+            ErrorNotifier.error('Failed to copy link: ' + err.message, err);
+        }
+    }
+    
+    /**
+     * Refresh filters and the video grid at most once per frame while batches arrive
+     */
+    scheduleCatalogRefresh() {
+        if (this.catalogRefreshPending) return;
+        this.catalogRefreshPending = true;
+        
+        requestAnimationFrame(() => {
+            this.catalogRefreshPending = false;
+            this.refreshCatalogView();
+        });
+    }
+    
+    /**
+     * Refresh filters and the video grid from the data manager's current catalog.
+     * The filter UI is only re-rendered when new filter values appeared; otherwise the query updates its counts.
+     * @param {boolean} [rerenderFilters=false] - Re-render the filter UI in any case (replaced catalog)
+     * @returns {Promise<void>}
+     */
+    refreshCatalogView(rerenderFilters = false) {
+        this.filterManager.setCatalog(dataManager.getCatalog());
+        this.videoGridManager.setAddedDates(dataManager.addedDates);
+        this.filterManager.refreshFilterGroups(rerenderFilters);
+        return this.handleFiltersChanged();
+    }
+    
+    /**
+     * Handle catalog updated event: rebuild indexes and filters from the new datasets
+     * @param {{version: string, count: number}} detail - Event detail
+     */
+    handleCatalogUpdated(detail) {
+        dataManager.buildDatasetIndex();
+        
+        // 新目录中已不存在的数据集从选择和购物车中移除
+        let listChanged = false;
+        [this.selectedDatasets, this.listDatasets].forEach(set => {
+            Array.from(set).forEach(path => {
+                if (!dataManager.datasetMap.has(path)) {
+                    set.delete(path);
+                    listChanged = true;
+                }
+            });
         });
+        if (listChanged) {
+            this.selectionPanelManager.markListChanged();
+        }
+        
+        this.videoGridManager.clearCards();
+        this.tableViewManager.clearRows();
+        this.refreshCatalogView(true);
+        
+        toastManager.info(`Catalog updated: ${detail.count} datasets`);
+    }
+    
+    /**
+     * Update filter counts in UI (conditional counts of the last query, see FilterManager.getFilterCount)
+     * @param {Dataset[]} filteredDatasets - Filtered datasets
+     */
+    updateFilterCounts(filteredDatasets) {
+        this.filterManager.updateCountElements(document);
+        this.filterManager.updateRangeFacets();
 
         // Set counts for "All" options (these remain dynamic)
         ['scene', 'robot', 'end', 'action', 'object'].forEach(filterType => {
-            counts[`${filterType}-__ALL__`] = filteredDatasets.length;
-        });
-
-        // Update DOM
-        document.querySelectorAll('[data-count]').forEach(el => {
-            const key = el.dataset.count;
-            el.textContent = counts[key] || 0;
+            document.querySelectorAll(`[data-count="${filterType}-__ALL__"]`).forEach(el => {
+                el.textContent = filteredDatasets.length;
+            });
         });
     }
 }
@@ -0,0 +1,257 @@
+/**
+ * @file Catalog Client
+ * @description Main-thread proxy for the catalog engine running in a Web Worker.
+ *
+ * 所有方法都返回 Promise。浏览器不支持模块 worker（或 worker 启动失败）时，
+ * 自动回退为在主线程中运行同一个 CatalogEngine，调用方无需区分。
+ */
+
+/// <reference path="../../types.js" />
+
+import CatalogEngine from './catalog-engine.js';
+
+/**
+ * @typedef {import('./catalog-engine.js').CatalogLoadRequest} CatalogLoadRequest
+ * @typedef {import('./catalog-engine.js').CatalogUpdateRequest} CatalogUpdateRequest
+ * @typedef {import('./catalog-engine.js').CatalogQuery} CatalogQuery
+ * @typedef {import('./catalog-engine.js').CatalogQueryResult} CatalogQueryResult
+ * @typedef {import('./catalog-engine.js').CatalogBatch} CatalogBatch
+ * @typedef {import('./catalog-engine.js').DetailRequest} DetailRequest
+ */
+
+/**
+ * Catalog Client Class
+ */
+export class CatalogClient {
+    constructor() {
+        /** @type {Worker|null} */
+        this.worker = null;
+
+        /** @type {boolean} True once the worker reported that it started */
+        this.workerReady = false;
+
+        /** @type {CatalogEngine|null} In-process engine used when workers are unavailable */
+        this.localEngine = null;
+
+        /** @type {Map<number, {method: string, args: Array, onProgress?: Function, resolve: Function, reject: Function}>} */
+        this.pending = new Map();
+
+        /** @type {number} */
+        this.nextId = 1;
+    }
+
+    /**
+     * Start the worker (once).
+     */
+    start() {
+        if (this.worker || this.localEngine) return;
+
+        if (typeof Worker === 'undefined') {
+            this.useLocalEngine('Web Workers are not supported');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./catalog-worker.js', import.meta.url), { type: 'module' });
+        } catch (err) {
+            this.useLocalEngine(err.message);
+            return;
+        }
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+    }
+
+    /**
+     * Switch to the in-process engine.
+     * @param {string} reason - Why the worker is not used
+     */
+    useLocalEngine(reason) {
+        console.warn(`⚠️ Catalog worker unavailable (${reason}); running catalog engine on the main thread`);
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.localEngine = new CatalogEngine();
+    }
+
+    /**
+     * Handle a message from the worker.
+     * @param {Object} message
+     */
+    handleMessage(message) {
+        if (message && message.type === 'ready') {
+            this.workerReady = true;
+            return;
+        }
+
+        const call = this.pending.get(message.id);
+        if (!call) return;
+
+        if ('progress' in message) {
+            if (call.onProgress) call.onProgress(message.progress);
+            return;
+        }
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            const err = new Error(message.error.message);
+            err.name = message.error.name;
+            call.reject(err);
+        } else {
+            call.resolve(message.result);
+        }
+    }
+
+    /**
+     * Handle an uncaught worker error.
+     * Before the worker started (e.g. module workers unsupported) pending calls are replayed in-process.
+     * Afterwards the catalog lives in the worker, so pending calls are rejected instead of replayed
+     * on an empty engine (their callers would otherwise wait forever).
+     * @param {ErrorEvent} event
+     */
+    handleWorkerError(event) {
+        if (this.workerReady) {
+            console.error('Catalog worker error:', event.message);
+
+            const calls = Array.from(this.pending.values());
+            this.pending.clear();
+            calls.forEach(call => {
+                call.reject(new Error(`Catalog worker error during ${call.method}: ${event.message || 'unknown error'}`));
+            });
+            return;
+        }
+
+        event.preventDefault();
+        this.useLocalEngine(event.message || 'worker failed to start');
+
+        // 按原顺序在主线程中重放尚未完成的调用
+        const calls = Array.from(this.pending.values());
+        this.pending.clear();
+        calls.reduce(
+            (previous, call) => previous.then(() =>
+                this.callLocal(call.method, call.args, call.onProgress).then(call.resolve, call.reject)
+            ),
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * Call a method on the in-process engine.
+     * @param {string} method
+     * @param {Array} args
+     * @param {Function} [onProgress]
+     * @returns {Promise<*>}
+     */
+    async callLocal(method, args, onProgress) {
+        return this.localEngine[method](...args, onProgress);
+    }
+
+    /**
+     * Call an engine method.
+     * @param {string} method - Engine method name
+     * @param {Array} [args] - Structured-cloneable arguments
+     * @param {Function} [onProgress] - Receives progress messages (batches) before the result
+     * @returns {Promise<*>} Method result
+     */
+    call(method, args = [], onProgress) {
+        this.start();
+
+        if (this.localEngine) {
+            return this.callLocal(method, args, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { method, args, onProgress, resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    /**
+     * Set robot aliases used by keyword search.
+     * @param {Object} aliasMap - robot_aliases.json content
+     * @returns {Promise<void>}
+     */
+    setAliasMap(aliasMap) {
+        return this.call('setAliasMap', [aliasMap]);
+    }
+
+    /**
+     * Load the catalog from the IndexedDB cache.
+     * @param {{paths: {videos: string, assetsRoot: string}, batchSize?: number}} options
+     * @param {(batch: CatalogBatch) => void} [onProgress] - Receives every batch but the last
+     * @returns {Promise<CatalogSnapshot|null>} Snapshot, or null on cache miss
+     */
+    loadFromCache(options, onProgress) {
+        return this.call('loadFromCache', [options], onProgress);
+    }
+
+    /**
+     * Parse a catalog payload and make it the current catalog.
+     * @param {CatalogLoadRequest} request
+     * @param {(batch: CatalogBatch) => void} [onProgress] - Receives every batch but the last
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[], unchanged?: boolean}>}
+     */
+    load(request, onProgress) {
+        return this.call('load', [request], onProgress);
+    }
+
+    /**
+     * Refresh a YAML catalog from the changed files only.
+     * @param {CatalogUpdateRequest} request
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[], unchanged?: boolean}>}
+     */
+    update(request) {
+        return this.call('update', [request]);
+    }
+
+    /**
+     * Start a catalog that arrives in several YAML batches.
+     * @param {{paths: {videos: string, assetsRoot: string}}} options
+     * @returns {Promise<void>}
+     */
+    beginStream(options) {
+        return this.call('beginStream', [options]);
+    }
+
+    /**
+     * Parse a batch of YAML files and add them to the streamed catalog.
+     * @param {{path: string, text: string}[]} files
+     * @returns {Promise<CatalogBatch & {failed: {path: string, message: string}[]}>}
+     */
+    appendYAML(files) {
+        return this.call('appendYAML', [files]);
+    }
+
+    /**
+     * Finish a streamed catalog.
+     * @param {{order?: string[], version?: string|null, persist?: boolean}} options
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[]}>}
+     */
+    endStream(options) {
+        return this.call('endStream', [options]);
+    }
+
+    /**
+     * Build the full Dataset from a detail record.
+     * @param {DetailRequest} request
+     * @returns {Promise<Dataset>}
+     */
+    parseDetail(request) {
+        return this.call('parseDetail', [request]);
+    }
+
+    /**
+     * Apply filters and keyword search.
+     * @param {CatalogQuery} query
+     * @returns {Promise<CatalogQueryResult>} Matching dataset paths (ranked by relevance for text searches)
+     */
+    query(query) {
+        return this.call('query', [query]);
+    }
+}
+
+// Export singleton instance
+export default new CatalogClient();
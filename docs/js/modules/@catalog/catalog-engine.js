@@ -0,0 +1,612 @@
+/**
+ * @file Catalog Engine
+ * @description Owns the dataset array: parses catalog payloads, builds the Dataset model,
+ *              filter groups and static counts, and answers filter / search queries.
+ *
+ * 本模块不依赖 DOM，既在 catalog-worker.js 中运行，也可以在主线程中作为回退直接使用
+ * （见 catalog-client.js）。所有方法的参数和返回值都必须可以被结构化克隆。
+ */
+
+/// <reference path="../../types.js" />
+
+import { createDatasetObject } from '../dataset-model.js';
+import {
+    createEmptyFilterGroups,
+    addDatasetsToFilterGroups,
+    addToStaticFilterCounts,
+    parseFilterId
+} from '../@filter/data.js';
+import FilterIndex from '../@filter/filter-index.js';
+import RangeIndex from '../@filter/range-index.js';
+import { RANGE_FACET_KEYS, normalizeRanges } from '../@filter/range-facets.js';
+import {
+    parseSearchQuery,
+    compileQuery,
+    getRankingTokens,
+    getRobotNames,
+    normalizeSearchText,
+    TextIndex
+} from '../@search/index.js';
+import catalogCache, { computeCatalogHash } from '../catalog-cache.js';
+// Vendored ES module build of js-yaml (same major version as the build scripts), no CDN needed
+import { load as parseYaml } from '../../vendor/js-yaml.mjs';
+
+/**
+ * @typedef {Object} CatalogLoadRequest
+ * @property {'json'|'yaml'} format - Payload format
+ * @property {string} [text] - consolidated_datasets.json content (format 'json')
+ * @property {{path: string, text: string}[]} [files] - dataset_info YAML files (format 'yaml')
+ * @property {string|null} [version] - Published catalog version; computed from the content when missing
+ * @property {string|null} [currentVersion] - Version already loaded; an equal version is not rebuilt
+ * @property {{videos: string, assetsRoot: string}} paths - Asset locations
+ * @property {boolean} [persist=false] - Write the catalog to the IndexedDB cache
+ * @property {number} [batchSize=0] - Report progress every `batchSize` datasets (0 = single batch)
+ */
+
+/**
+ * @typedef {Object} CatalogUpdateRequest
+ * @property {{path: string, text: string}[]} files - dataset_info YAML files that changed since the loaded catalog
+ * @property {string[]} order - Every dataset path of the new index, in catalog order; other paths are dropped
+ * @property {Object<string, string>} [hashes] - YAML content hash per dataset path (data_index.json v2)
+ * @property {string|null} [version] - Published catalog version; computed from the content when missing
+ * @property {string|null} [currentVersion] - Version already loaded; an equal version is not rebuilt
+ * @property {{videos: string, assetsRoot: string}} paths - Asset locations
+ * @property {boolean} [persist=false] - Write the catalog to the IndexedDB cache
+ */
+
+/**
+ * @typedef {Object} CatalogBatch
+ * @property {Dataset[]} datasets - Datasets added by this batch
+ * @property {Object<string, FilterGroup>} filterGroups - Filter groups for everything loaded so far
+ * @property {Map<string, number>} staticCounts - Static counts for everything loaded so far
+ * @property {number} loaded - Datasets loaded so far
+ * @property {number|null} total - Expected dataset count (null when unknown)
+ */
+
+/**
+ * @typedef {Object} DetailRequest
+ * @property {string} path - Dataset path
+ * @property {'json'|'yaml'} format - `details/<path>.json` or the dataset_info YAML file
+ * @property {string} text - File content
+ */
+
+/**
+ * @typedef {Object} CatalogQuery
+ * @property {string[]} [filters] - Selected filter ids (`key:value`)
+ * @property {string[]} [exclude] - Excluded filter ids: datasets having any of them are dropped
+ * @property {Object<string, 'any'|'all'>} [modes] - Per filter key: match any (default) or all selected values
+ * @property {Object<string, {min: number|null, max: number|null}>} [ranges] - Per range facet: inclusive bounds
+ *           (datasets without a value are dropped, see @filter/range-facets.js)
+ * @property {string} [search] - Search box query (see @search/query-parser.js)
+ */
+
+/**
+ * @typedef {Object} RangeFacetResult
+ * @property {number} min - Smallest value in the catalog
+ * @property {number} max - Largest value in the catalog
+ * @property {number[]} bins - Histogram of the results for everything but this facet's own range
+ */
+
+/**
+ * @typedef {Object} CatalogQueryResult
+ * @property {string[]} paths - Matching dataset paths; by relevance when the search has text terms, catalog order otherwise
+ * @property {string[]} highlightTerms - Stemmed search tokens to highlight (see @search/highlight.js)
+ * @property {Map<string, number>} facetCounts - Conditional count per filter id: results for the search and the
+ *           other categories' filters if the option were selected (excluded options: selected instead)
+ *           (see FilterIndex.query)
+ * @property {Object<string, RangeFacetResult>} rangeFacets - Per range facet with values in the catalog
+ */
+
+/**
+ * Let queued messages (worker) or rendering (main-thread fallback) run between batches.
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Catalog Engine Class
+ */
+export class CatalogEngine {
+    constructor() {
+        /** @type {Dataset[]} */
+        this.datasets = [];
+
+        /** @type {string[][]} Lower-cased search texts per dataset (same order as datasets) */
+        this.searchTexts = [];
+
+        /** @type {TextIndex} Inverted index of descriptive texts (same order as datasets) */
+        this.textIndex = new TextIndex();
+
+        /** @type {FilterIndex} Bitset per filter id (same order as datasets) */
+        this.filterIndex = new FilterIndex();
+
+        /** @type {RangeIndex} Numeric values per range facet (same order as datasets) */
+        this.rangeIndex = new RangeIndex();
+
+        /** @type {Object|null} Evaluated search of the last query (see getSearchResult) */
+        this.searchCache = null;
+
+        /** @type {Object<string, FilterGroup>} */
+        this.filterGroups = createEmptyFilterGroups();
+
+        /** @type {Map<string, number>} */
+        this.staticCounts = new Map();
+
+        /** @type {Object<string, Object>} Raw catalog keyed by dataset path (written to the cache) */
+        this.rawData = {};
+
+        /** @type {{videos: string, assetsRoot: string}|null} */
+        this.paths = null;
+
+        /** @type {string|null} */
+        this.version = null;
+
+        /** @type {Object<string, string>} YAML content hash per dataset path (only for records parsed from YAML) */
+        this.fileHashes = {};
+
+        /** @type {{path: string, message: string}[]} YAML parse failures of the current stream */
+        this.failed = [];
+
+        /** @type {Object.<string, { common_name?: string, aliases?: string[] }>} */
+        this.aliasMap = {};
+    }
+
+    /**
+     * Set robot aliases used by keyword search.
+     * @param {Object.<string, { common_name?: string, aliases?: string[] }>} aliasMap - robot_aliases.json content
+     */
+    setAliasMap(aliasMap) {
+        this.aliasMap = aliasMap || {};
+        this.searchTexts = this.datasets.map(ds => this.getSearchableTexts(ds));
+        this.searchCache = null;
+    }
+
+    /**
+     * Load the catalog stored in the IndexedDB cache.
+     * @param {{paths: {videos: string, assetsRoot: string}, batchSize?: number}} options
+     * @param {(batch: CatalogBatch) => void} [onProgress] - Called after each batch but the last
+     * @returns {Promise<CatalogSnapshot|null>} Snapshot, or null on cache miss
+     */
+    async loadFromCache({ paths, batchSize = 0 }, onProgress) {
+        const cached = await catalogCache.read();
+        if (!cached) return null;
+
+        this.resetCatalog(paths);
+        await this.appendInBatches(Object.entries(cached.data), batchSize, onProgress);
+        this.version = cached.version;
+        this.fileHashes = cached.hashes;
+        return this.getSnapshot();
+    }
+
+    /**
+     * Parse a complete catalog payload and replace the loaded datasets.
+     * YAML files that fail to parse are skipped and reported in `failed`.
+     * @param {CatalogLoadRequest} request
+     * @param {(batch: CatalogBatch) => void} [onProgress] - Called after each batch but the last
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[], unchanged?: boolean}>}
+     */
+    async load({ format, text, files, version = null, currentVersion = null, paths, persist = false, batchSize = 0 }, onProgress) {
+        let entries;
+        const failed = [];
+
+        if (format === 'json') {
+            entries = Object.entries(JSON.parse(text));
+            version = version || computeCatalogHash(text);
+        } else if (format === 'yaml') {
+            entries = this.parseYAMLFiles(files, failed);
+            version = version || computeCatalogHash(JSON.stringify(Object.fromEntries(entries)));
+        } else {
+            throw new Error(`Unknown catalog format: ${format}`);
+        }
+
+        if (currentVersion && version === currentVersion) {
+            return { version, unchanged: true, failed };
+        }
+
+        this.resetCatalog(paths);
+        this.failed = failed;
+        await this.appendInBatches(entries, batchSize, onProgress);
+        this.version = version;
+
+        // 部分解析失败的目录不写入缓存
+        if (persist && failed.length === 0) {
+            await catalogCache.write(version, this.rawData);
+        }
+
+        return { ...this.getSnapshot(), failed };
+    }
+
+    /**
+     * Apply a YAML-mode refresh: parse the changed files and keep the loaded records of all other paths.
+     * A changed file that fails to parse keeps its previous record and hash. The catalog then takes a content
+     * hash as its version instead of the published one, so the next refresh does not stop at the version check
+     * and fetches that file again.
+     * @param {CatalogUpdateRequest} request
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[], unchanged?: boolean}>}
+     */
+    async update({ files, order, hashes = {}, version = null, currentVersion = null, paths, persist = false }) {
+        const failed = [];
+        const changed = new Map(this.parseYAMLFiles(files, failed));
+
+        const data = {};
+        const fileHashes = {};
+        order.forEach(path => {
+            if (changed.has(path)) {
+                data[path] = changed.get(path);
+                if (hashes[path]) fileHashes[path] = hashes[path];
+            } else if (path in this.rawData) {
+                data[path] = this.rawData[path];
+                if (this.fileHashes[path]) fileHashes[path] = this.fileHashes[path];
+            }
+        });
+
+        // 有文件解析失败时不采用发布的版本（见上）
+        version = (failed.length === 0 && version) || computeCatalogHash(JSON.stringify(data));
+        if (currentVersion && version === currentVersion) {
+            return { version, unchanged: true, failed };
+        }
+
+        this.resetCatalog(paths);
+        this.failed = failed;
+        this.appendRecords(Object.entries(data));
+        this.version = version;
+        this.fileHashes = fileHashes;
+
+        if (persist && failed.length === 0) {
+            await catalogCache.write(version, this.rawData, fileHashes);
+        }
+
+        return { ...this.getSnapshot(), failed };
+    }
+
+    /**
+     * Start a catalog that arrives in several YAML batches (see appendYAML / endStream).
+     * @param {{paths: {videos: string, assetsRoot: string}}} options
+     */
+    beginStream({ paths }) {
+        this.resetCatalog(paths);
+        this.version = null;
+    }
+
+    /**
+     * Parse a batch of YAML files and add them to the streamed catalog.
+     * @param {{path: string, text: string}[]} files - dataset_info YAML files
+     * @returns {Promise<CatalogBatch & {failed: {path: string, message: string}[]}>}
+     */
+    async appendYAML(files) {
+        const failed = [];
+        const entries = this.parseYAMLFiles(files, failed);
+        this.failed.push(...failed);
+
+        const batch = this.appendRecords(entries);
+        return { ...this.getBatch(batch, null), failed };
+    }
+
+    /**
+     * Finish a streamed catalog.
+     * @param {Object} options
+     * @param {string[]} [options.order] - Dataset paths in catalog order (batches arrive in completion order)
+     * @param {string|null} [options.version] - Published catalog version; computed from the content when missing
+     * @param {Object<string, string>} [options.hashes] - YAML content hash per dataset path (data_index.json v2)
+     * @param {boolean} [options.persist=false] - Write the catalog to the IndexedDB cache
+     * @returns {Promise<CatalogSnapshot & {failed: {path: string, message: string}[]}>}
+     */
+    async endStream({ order = null, version = null, hashes = {}, persist = false } = {}) {
+        if (order) {
+            const position = new Map(order.map((path, i) => [path, i]));
+            const rank = path => (position.has(path) ? position.get(path) : order.length);
+
+            this.datasets.sort((a, b) => rank(a.path) - rank(b.path));
+            this.searchTexts = this.datasets.map(ds => this.getSearchableTexts(ds));
+            this.textIndex.rebuild(this.datasets);
+            this.filterIndex.rebuild(this.datasets);
+            this.rangeIndex.rebuild(this.datasets);
+            this.searchCache = null;
+
+            const ordered = {};
+            this.datasets.forEach(ds => {
+                ordered[ds.path] = this.rawData[ds.path];
+            });
+            this.rawData = ordered;
+        }
+
+        this.version = version || computeCatalogHash(JSON.stringify(this.rawData));
+        this.fileHashes = {};
+        Object.keys(this.rawData).forEach(path => {
+            if (hashes[path]) this.fileHashes[path] = hashes[path];
+        });
+
+        if (persist && this.failed.length === 0) {
+            await catalogCache.write(this.version, this.rawData, this.fileHashes);
+        }
+
+        return { ...this.getSnapshot(), failed: this.failed };
+    }
+
+    /**
+     * Build the full Dataset for a detail record (summary catalogs only carry summary fields).
+     * The loaded catalog is not changed.
+     * @param {DetailRequest} request
+     * @returns {Promise<Dataset>} Dataset with all detail fields
+     */
+    async parseDetail({ path, format, text }) {
+        let record;
+        if (format === 'json') {
+            record = JSON.parse(text);
+        } else if (format === 'yaml') {
+            record = parseYaml(text);
+        } else {
+            throw new Error(`Unknown detail format: ${format}`);
+        }
+        return createDatasetObject(path, record, this.paths);
+    }
+
+    /**
+     * Clear the loaded catalog.
+     * @param {{videos: string, assetsRoot: string}} paths - Asset locations
+     */
+    resetCatalog(paths) {
+        this.paths = paths;
+        this.datasets = [];
+        this.searchTexts = [];
+        this.textIndex.clear();
+        this.filterIndex.clear();
+        this.rangeIndex.clear();
+        this.searchCache = null;
+        this.rawData = {};
+        this.fileHashes = {};
+        this.filterGroups = createEmptyFilterGroups();
+        this.staticCounts = new Map();
+        this.failed = [];
+    }
+
+    /**
+     * Add raw records to the catalog; filter groups and static counts are updated incrementally.
+     * @param {Array<[string, Object]>} entries - [path, raw] pairs
+     * @returns {Dataset[]} Datasets created for the entries
+     */
+    appendRecords(entries) {
+        const batch = entries.map(([path, raw]) => {
+            this.rawData[path] = raw;
+            return createDatasetObject(path, raw, this.paths);
+        });
+
+        batch.forEach(ds => {
+            this.datasets.push(ds);
+            this.searchTexts.push(this.getSearchableTexts(ds));
+            this.textIndex.add(ds);
+            this.filterIndex.add(ds);
+            this.rangeIndex.add(ds);
+        });
+        this.searchCache = null;
+        addDatasetsToFilterGroups(this.filterGroups, batch);
+        addToStaticFilterCounts(this.staticCounts, batch);
+
+        return batch;
+    }
+
+    /**
+     * Append entries in batches, reporting progress between batches.
+     * @param {Array<[string, Object]>} entries - [path, raw] pairs
+     * @param {number} batchSize - Batch size (0 = single batch)
+     * @param {(batch: CatalogBatch) => void} [onProgress]
+     * @returns {Promise<void>}
+     */
+    async appendInBatches(entries, batchSize, onProgress) {
+        const size = batchSize > 0 ? batchSize : entries.length;
+
+        for (let start = 0; start < entries.length; start += size) {
+            const batch = this.appendRecords(entries.slice(start, start + size));
+
+            // 最后一批随最终结果一起返回
+            if (onProgress && start + size < entries.length) {
+                onProgress(this.getBatch(batch, entries.length));
+                await yieldToEventLoop();
+            }
+        }
+    }
+
+    /**
+     * Parse YAML files into [path, raw] pairs.
+     * @param {{path: string, text: string}[]} files
+     * @param {{path: string, message: string}[]} failed - Receives parse failures
+     * @returns {Array<[string, Object]>}
+     */
+    parseYAMLFiles(files, failed) {
+        const entries = [];
+
+        files.forEach(file => {
+            try {
+                entries.push([file.path, parseYaml(file.text)]);
+            } catch (err) {
+                failed.push({ path: file.path, message: err.message });
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Progress payload for a batch.
+     * @param {Dataset[]} datasets - Datasets added by the batch
+     * @param {number|null} total - Expected dataset count
+     * @returns {CatalogBatch}
+     */
+    getBatch(datasets, total) {
+        return {
+            datasets,
+            filterGroups: this.filterGroups,
+            staticCounts: this.staticCounts,
+            loaded: this.datasets.length,
+            total
+        };
+    }
+
+    /**
+     * Snapshot of the loaded catalog.
+     * @returns {CatalogSnapshot}
+     */
+    getSnapshot() {
+        return {
+            version: this.version,
+            fileHashes: this.fileHashes,
+            datasets: this.datasets,
+            filterGroups: this.filterGroups,
+            staticCounts: this.staticCounts
+        };
+    }
+
+    /**
+     * Build searchable text collection for a dataset (matched by bare query words as substrings).
+     * Includes dataset identifiers and robot aliases (if available); task texts and object names
+     * are searched through the text index.
+     * @param {Dataset} ds - Dataset object
+     * @returns {string[]} Normalized searchable texts
+     */
+    getSearchableTexts(ds) {
+        const texts = new Set();
+
+        if (ds.name) {
+            texts.add(ds.name);
+        }
+
+        if (ds.path) {
+            texts.add(ds.path);
+        }
+
+        // Frame range
+        if (ds.frameRange) {
+            texts.add(ds.frameRange);
+        }
+
+        // Robot IDs + aliases
+        if (ds.robot) {
+            const robots = Array.isArray(ds.robot) ? ds.robot : [ds.robot];
+            robots.forEach(robotId => {
+                if (!robotId) return;
+                getRobotNames(robotId, this.aliasMap).forEach(name => texts.add(name));
+            });
+        }
+
+        return Array.from(texts, normalizeSearchText);
+    }
+
+    /**
+     * Apply filters and the search query.
+     * Invalid parts of the query are ignored (the search box reports them, see parseSearchQuery).
+     * @param {CatalogQuery} query
+     * @returns {CatalogQueryResult}
+     */
+    query({ filters: filterIds = [], exclude: excludedIds = [], modes = {}, ranges = {}, search = '' } = {}) {
+        const { candidates, rank, highlightTerms } = this.getSearchResult(search);
+
+        // Collect selected and excluded filters
+        const groupByKey = ids => {
+            const byKey = {};
+            ids.forEach(filterId => {
+                const { key, value } = parseFilterId(filterId);
+                if (!byKey[key]) byKey[key] = [];
+                byKey[key].push(value);
+            });
+            return byKey;
+        };
+
+        // Numeric ranges become bitsets that are intersected like category selections
+        const rangeMasks = {};
+        Object.entries(normalizeRanges(ranges)).forEach(([key, range]) => {
+            rangeMasks[key] = this.rangeIndex.fillMatches(key, range, this.filterIndex.createBitset());
+        });
+
+        // 同一类别内为 OR（ALL 模式为 AND），不同类别之间为 AND，排除项对所有类别生效（位图运算，见 FilterIndex.query）
+        const { matches, facetCounts, constraintBases } = this.filterIndex.query(
+            groupByKey(filterIds),
+            candidates,
+            groupByKey(excludedIds),
+            modes,
+            rangeMasks
+        );
+        const positions = this.filterIndex.toPositions(matches);
+
+        return {
+            paths: rank(positions).map(position => this.datasets[position].path),
+            highlightTerms,
+            facetCounts,
+            rangeFacets: this.getRangeFacets(positions, constraintBases)
+        };
+    }
+
+    /**
+     * Domains and histograms of the range facets.
+     * @param {number[]} positions - Positions of the query results
+     * @param {Map<string, Uint32Array>} constraintBases - Results without each active range (see FilterIndex.query)
+     * @returns {Object<string, RangeFacetResult>}
+     */
+    getRangeFacets(positions, constraintBases) {
+        const rangeFacets = {};
+        RANGE_FACET_KEYS.forEach(key => {
+            const domain = this.rangeIndex.getDomain(key);
+            if (!domain) return;
+
+            const base = constraintBases.get(key);
+            const basePositions = base ? this.filterIndex.toPositions(base) : positions;
+            rangeFacets[key] = { ...domain, bins: this.rangeIndex.histogram(key, basePositions) };
+        });
+        return rangeFacets;
+    }
+
+    /**
+     * Evaluate the search query once per query string; the result is reused while only filters change.
+     * @param {string} search - Search box query
+     * @returns {{candidates: Uint32Array, rank: (positions: number[]) => number[], highlightTerms: string[]}}
+     */
+    getSearchResult(search) {
+        if (this.searchCache && this.searchCache.search === search) {
+            return this.searchCache;
+        }
+
+        const { ast } = parseSearchQuery(search);
+        let candidates;
+
+        if (ast) {
+            const matchesSearch = compileQuery(ast, {
+                aliasMap: this.aliasMap,
+                datasets: this.datasets,
+                searchTexts: this.searchTexts,
+                textIndex: this.textIndex
+            });
+            candidates = this.filterIndex.createBitset();
+            this.datasets.forEach((ds, position) => {
+                if (matchesSearch(ds, position)) {
+                    candidates[position >>> 5] |= 1 << (position & 31);
+                }
+            });
+        } else {
+            candidates = this.filterIndex.createFullBitset();
+        }
+
+        // 有文本检索词时按 BM25 相关度排序，得分相同保持目录顺序（sort 是稳定的）
+        const rankingTokens = getRankingTokens(ast);
+        let rank = positions => positions;
+        if (rankingTokens.length > 0) {
+            const score = this.textIndex.createScorer(rankingTokens);
+            const scores = new Map();
+            const getScore = position => {
+                if (!scores.has(position)) scores.set(position, score(position));
+                return scores.get(position);
+            };
+            rank = positions => positions.sort((a, b) => getScore(b) - getScore(a));
+        }
+
+        this.searchCache = {
+            search,
+            candidates,
+            rank,
+            highlightTerms: this.textIndex.getHighlightTerms(rankingTokens)
+        };
+        return this.searchCache;
+    }
+}
+
+export default CatalogEngine;
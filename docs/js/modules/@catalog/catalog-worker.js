@@ -0,0 +1,46 @@
+/**
+ * @file Catalog Worker
+ * @description Web Worker entry that hosts a CatalogEngine off the main thread.
+ *
+ * Protocol: `{id, method, args}` in; zero or more `{id, progress}` followed by `{id, result}` or `{id, error}` out.
+ * 只允许调用白名单中的方法。
+ */
+
+import CatalogEngine from './catalog-engine.js';
+
+const engine = new CatalogEngine();
+
+/** Engine methods callable from the main thread. */
+const METHODS = new Set([
+    'setAliasMap',
+    'loadFromCache',
+    'load',
+    'update',
+    'beginStream',
+    'appendYAML',
+    'endStream',
+    'parseDetail',
+    'query'
+]);
+
+self.addEventListener('message', async (event) => {
+    const { id, method, args = [] } = event.data || {};
+
+    try {
+        if (!METHODS.has(method)) {
+            throw new Error(`Unknown catalog method: ${method}`);
+        }
+        // 进度回调作为最后一个参数传入（只有 loadFromCache / load 会使用）
+        const onProgress = (progress) => self.postMessage({ id, progress });
+        const result = await engine[method](...args, onProgress);
+        self.postMessage({ id, result });
+    } catch (err) {
+        self.postMessage({
+            id,
+            error: { name: err.name || 'Error', message: err.message || String(err) }
+        });
+    }
+});
+
+// 通知主线程 worker（包括模块依赖）已成功启动
+self.postMessage({ type: 'ready' });
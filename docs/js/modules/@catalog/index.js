@@ -0,0 +1,8 @@
+/**
+ * @file Catalog Module Entry
+ * @description Re-exports the catalog client singleton for cleaner imports.
+ */
+
+import catalogClient from './catalog-client.js';
+
+export default catalogClient;
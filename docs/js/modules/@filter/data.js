@@ -5,15 +5,45 @@
 
 /// <reference path="../../types.js" />
 
-import { addToHierarchy, countHierarchyItems } from './filter-hierarchy.js';
+import { addToHierarchy, countHierarchyItems, getHierarchyPaths } from './filter-hierarchy.js';
+import { RANGE_CATEGORY } from './range-facets.js';
+import { parseQueryNumber } from '../@search/query-fields.js';
+
+/** Filter keys in sidebar order (filter ids are `${key}:${value}`). */
+export const FILTER_KEYS = ['frame range', 'scene', 'robot', 'end', 'action', 'object'];
+
+/** Display names of the filter categories (sidebar, active filter chips). */
+export const FILTER_CATEGORY_LABELS = {
+    'frame range': 'Frame Count',
+    'scene': 'Scene',
+    'robot': 'Robot Model',
+    'end': 'End Effector',
+    'action': 'Action',
+    'object': 'Operation Object',
+    [RANGE_CATEGORY]: 'Numeric Ranges'
+};
+
+/** Filter keys for which a dataset can have several values, so "match all selected values" is meaningful. */
+export const MULTI_VALUE_FILTER_KEYS = ['scene', 'robot', 'action', 'object'];
 
 /**
- * Build filter groups from datasets.
- * @param {Dataset[]} datasets
+ * Split a filter id into key and value.
+ * Keys never contain ':', so values may (only the first ':' separates them).
+ * @param {string} filterId - e.g. "object:kitchenware>cup"
+ * @returns {{key: string, value: string}}
+ */
+export function parseFilterId(filterId) {
+    const index = filterId.indexOf(':');
+    if (index === -1) return { key: filterId, value: '' };
+    return { key: filterId.slice(0, index), value: filterId.slice(index + 1) };
+}
+
+/**
+ * Create empty filter groups.
  * @returns {Object<string, FilterGroup>}
  */
-export function buildFilterGroups(datasets) {
-    const groups = {
+export function createEmptyFilterGroups() {
+    return {
         'frame range': {
             title: 'frame range',
             values: new Set(),
@@ -45,7 +75,14 @@ export function buildFilterGroups(datasets) {
             type: 'hierarchical'
         }
     };
+}
 
+/**
+ * Add the filter values of datasets to existing filter groups (used while the catalog streams in).
+ * @param {Object<string, FilterGroup>} groups
+ * @param {Dataset[]} datasets
+ */
+export function addDatasetsToFilterGroups(groups, datasets) {
     datasets.forEach(ds => {
         if (ds.frameRange) {
             groups['frame range'].values.add(ds.frameRange);
@@ -71,85 +108,101 @@ export function buildFilterGroups(datasets) {
             });
         }
     });
+}
 
-    return groups;
+/**
+ * Get the values a dataset has for one filter key.
+ * This is the predicate shared by the filter dropdown and the search query language (`robot:`, `scene:`, ...).
+ * @param {Dataset} ds
+ * @param {string} filterKey - 'frame range' | 'scene' | 'robot' | 'end' | 'action' | 'object'
+ * @returns {string[]} Values (for objects: the encoded path of every hierarchy node, see filter-hierarchy.js)
+ */
+export function getDatasetFilterValues(ds, filterKey) {
+    switch (filterKey) {
+        case 'frame range':
+            return ds.frameRange ? [ds.frameRange] : [];
+        case 'scene':
+            return ds.scenes || [];
+        case 'robot':
+            if (!ds.robot) return [];
+            return Array.isArray(ds.robot) ? ds.robot : [ds.robot];
+        case 'end':
+            return ds.endEffector ? [ds.endEffector] : [];
+        case 'action':
+            return ds.actions || [];
+        case 'object':
+            return ds.objects ? [...new Set(ds.objects.flatMap(obj => getHierarchyPaths(obj.hierarchy || [])))] : [];
+        default:
+            return [];
+    }
 }
 
 /**
- * Calculate affected dataset count for a specific filter option.
- * @param {Dataset[]} datasets
+ * Get the human-readable values a dataset has for one filter key (matched by the search query language).
+ * @param {Dataset} ds
  * @param {string} filterKey
- * @param {string} filterValue
- * @returns {number}
+ * @returns {string[]} Values (every hierarchy level name for objects)
  */
-export function calculateAffectedCount(datasets, filterKey, filterValue) {
-    let count = 0;
-
-    datasets.forEach(ds => {
-        let match = false;
+export function getDatasetFilterLabels(ds, filterKey) {
+    if (filterKey === 'object') {
+        return ds.objects ? ds.objects.flatMap(obj => obj.hierarchy || []) : [];
+    }
+    return getDatasetFilterValues(ds, filterKey);
+}
 
-        if (filterKey === 'frame range') {
-            match = ds.frameRange === filterValue;
-        } else if (filterKey === 'scene') {
-            match = ds.scenes && ds.scenes.includes(filterValue);
-        } else if (filterKey === 'robot') {
-            const robots = Array.isArray(ds.robot) ? ds.robot : [ds.robot];
-            match = robots.includes(filterValue);
-        } else if (filterKey === 'end') {
-            match = ds.endEffector === filterValue;
-        } else if (filterKey === 'action') {
-            match = ds.actions && ds.actions.includes(filterValue);
-        } else if (filterKey === 'object') {
-            match = ds.objects && ds.objects.some(obj =>
-                obj.hierarchy.includes(filterValue)
-            );
-        }
+/**
+ * Get every filter id (`key:value`) a dataset matches.
+ * Mirrors the values collected by addDatasetsToFilterGroups.
+ * @param {Dataset} ds
+ * @returns {Set<string>}
+ */
+export function getDatasetFilterIds(ds) {
+    const ids = new Set();
 
-        if (match) count++;
+    FILTER_KEYS.forEach(filterKey => {
+        getDatasetFilterValues(ds, filterKey).forEach(value => ids.add(`${filterKey}:${value}`));
     });
 
-    return count;
+    return ids;
 }
 
 /**
- * Calculate static counts for all filter options.
+ * Add datasets to existing static counts (each dataset counts once per option).
+ * @param {Map<string, number>} staticCounts
  * @param {Dataset[]} datasets
- * @param {Object<string, FilterGroup>} filterGroups
- * @returns {Map<string, number>}
  */
-export function calculateStaticFilterCounts(datasets, filterGroups) {
-    const staticCounts = new Map();
-
-    for (const [key, group] of Object.entries(filterGroups)) {
-        if (group.type === 'flat') {
-            group.values.forEach(value => {
-                const count = calculateAffectedCount(datasets, key, value);
-                staticCounts.set(`${key}:${value}`, count);
-            });
-        } else if (group.type === 'hierarchical') {
-            calculateStaticHierarchyCounts(datasets, key, group.values, staticCounts);
-        }
-    }
-
-    return staticCounts;
+export function addToStaticFilterCounts(staticCounts, datasets) {
+    datasets.forEach(ds => {
+        getDatasetFilterIds(ds).forEach(filterId => {
+            staticCounts.set(filterId, (staticCounts.get(filterId) || 0) + 1);
+        });
+    });
 }
 
 /**
- * Calculate static hierarchy counts recursively and fill into map.
- * @param {Dataset[]} datasets
- * @param {string} key
- * @param {Map} hierarchyMap
- * @param {Map<string, number>} staticCounts
+ * Lower bound of a frame range bucket, e.g. `100K-1M` → 100000.
+ * @param {string} value
+ * @returns {number} Infinity when the bucket has no number
  */
-export function calculateStaticHierarchyCounts(datasets, key, hierarchyMap, staticCounts) {
-    hierarchyMap.forEach((node, value) => {
-        const count = calculateAffectedCount(datasets, key, value);
-        staticCounts.set(`${key}:${value}`, count);
+function getFrameRangeLowerBound(value) {
+    const match = /\d+(?:\.\d+)?\s*[km]?/i.exec(value);
+    const bound = match ? parseQueryNumber(match[0]) : NaN;
+    return Number.isNaN(bound) ? Infinity : bound;
+}
 
-        if (node.children.size > 0) {
-            calculateStaticHierarchyCounts(datasets, key, node.children, staticCounts);
-        }
-    });
+/**
+ * Sort the values of a flat filter group for display.
+ * Frame range buckets are ordered by size (`1K-10K` before `10K-100K`), other values alphabetically.
+ * @param {string} filterKey
+ * @param {Iterable<string>} values
+ * @returns {string[]}
+ */
+export function sortFilterValues(filterKey, values) {
+    const sorted = Array.from(values);
+    if (filterKey === 'frame range') {
+        return sorted.sort((a, b) => (getFrameRangeLowerBound(a) - getFrameRangeLowerBound(b)) || a.localeCompare(b));
+    }
+    return sorted.sort();
 }
 
 /**
@@ -171,10 +224,17 @@ export function getCategoryItemCount(filterGroups, categoryKey) {
 }
 
 export default {
-    buildFilterGroups,
-    calculateAffectedCount,
-    calculateStaticFilterCounts,
-    calculateStaticHierarchyCounts,
+    FILTER_KEYS,
+    FILTER_CATEGORY_LABELS,
+    MULTI_VALUE_FILTER_KEYS,
+    parseFilterId,
+    sortFilterValues,
+    createEmptyFilterGroups,
+    addDatasetsToFilterGroups,
+    getDatasetFilterValues,
+    getDatasetFilterLabels,
+    getDatasetFilterIds,
+    addToStaticFilterCounts,
     getCategoryItemCount
 };
 
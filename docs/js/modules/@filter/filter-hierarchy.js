@@ -4,10 +4,83 @@
  *
  * 这些函数与具体的 FilterManager 实例解耦，通过参数传入 manager，
  * 便于后续进一步拆分和测试。
+ *
+ * 层级节点的筛选值是完整路径（如 `object:kitchenware>cup`），不同层级的同名节点互不冲突。
+ * 路径中每一级的 `\` 与 `>` 会被转义，因此含有这些字符的名称也能无歧义地拆分。
  */
 
 import { qs } from '../dom-utils.js';
 
+/** Separator between hierarchy levels in a path. */
+export const HIERARCHY_SEPARATOR = '>';
+
+/**
+ * Escape one hierarchy level for use in a path.
+ * @param {string} level
+ * @returns {string}
+ */
+function escapeHierarchyLevel(level) {
+    return String(level).replace(/[\\>]/g, ch => `\\${ch}`);
+}
+
+/**
+ * Append a level to an encoded hierarchy path.
+ * @param {string} parentPath - Encoded path ('' for the root)
+ * @param {string} level - Raw level name
+ * @returns {string}
+ */
+export function appendHierarchyPath(parentPath, level) {
+    const escaped = escapeHierarchyLevel(level);
+    return parentPath ? `${parentPath}${HIERARCHY_SEPARATOR}${escaped}` : escaped;
+}
+
+/**
+ * Encode hierarchy levels as a path, e.g. ['kitchenware', 'cup'] → "kitchenware>cup".
+ * @param {string[]} levels
+ * @returns {string}
+ */
+export function joinHierarchyPath(levels) {
+    return levels.reduce(appendHierarchyPath, '');
+}
+
+/**
+ * Split an encoded hierarchy path into raw level names (inverse of joinHierarchyPath).
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function splitHierarchyPath(path) {
+    const levels = [];
+    let current = '';
+    for (let i = 0; i < path.length; i++) {
+        const ch = path[i];
+        if (ch === '\\' && i + 1 < path.length) {
+            current += path[++i];
+        } else if (ch === HIERARCHY_SEPARATOR) {
+            levels.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    levels.push(current);
+    return levels;
+}
+
+/**
+ * Get the encoded path of every node from the root down to the last level.
+ * @param {string[]} levels
+ * @returns {string[]} e.g. ['kitchenware', 'kitchenware>cup']
+ */
+export function getHierarchyPaths(levels) {
+    const paths = [];
+    levels.reduce((parentPath, level) => {
+        const path = appendHierarchyPath(parentPath, level);
+        paths.push(path);
+        return path;
+    }, '');
+    return paths;
+}
+
 /**
  * Add object hierarchy to Map structure.
  * @param {Map<string, {children: Map, isLeaf: boolean}>} hierarchyMap
@@ -50,17 +123,15 @@ export function countHierarchyItems(hierarchyMap) {
  * @param {import('./filter-manager.js').FilterManager} manager
  * @param {string} groupKey
  * @param {Map} hierarchyMap
- * @param {string} parentPath
+ * @param {string} parentPath - Encoded path of the parent node
  */
 export function selectAllInHierarchy(manager, groupKey, hierarchyMap, parentPath = '') {
     hierarchyMap.forEach((node, value) => {
-        const fullPath = parentPath ? `${parentPath}>${value}` : value;
+        const fullPath = appendHierarchyPath(parentPath, value);
 
         if (node.isLeaf || node.children.size === 0) {
-            const filterId = `${groupKey}:${value}`;
-            if (!manager.selectedFilters.has(filterId)) {
-                manager.selectedFilters.add(filterId);
-            }
+            // Also turns exclusions into selections
+            manager.filterState.add(groupKey, fullPath);
         }
 
         if (node.children.size > 0) {
@@ -72,11 +143,11 @@ export function selectAllInHierarchy(manager, groupKey, hierarchyMap, parentPath
 /**
  * Find a node in the hierarchy by path.
  * @param {Map} hierarchyMap
- * @param {string} path e.g. "parent>child"
+ * @param {string} path - Encoded path, e.g. "parent>child"
  * @returns {{children: Map, isLeaf: boolean}|null}
  */
 export function findHierarchyNode(hierarchyMap, path) {
-    const parts = path.split('>');
+    const parts = splitHierarchyPath(path);
     let current = hierarchyMap;
 
     for (let i = 0; i < parts.length; i++) {
@@ -93,26 +164,34 @@ export function findHierarchyNode(hierarchyMap, path) {
 }
 
 /**
- * Recursively clear all leaf nodes.
+ * Clear the selection or exclusion of one node.
+ * @param {import('./filter-manager.js').FilterManager} manager
+ * @param {string} groupKey
+ * @param {string} path - Encoded node path
+ */
+function clearHierarchyNode(manager, groupKey, path) {
+    const filterId = `${groupKey}:${path}`;
+    if (manager.filterState.getMode(filterId)) {
+        manager.filterState.delete(groupKey, path);
+        const option = manager.filterOptionCache.get(filterId);
+        if (option) {
+            option.classList.remove('selected', 'excluded');
+        }
+    }
+}
+
+/**
+ * Recursively clear all nodes (leaves and parents) below a path.
  * @param {import('./filter-manager.js').FilterManager} manager
  * @param {string} groupKey
  * @param {Map} hierarchyMap
- * @param {string} parentPath
+ * @param {string} parentPath - Encoded path of the parent node
  */
 export function clearLeafNodesRecursive(manager, groupKey, hierarchyMap, parentPath) {
     hierarchyMap.forEach((node, value) => {
-        const fullPath = parentPath ? `${parentPath}>${value}` : value;
+        const fullPath = appendHierarchyPath(parentPath, value);
 
-        if (node.isLeaf || node.children.size === 0) {
-            const filterId = `${groupKey}:${value}`;
-            if (manager.selectedFilters.has(filterId)) {
-                manager.selectedFilters.delete(filterId);
-                const option = manager.filterOptionCache.get(filterId);
-                if (option) {
-                    option.classList.remove('selected');
-                }
-            }
-        }
+        clearHierarchyNode(manager, groupKey, fullPath);
 
         if (node.children.size > 0) {
             clearLeafNodesRecursive(manager, groupKey, node.children, fullPath);
@@ -139,7 +218,7 @@ export function selectAllChildrenInHierarchy(manager, groupKey, path) {
     // Apply styles to currently visible options under this path
     const container = qs('#filterGroups');
     if (container) {
-        const pathOption = container.querySelector(`.filter-option[data-path="${path}"]`);
+        const pathOption = container.querySelector(`.filter-option[data-path="${CSS.escape(path)}"]`);
         if (pathOption) {
             const wrapper = pathOption.closest('.filter-option-wrapper');
             const childrenContainer = wrapper?.querySelector('.filter-children');
@@ -149,12 +228,13 @@ export function selectAllChildrenInHierarchy(manager, groupKey, path) {
         }
     }
 
+    manager.updateHierarchyIndicators();
     manager.updateTriggerCount();
     manager.scheduleFilterUpdate();
 }
 
 /**
- * Clear all children in a hierarchy path.
+ * Clear a hierarchy node and all its children.
  * @param {import('./filter-manager.js').FilterManager} manager
  * @param {string} groupKey
  * @param {string} path
@@ -166,14 +246,21 @@ export function clearAllChildrenInHierarchy(manager, groupKey, path) {
     const node = findHierarchyNode(group.values, path);
     if (!node) return;
 
-    // Clear all leaf nodes under this path
+    // Clear the node itself and every node under this path
+    clearHierarchyNode(manager, groupKey, path);
     clearLeafNodesRecursive(manager, groupKey, node.children, path);
 
+    manager.updateHierarchyIndicators();
     manager.updateTriggerCount();
     manager.scheduleFilterUpdate();
 }
 
 export default {
+    HIERARCHY_SEPARATOR,
+    appendHierarchyPath,
+    joinHierarchyPath,
+    splitHierarchyPath,
+    getHierarchyPaths,
     addToHierarchy,
     countHierarchyItems,
     selectAllInHierarchy,
@@ -0,0 +1,289 @@
+/**
+ * @file Filter Index
+ * @description Bitset posting lists per filter id: filtering and facet counts become bitwise set operations
+ *
+ * 每个 filterId（key:value）对应一个位图，第 i 位表示 catalog 中第 i 个数据集是否具有该值。
+ * 同一类别内的选择取并集（OR，ALL 模式下取交集），不同类别之间取交集（AND），
+ * 排除项的并集从结果中减去（AND NOT）。数值范围等其他条件以位图形式传入（见 query 的 constraints），按类别处理。
+ * 本模块不依赖 DOM，在 catalog worker 中使用。
+ */
+
+/// <reference path="../../types.js" />
+
+import { FILTER_KEYS, getDatasetFilterIds } from './data.js';
+
+/**
+ * @typedef {Uint32Array} Bitset - Bit i set = dataset at position i
+ */
+
+/**
+ * Count set bits of a 32-bit word.
+ * @param {number} word
+ * @returns {number}
+ */
+function popcount32(word) {
+    let v = word - ((word >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Count the bits set in both bitsets.
+ * @param {Bitset} a
+ * @param {Bitset} b
+ * @returns {number}
+ */
+function countIntersection(a, b) {
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+        count += popcount32(a[i] & b[i]);
+    }
+    return count;
+}
+
+/**
+ * Filter Index Class
+ */
+export class FilterIndex {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Remove all datasets.
+     */
+    clear() {
+        /** @type {Map<string, Bitset>} Filter id → datasets having that value */
+        this.postings = new Map();
+
+        /** @type {Object<string, string[]>} Filter key → filter ids seen for that key */
+        this.idsByKey = Object.fromEntries(FILTER_KEYS.map(key => [key, []]));
+
+        /** @type {number} Number of indexed datasets */
+        this.size = 0;
+
+        /** @type {number} Allocated words per bitset */
+        this.wordCount = 0;
+    }
+
+    /**
+     * Create an empty bitset with the current capacity.
+     * @returns {Bitset}
+     */
+    createBitset() {
+        return new Uint32Array(this.wordCount);
+    }
+
+    /**
+     * Create a bitset with every indexed dataset set.
+     * @returns {Bitset}
+     */
+    createFullBitset() {
+        const bits = this.createBitset();
+        const fullWords = this.size >>> 5;
+        bits.fill(0xffffffff, 0, fullWords);
+        if (this.size & 31) {
+            bits[fullWords] = (1 << (this.size & 31)) - 1;
+        }
+        return bits;
+    }
+
+    /**
+     * Grow every posting list so `size` datasets fit (capacity doubles).
+     * @param {number} size
+     */
+    ensureCapacity(size) {
+        const needed = Math.ceil(size / 32);
+        if (needed <= this.wordCount) return;
+
+        this.wordCount = Math.max(needed, this.wordCount * 2, 8);
+        this.postings.forEach((bits, filterId) => {
+            const grown = this.createBitset();
+            grown.set(bits);
+            this.postings.set(filterId, grown);
+        });
+    }
+
+    /**
+     * Add a dataset at the next position.
+     * @param {Dataset} ds
+     */
+    add(ds) {
+        const position = this.size;
+        this.ensureCapacity(position + 1);
+        this.size++;
+
+        getDatasetFilterIds(ds).forEach(filterId => {
+            let bits = this.postings.get(filterId);
+            if (!bits) {
+                bits = this.createBitset();
+                this.postings.set(filterId, bits);
+                const key = filterId.slice(0, filterId.indexOf(':'));
+                if (this.idsByKey[key]) this.idsByKey[key].push(filterId);
+            }
+            bits[position >>> 5] |= 1 << (position & 31);
+        });
+    }
+
+    /**
+     * Rebuild the index for datasets in a new order.
+     * @param {Dataset[]} datasets
+     */
+    rebuild(datasets) {
+        this.clear();
+        this.ensureCapacity(datasets.length);
+        datasets.forEach(ds => this.add(ds));
+    }
+
+    /**
+     * Datasets having any of the given filter ids.
+     * @param {string[]} filterIds
+     * @returns {Bitset}
+     */
+    union(filterIds) {
+        const result = this.createBitset();
+        filterIds.forEach(filterId => {
+            const bits = this.postings.get(filterId);
+            if (!bits) return;
+            for (let i = 0; i < result.length; i++) {
+                result[i] |= bits[i];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Datasets having all of the given filter ids.
+     * @param {string[]} filterIds
+     * @returns {Bitset}
+     */
+    intersection(filterIds) {
+        const empty = this.createBitset();
+        return this.intersect(this.createFullBitset(), filterIds.map(filterId => this.postings.get(filterId) || empty));
+    }
+
+    /**
+     * Intersect bitsets into a new bitset.
+     * @param {Bitset} base
+     * @param {Bitset[]} others
+     * @returns {Bitset}
+     */
+    intersect(base, others) {
+        const result = base.slice();
+        others.forEach(bits => {
+            for (let i = 0; i < result.length; i++) {
+                result[i] &= bits[i];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Clear the bits of `removed` in a new copy of `base`.
+     * @param {Bitset} base
+     * @param {Bitset} removed
+     * @returns {Bitset}
+     */
+    subtract(base, removed) {
+        const result = base.slice();
+        for (let i = 0; i < result.length; i++) {
+            result[i] &= ~removed[i];
+        }
+        return result;
+    }
+
+    /**
+     * Number of datasets in `mask` having a filter id.
+     * @param {string} filterId
+     * @param {Bitset} [mask] - Defaults to all datasets
+     * @returns {number}
+     */
+    count(filterId, mask = this.createFullBitset()) {
+        const bits = this.postings.get(filterId);
+        return bits ? countIntersection(bits, mask) : 0;
+    }
+
+    /**
+     * Apply the selected and excluded filters to a candidate set and compute conditional facet counts.
+     * An option's count is the number of candidates matching the other categories' selections,
+     * all exclusions and the option itself (standard multi-select facet semantics).
+     * An excluded option is counted without its own exclusion, i.e. as if it were selected instead.
+     * In a category matching all selected values, an option counts the results if it were added to the selection.
+     * @param {Object<string, string[]>} filtersByKey - Selected values per filter key
+     * @param {Bitset} candidates - Datasets matching the search
+     * @param {Object<string, string[]>} [excludedByKey={}] - Excluded values per filter key
+     * @param {Object<string, 'any'|'all'>} [matchModes={}] - Match mode per filter key (default 'any')
+     * @param {Object<string, Bitset>} [constraints={}] - Further conditions by key (e.g. numeric ranges), intersected like
+     *        the selection of a category; keys must differ from filter keys
+     * @returns {{matches: Bitset, facetCounts: Map<string, number>, constraintBases: Map<string, Bitset>}}
+     *          constraintBases: per constraint key, the datasets matching everything except that constraint
+     */
+    query(filtersByKey, candidates, excludedByKey = {}, matchModes = {}, constraints = {}) {
+        const toIds = byKey => Object.entries(byKey).flatMap(([key, values]) => values.map(value => `${key}:${value}`));
+        const matchesAll = key => matchModes[key] === 'all';
+
+        const selections = new Map();
+        Object.entries(filtersByKey).forEach(([key, values]) => {
+            const filterIds = values.map(value => `${key}:${value}`);
+            selections.set(key, matchesAll(key) ? this.intersection(filterIds) : this.union(filterIds));
+        });
+        Object.entries(constraints).forEach(([key, bits]) => {
+            selections.set(key, bits);
+        });
+
+        const excludedIds = new Set(toIds(excludedByKey));
+        const allowed = this.subtract(candidates, this.union(Array.from(excludedIds)));
+
+        const matches = this.intersect(allowed, Array.from(selections.values()));
+        const facetCounts = new Map();
+
+        Object.entries(this.idsByKey).forEach(([key, filterIds]) => {
+            // ANY 模式下该类别自身的选择不参与其选项的计数；ALL 模式下选项在现有选择的基础上继续收窄
+            const skipOwnSelection = selections.has(key) && !matchesAll(key);
+            const others = Array.from(selections).filter(([other]) => !skipOwnSelection || other !== key).map(([, bits]) => bits);
+            const base = skipOwnSelection ? this.intersect(allowed, others) : matches;
+
+            filterIds.forEach(filterId => {
+                let count;
+                if (excludedIds.has(filterId)) {
+                    // 被排除的选项：按“改为包含”计数，即不考虑它自身的排除
+                    const rest = Array.from(excludedIds).filter(id => id !== filterId);
+                    const unexcluded = this.intersect(this.subtract(candidates, this.union(rest)), others);
+                    count = countIntersection(this.postings.get(filterId), unexcluded);
+                } else {
+                    count = countIntersection(this.postings.get(filterId), base);
+                }
+                if (count > 0) facetCounts.set(filterId, count);
+            });
+        });
+
+        // 范围直方图：与类别的分面计数相同，不考虑该条件自身
+        const constraintBases = new Map();
+        Object.keys(constraints).forEach(key => {
+            const others = Array.from(selections).filter(([other]) => other !== key).map(([, bits]) => bits);
+            constraintBases.set(key, this.intersect(allowed, others));
+        });
+
+        return { matches, facetCounts, constraintBases };
+    }
+
+    /**
+     * Positions of the set bits, ascending.
+     * @param {Bitset} bits
+     * @returns {number[]}
+     */
+    toPositions(bits) {
+        const positions = [];
+        for (let i = 0; i < bits.length; i++) {
+            let word = bits[i];
+            while (word !== 0) {
+                const bit = 31 - Math.clz32(word & -word);
+                positions.push((i << 5) + bit);
+                word &= word - 1;
+            }
+        }
+        return positions;
+    }
+}
+
+export default FilterIndex;
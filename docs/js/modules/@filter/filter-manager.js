@@ -10,17 +10,23 @@ import { qs, qsa, addClass, removeClass, toggleClass, setHTML, setText } from '.
 import {
     selectAllInHierarchy,
     selectAllChildrenInHierarchy,
-    clearAllChildrenInHierarchy
+    clearAllChildrenInHierarchy,
+    splitHierarchyPath,
+    getHierarchyPaths
 } from './filter-hierarchy.js';
 import FilterSearchHelper from './filter-search.js';
 import FilterRenderer from './filter-renderer.js';
-import {
-    buildFilterGroups,
-    calculateStaticFilterCounts,
-    getCategoryItemCount,
-    calculateAffectedCount,
-    calculateStaticHierarchyCounts
-} from './data.js';
+import FilterTagsRenderer from './filter-tags.js';
+import RangeFacetRenderer from './range-renderer.js';
+import { FILTER_KEYS, MULTI_VALUE_FILTER_KEYS, getCategoryItemCount, parseFilterId } from './data.js';
+import { RANGE_CATEGORY, normalizeRanges } from './range-facets.js';
+import catalogClient from '../@catalog/index.js';
+
+/**
+ * @typedef {import('../@catalog/catalog-engine.js').CatalogQueryResult} CatalogQueryResult
+ * @typedef {import('../@catalog/catalog-engine.js').RangeFacetResult} RangeFacetResult
+ * @typedef {import('./range-facets.js').NumericRange} NumericRange
+ */
 
 /**
  * Filter Manager Class
@@ -28,11 +34,15 @@ import {
  */
 export class FilterManager {
     /**
-     * @param {Dataset[]} datasets - All datasets
+     * @param {CatalogSnapshot} catalog - Loaded catalog (datasets, filter groups, static counts)
      * @param {Object} robotAliasManager - Robot alias manager instance
      */
-    constructor(datasets, robotAliasManager) {
-        this.datasets = datasets;
+    constructor(catalog, robotAliasManager) {
+        /** @type {Dataset[]} */
+        this.datasets = [];
+
+        /** @type {Map<string, Dataset>} */
+        this.datasetMap = new Map();
 
         /** @type {Object<string, FilterGroup>} */
         this.filterGroups = {};
@@ -40,12 +50,15 @@ export class FilterManager {
         /** @type {Set<string>} */
         this.selectedFilters = new Set();
 
+        /** @type {Set<string>} Excluded filter ids (datasets having them are hidden) */
+        this.excludedFilters = new Set();
+
         /**
          * Encapsulated filter selection state helper.
-         * wraps the same backing Set so existing logic keeps working.
+         * wraps the same backing Sets so existing logic keeps working.
          * @type {FilterState}
          */
-        this.filterState = new FilterState(this.selectedFilters);
+        this.filterState = new FilterState(this.selectedFilters, this.excludedFilters);
 
         /** @type {Map<string, HTMLElement>} */
         this.filterOptionCache = new Map();
@@ -53,9 +66,27 @@ export class FilterManager {
         /** @type {number|null} */
         this.pendingFilterUpdate = null;
 
-        // Static count cache for UI display (only calculated once at initialization)
+        /** @type {string|null} Category whose options are shown in the right panel */
+        this.activeCategory = null;
+
+        /** @type {string|null} Filter values the rendered UI was built from (see getFilterValuesKey) */
+        this.renderedValuesKey = null;
+
+        /** @type {string[]} Search tokens of the last applied query, highlighted in the grid */
+        this.highlightTerms = [];
+
+        // Static count cache for UI display (computed by the catalog engine)
         this.staticFilterCounts = new Map();
 
+        /** @type {Map<string, number>|null} Conditional counts of the last applied query (null until the first query) */
+        this.facetCounts = null;
+
+        /** @type {Object<string, RangeFacetResult>|null} Range facet domains and histograms of the last applied query */
+        this.rangeFacets = null;
+
+        /** @type {{key: string, promise: Promise<CatalogQueryResult>}|null} Last query, reused until filters, search or catalog change */
+        this.queryCache = null;
+
         /**
          * Robot alias manager (optional)
          * Provides common_name and aliases for robot IDs.
@@ -73,29 +104,76 @@ export class FilterManager {
          * @type {FilterSearchHelper}
          */
         this.filterSearch = new FilterSearchHelper(this, this.robotAliasManager);
+
+        /**
+         * Active filter chips bar below the control bar.
+         * @type {FilterTagsRenderer}
+         */
+        this.filterTags = new FilterTagsRenderer(this);
+
+        /**
+         * Numeric range facets (shown under the "Numeric Ranges" category).
+         * @type {RangeFacetRenderer}
+         */
+        this.rangeRenderer = new RangeFacetRenderer(this);
+
+        this.setCatalog(catalog);
     }
 
     /**
-     * Build filter groups from datasets
+     * Use a (new) catalog snapshot. Call renderFilterGroups() or refreshFilterGroups() afterwards to refresh the UI.
+     * @param {CatalogSnapshot} catalog - Loaded catalog
      */
-    buildFilterGroups() {
-        this.filterGroups = buildFilterGroups(this.datasets);
-        // Render UI
-        this.renderFilterGroups();
+    setCatalog(catalog) {
+        this.datasets = catalog.datasets;
+        this.datasetMap = new Map(this.datasets.map(ds => [ds.path, ds]));
+        this.filterGroups = catalog.filterGroups;
+        this.staticFilterCounts = catalog.staticCounts;
+        // 目录变化后分面计数与查询缓存失效，下一次查询前回退到静态计数
+        this.facetCounts = null;
+        this.rangeFacets = null;
+        this.queryCache = null;
     }
 
     /**
      * Render filter groups to UI (delegated to renderer).
      */
     renderFilterGroups() {
+        this.renderedValuesKey = this.getFilterValuesKey();
         this.renderer.renderFilterGroups();
     }
 
+    /**
+     * Re-render the filter UI only when the catalog brought new filter values.
+     * 流式加载的批次大多只增加已有选项的计数；整体重绘会收起展开的层级并丢失滚动位置，
+     * 计数由随后的查询通过 updateCountElements 更新。
+     * @param {boolean} [force=false] - Re-render even when the values look unchanged (e.g. a replaced catalog)
+     * @returns {boolean} True when the UI was re-rendered
+     */
+    refreshFilterGroups(force = false) {
+        if (!force && this.getFilterValuesKey() === this.renderedValuesKey) {
+            return false;
+        }
+        this.renderFilterGroups();
+        return true;
+    }
+
+    /**
+     * Key of the current filter values: the item count per category.
+     * Filter groups only grow while a catalog streams in, so a new value always changes the key.
+     * @returns {string}
+     */
+    getFilterValuesKey() {
+        return FILTER_KEYS.map(key => this.getCategoryItemCount(key)).join(',');
+    }
+
     /**
      * Select a category and show its options in the right panel
      * @param {string} categoryKey - The category key to select
      */
     selectCategory(categoryKey) {
+        this.activeCategory = categoryKey;
+
         // Update sidebar selection
         const sidebar = qs('#filterCategoriesSidebar');
         if (sidebar) {
@@ -113,7 +191,7 @@ export class FilterManager {
         this.renderCategoryOptions(categoryKey);
 
         // Update filter counts when category is selected/opened
-        this.updateStaticCountsForCategory(categoryKey);
+        this.updateUICountsForCategory(categoryKey);
 
         // Re-apply current search query if any
         const searchInput = qs('#filterFinderInput');
@@ -140,41 +218,79 @@ export class FilterManager {
     }
 
     /**
-     * Toggle filter selection
+     * Cycle a filter option through include → exclude → neutral
      * @param {string} filterKey - Filter key
      * @param {string} filterValue - Filter value
      * @param {string} filterLabel - Filter label
      * @param {HTMLElement} optionElement - Option element
      */
     toggleFilterSelection(filterKey, filterValue, filterLabel, optionElement) {
-        const filterId = `${filterKey}:${filterValue}`;
+        this.filterState.cycle(filterKey, filterValue);
 
-        if (this.selectedFilters.has(filterId)) {
-            this.selectedFilters.delete(filterId);
-            if (optionElement) {
-                removeClass(optionElement, 'selected');
-            }
-        } else {
-            this.selectedFilters.add(filterId);
-            if (optionElement) {
-                addClass(optionElement, 'selected');
-            }
+        if (optionElement) {
+            this.applyOptionState(optionElement, `${filterKey}:${filterValue}`);
         }
+        this.updateHierarchyIndicators();
 
         this.updateTriggerCount();
         this.scheduleFilterUpdate();
     }
 
+    /**
+     * Set the include/exclude classes of an option element from the filter state
+     * @param {HTMLElement} element - Option element
+     * @param {string} filterId - Filter id (`key:value`)
+     */
+    applyOptionState(element, filterId) {
+        const mode = this.filterState.getMode(filterId);
+        toggleClass(element, 'selected', mode === 'include');
+        toggleClass(element, 'excluded', mode === 'exclude');
+    }
 
     /**
-     * Update trigger count badge
+     * Switch a category between matching any and all of its selected values
+     * @param {string} categoryKey - Filter key
+     */
+    toggleMatchMode(categoryKey) {
+        const mode = this.filterState.getMatchMode(categoryKey) === 'all' ? 'any' : 'all';
+        this.filterState.setMatchMode(categoryKey, mode);
+        this.renderer.updateMatchModeToggle(categoryKey);
+        this.scheduleFilterUpdate();
+    }
+
+    /**
+     * Mark hierarchy parent rows with selections below them that are not selected themselves
+     * (tri-state indicator: selected / partially selected / none)
+     */
+    updateHierarchyIndicators() {
+        const container = qs('#filterGroups');
+        if (!container) return;
+
+        // Filter ids of every ancestor of a selected hierarchy node
+        const partialIds = new Set();
+        this.selectedFilters.forEach(filterId => {
+            const { key, value } = parseFilterId(filterId);
+            if (this.filterGroups[key]?.type !== 'hierarchical') return;
+            getHierarchyPaths(splitHierarchyPath(value))
+                .slice(0, -1)
+                .forEach(path => partialIds.add(`${key}:${path}`));
+        });
+
+        qsa('.filter-option.hierarchy-parent', container).forEach(option => {
+            const filterId = `${option.dataset.filter}:${option.dataset.value}`;
+            toggleClass(option, 'subtree-partial', partialIds.has(filterId) && !this.selectedFilters.has(filterId));
+        });
+    }
+
+    /**
+     * Update trigger count badge (selections, exclusions and ranges)
      */
     updateTriggerCount() {
         const countEl = qs('#filterTriggerCount');
         if (!countEl) return;
 
-        if (this.selectedFilters.size > 0) {
-            countEl.textContent = this.selectedFilters.size;
+        if (this.filterState.size > 0) {
+            countEl.textContent = this.filterState.size;
         } else {
             countEl.textContent = '';
         }
@@ -185,25 +301,19 @@ export class FilterManager {
      */
     updateFilterOptionStyles() {
         this.filterOptionCache.forEach((element, filterId) => {
-            if (this.selectedFilters.has(filterId)) {
-                addClass(element, 'selected');
-            } else {
-                removeClass(element, 'selected');
-            }
+            this.applyOptionState(element, filterId);
         });
+        this.updateHierarchyIndicators();
     }
 
     /**
-     * Apply selected styles to all options in a specific category
+     * Apply selected/excluded styles to all options in a specific category
      * @param {string} categoryKey - The category key
      */
     applySelectedStylesToCategory(categoryKey) {
-        this.selectedFilters.forEach(filterId => {
+        this.filterOptionCache.forEach((option, filterId) => {
             if (filterId.startsWith(`${categoryKey}:`)) {
-                const option = this.filterOptionCache.get(filterId);
-                if (option) {
-                    addClass(option, 'selected');
-                }
+                this.applyOptionState(option, filterId);
             }
         });
     }
@@ -220,10 +330,7 @@ export class FilterManager {
             const filterKey = option.dataset.filter;
             const filterValue = option.dataset.value;
             if (filterKey && filterValue) {
-                const filterId = `${filterKey}:${filterValue}`;
-                if (this.selectedFilters.has(filterId)) {
-                    addClass(option, 'selected');
-                }
+                this.applyOptionState(option, `${filterKey}:${filterValue}`);
             }
         });
     }
@@ -234,6 +341,70 @@ export class FilterManager {
      * @param {string} filterValue - Filter value
      * @returns {string} Filter label
      */
+    getFilterLabel(filterKey, filterValue) {
+        if (filterKey === 'robot' && this.robotAliasManager && typeof this.robotAliasManager.getDisplayName === 'function') {
+            return this.robotAliasManager.getDisplayName(filterValue);
+        }
+        if (this.filterGroups[filterKey]?.type === 'hierarchical') {
+            return splitHierarchyPath(filterValue).join(' › ');
+        }
+        return filterValue;
+    }
+
+    /**
+     * Remove a selection or exclusion (e.g. from its chip in the active filter bar)
+     * @param {string} filterId - Filter id (`key:value`)
+     */
+    removeFilter(filterId) {
+        const { key, value } = parseFilterId(filterId);
+        this.filterState.delete(key, value);
+
+        const option = this.filterOptionCache.get(filterId);
+        if (option) {
+            this.applyOptionState(option, filterId);
+        }
+        this.updateHierarchyIndicators();
+
+        this.updateTriggerCount();
+        this.scheduleFilterUpdate();
+    }
+
+    /**
+     * Set or clear the range of a numeric range facet
+     * @param {string} key - Range facet key
+     * @param {number|null} min - Inclusive lower bound (null = open)
+     * @param {number|null} max - Inclusive upper bound (null = open)
+     */
+    setRange(key, min, max) {
+        this.filterState.setRange(key, min, max);
+        this.rangeRenderer.update();
+
+        this.updateTriggerCount();
+        this.scheduleFilterUpdate();
+    }
+
+    /**
+     * Remove the range of a numeric range facet (e.g. from its chip)
+     * @param {string} key - Range facet key
+     */
+    clearRange(key) {
+        this.setRange(key, null, null);
+    }
+
+    /**
+     * Refresh the range facet histograms and sliders from the last query
+     */
+    updateRangeFacets() {
+        this.rangeRenderer.update();
+    }
+
+    /**
+     * Show the active filters and search terms as chips (see FilterTagsRenderer)
+     * @param {string} searchQuery - Current search box query
+     */
+    renderFilterTags(searchQuery) {
+        this.filterTags.render(searchQuery);
+    }
 
     /**
      * Schedule filter update (debounced)
@@ -251,107 +422,90 @@ export class FilterManager {
     }
 
     /**
-     * Build searchable text collection for a dataset.
-     * Includes dataset identifiers and robot aliases (if available).
-     * @param {Dataset} ds - Dataset object
-     * @returns {string[]} Searchable text tokens
+     * Apply filters to datasets
+     * Filtering and keyword search run in the catalog engine (Web Worker).
+     * @param {string} searchQuery - Search query
+     * @returns {Promise<Dataset[]>} Filtered datasets (ranked by relevance for text searches)
      */
-    getSearchableTextsForDataset(ds) {
-        const texts = new Set();
-
-        if (ds.name) {
-            texts.add(String(ds.name));
-        }
-
-        if (ds.path) {
-            texts.add(String(ds.path));
-        }
-
-        // Frame range
-        if (ds.frameRange) {
-            texts.add(String(ds.frameRange));
-        }
-
-        // Robot IDs + aliases
-        if (ds.robot) {
-            const robots = Array.isArray(ds.robot) ? ds.robot : [ds.robot];
-            robots.forEach(robotId => {
-                if (!robotId) return;
-
-                if (this.robotAliasManager && typeof this.robotAliasManager.getSearchTokensForRobot === 'function') {
-                    const tokens = this.robotAliasManager.getSearchTokensForRobot(robotId);
-                    tokens.forEach(token => {
-                        if (token) {
-                            texts.add(String(token));
-                        }
-                    });
-                } else {
-                    texts.add(String(robotId));
-                }
-            });
-        }
+    async applyFilters(searchQuery = '') {
+        const { paths, highlightTerms, facetCounts, rangeFacets } = await this.queryCatalog(searchQuery);
+        this.highlightTerms = highlightTerms;
+        this.facetCounts = facetCounts;
+        this.rangeFacets = rangeFacets;
 
-        return Array.from(texts);
+        return paths
+            .map(path => this.datasetMap.get(path))
+            .filter(Boolean);
     }
 
     /**
-     * Apply filters to datasets
+     * Query the catalog engine, reusing the previous result while the filter state and search are unchanged
      * @param {string} searchQuery - Search query
-     * @returns {Dataset[]} Filtered datasets
+     * @returns {Promise<CatalogQueryResult>}
      */
-    applyFilters(searchQuery = '') {
-        const filters = {};
-
-        const trimmedQuery = searchQuery ? searchQuery.trim() : '';
-        const normalizedQuery = trimmedQuery.toLowerCase();
-
-        // Collect selected filters
-        this.filterState.forEach(filterId => {
-            const [key, value] = filterId.split(':');
-            if (!filters[key]) filters[key] = [];
-            filters[key].push(value);
-        });
+    queryCatalog(searchQuery) {
+        const { filters, exclude, modes, ranges } = this.getFilterSnapshot();
+        const key = JSON.stringify([filters, exclude, modes, ranges, searchQuery]);
+        if (this.queryCache && this.queryCache.key === key) {
+            return this.queryCache.promise;
+        }
 
-        const filtered = this.datasets.filter(ds => {
-            // Keyword search: match against dataset id/name and robot aliases / friendly names
-            if (normalizedQuery) {
-                const texts = this.getSearchableTextsForDataset(ds);
-                const matchesSearch = texts.some(text =>
-                    typeof text === 'string' && text.toLowerCase().includes(normalizedQuery)
-                );
+        const promise = catalogClient.query({ filters, exclude, modes, ranges, search: searchQuery });
+        this.queryCache = { key, promise };
 
-                if (!matchesSearch) {
-                    return false;
-                }
+        // 失败的查询不缓存
+        promise.catch(() => {
+            if (this.queryCache && this.queryCache.promise === promise) {
+                this.queryCache = null;
             }
+        });
+        return promise;
+    }
 
-            for (const [key, values] of Object.entries(filters)) {
-                let match = false;
-
-                if (key === 'frame range') {
-                    match = values.includes(ds.frameRange);
-                } else if (key === 'scene') {
-                    match = ds.scenes && ds.scenes.some(v => values.includes(v));
-                } else if (key === 'robot') {
-                    const robots = Array.isArray(ds.robot) ? ds.robot : [ds.robot];
-                    match = robots.some(r => values.includes(r));
-                } else if (key === 'end') {
-                    match = values.includes(ds.endEffector);
-                } else if (key === 'action') {
-                    match = ds.actions && ds.actions.some(a => values.includes(a));
-                } else if (key === 'object') {
-                    match = ds.objects && ds.objects.some(obj =>
-                        obj.hierarchy.some(h => values.includes(h))
-                    );
-                }
+    /**
+     * Snapshot of the filter state (e.g. for the catalog query and shareable links)
+     * @returns {{filters: string[], exclude: string[], modes: Object<string, 'any'|'all'>, ranges: Object<string, NumericRange>}}
+     */
+    getFilterSnapshot() {
+        return {
+            filters: this.filterState.toArray().sort(),
+            exclude: this.filterState.toExcludedArray().sort(),
+            modes: this.filterState.toMatchModes(),
+            ranges: this.filterState.toRanges()
+        };
+    }
 
-                if (!match) return false;
-            }
+    /**
+     * Replace the filter state (e.g. from a link) and refresh the filter UI.
+     * Does not trigger a filter update; callers dispatch `filtersChanged` when ready.
+     * @param {{filters: string[], exclude: string[], modes: Object<string, 'any'|'all'>, ranges?: Object<string, NumericRange>}} snapshot
+     */
+    restoreFilterSnapshot({ filters = [], exclude = [], modes = {}, ranges = {} }) {
+        if (this.pendingFilterUpdate) {
+            clearTimeout(this.pendingFilterUpdate);
+            this.pendingFilterUpdate = null;
+        }
 
-            return true;
+        this.filterState.clear();
+        filters.forEach(filterId => {
+            const { key, value } = parseFilterId(filterId);
+            this.filterState.add(key, value);
+        });
+        exclude.forEach(filterId => {
+            const { key, value } = parseFilterId(filterId);
+            this.filterState.exclude(key, value);
+        });
+        MULTI_VALUE_FILTER_KEYS.forEach(key => {
+            this.filterState.setMatchMode(key, modes[key]);
+            this.renderer.updateMatchModeToggle(key);
+        });
+        Object.entries(normalizeRanges(ranges)).forEach(([key, { min, max }]) => {
+            this.filterState.setRange(key, min, max);
         });
 
-        return filtered;
+        this.updateFilterOptionStyles();
+        this.rangeRenderer.update();
+        this.updateTriggerCount();
     }
 
     /**
@@ -365,9 +519,9 @@ export class FilterManager {
 
         this.filterState.clear();
         this.updateFilterOptionStyles();
+        this.rangeRenderer.update();
 
-        const container = qs('#filterTagsContainer');
-        setHTML(container, '');
+        this.renderFilterTags(qs('#searchBox')?.value || '');
 
         this.updateTriggerCount();
         this.scheduleFilterUpdate();
@@ -421,11 +575,9 @@ export class FilterManager {
         if (!group) return;
 
         if (group.type === 'flat') {
+            // Also turns exclusions into selections
             group.values.forEach(value => {
-                const filterId = `${groupKey}:${value}`;
-                if (!this.selectedFilters.has(filterId)) {
-                    this.selectedFilters.add(filterId);
-                }
+                this.filterState.add(groupKey, value);
             });
         } else if (group.type === 'hierarchical') {
             // Select all leaf nodes in hierarchy (delegated helper)
@@ -434,86 +586,53 @@ export class FilterManager {
 
         // Apply styles to currently visible (cached and rendered) options
         this.applySelectedStylesToCategory(groupKey);
+        this.updateHierarchyIndicators();
 
         this.updateTriggerCount();
         this.scheduleFilterUpdate();
     }
 
     /**
-     * Clear all filters in a group
-     * @param {string} groupKey - Filter group key
+     * Clear all filters (selections and exclusions) in a group
+     * @param {string} groupKey - Filter group key (RANGE_CATEGORY clears all numeric ranges)
      */
     clearGroup(groupKey) {
+        if (groupKey === RANGE_CATEGORY) {
+            Object.keys(this.filterState.toRanges()).forEach(key => {
+                this.filterState.setRange(key, null, null);
+            });
+            this.rangeRenderer.update();
+            this.updateTriggerCount();
+            this.scheduleFilterUpdate();
+            return;
+        }
+
         const filtersToRemove = [];
 
-        this.selectedFilters.forEach(filterId => {
-            const [key] = filterId.split(':');
-            if (key === groupKey) {
-                filtersToRemove.push(filterId);
-            }
+        [this.selectedFilters, this.excludedFilters].forEach(filterIds => {
+            filterIds.forEach(filterId => {
+                const { key } = parseFilterId(filterId);
+                if (key === groupKey) {
+                    filtersToRemove.push(filterId);
+                }
+            });
         });
 
         filtersToRemove.forEach(filterId => {
             this.selectedFilters.delete(filterId);
+            this.excludedFilters.delete(filterId);
             const option = this.filterOptionCache.get(filterId);
             if (option) {
                 removeClass(option, 'selected');
+                removeClass(option, 'excluded');
             }
         });
+        this.updateHierarchyIndicators();
 
         this.updateTriggerCount();
         this.scheduleFilterUpdate();
     }
 
-    /**
-     * Initialize filter system
-     */
-    initializeFilters() {
-        // Calculate initial counts
-        this.updateFilterCounts();
-
-        // Calculate static counts for UI display (only once at initialization)
-        this.calculateStaticFilterCounts();
-    }
-
-    /**
-     * Calculate static filter counts for UI display (only called once at initialization)
-     */
-    calculateStaticFilterCounts() {
-        this.staticFilterCounts = calculateStaticFilterCounts(this.datasets, this.filterGroups);
-    }
-
-    /**
-     * Calculate static hierarchy counts recursively
-     * @param {string} key - Filter key
-     * @param {Map} hierarchyMap - Hierarchy map
-     */
-    calculateStaticHierarchyCounts(key, hierarchyMap) {
-        calculateStaticHierarchyCounts(this.datasets, key, hierarchyMap, this.staticFilterCounts);
-    }
-
-    /**
-     * Update static counts for a specific category and refresh UI
-     * @param {string} categoryKey - The category key to update
-     */
-    updateStaticCountsForCategory(categoryKey) {
-        const group = this.filterGroups[categoryKey];
-        if (!group) return;
-
-        // Recalculate counts for this category
-        if (group.type === 'flat') {
-            group.values.forEach(value => {
-                const count = calculateAffectedCount(this.datasets, categoryKey, value);
-                this.staticFilterCounts.set(`${categoryKey}:${value}`, count);
-            });
-        } else if (group.type === 'hierarchical') {
-            this.calculateStaticHierarchyCounts(categoryKey, group.values);
-        }
-
-        // Update the UI counts for this category
-        this.updateUICountsForCategory(categoryKey);
-    }
-
     /**
      * Update UI counts for a specific category
      * @param {string} categoryKey - The category key to update
@@ -522,8 +641,16 @@ export class FilterManager {
         const container = qs('#filterGroups');
         if (!container) return;
 
-        // Find all count elements in the current category
-        container.querySelectorAll('[data-count]').forEach(el => {
+        this.updateCountElements(container, categoryKey);
+    }
+
+    /**
+     * Write option counts into the DOM and dim options that would give no results
+     * @param {ParentNode} root - Element containing the filter options
+     * @param {string|null} [categoryKey=null] - Only update this category
+     */
+    updateCountElements(root, categoryKey = null) {
+        root.querySelectorAll('[data-count]').forEach(el => {
             // Get the filter option element that contains this count element
             const optionElement = el.closest('.filter-option');
             if (!optionElement) return;
@@ -532,82 +659,33 @@ export class FilterManager {
             const filterKey = optionElement.dataset.filter;
             const filterValue = optionElement.dataset.value;
 
-            // Only update counts for the current category
-            if (filterKey === categoryKey && filterKey && filterValue) {
-                const count = this.getStaticCount(filterKey, filterValue);
-                el.textContent = count;
-            }
-        });
-    }
+            // Only process selectable options (with both filter and value) of the requested category
+            if (!filterKey || !filterValue) return;
+            if (categoryKey && filterKey !== categoryKey) return;
 
-    /**
-     * Update filter counts for all options
-     */
-    updateFilterCounts() {
-        this.filterCounts.clear();
+            const count = this.getFilterCount(filterKey, filterValue);
+            el.textContent = count;
 
-        // Count for each filter option
-        for (const [key, group] of Object.entries(this.filterGroups)) {
-            if (group.type === 'flat') {
-                group.values.forEach(value => {
-                    const count = calculateAffectedCount(this.datasets, key, value);
-                    this.filterCounts.set(`${key}:${value}`, count);
-                });
-            } else if (group.type === 'hierarchical') {
-                this.updateHierarchyCounts(key, group.values);
-            }
-        }
-    }
-
-    /**
-     * Update hierarchy counts recursively
-     * @param {string} key - Filter key
-     * @param {Map} hierarchyMap - Hierarchy map
-     */
-    updateHierarchyCounts(key, hierarchyMap) {
-        hierarchyMap.forEach((node, value) => {
-            const count = this.calculateAffectedCount(key, value);
-            this.filterCounts.set(`${key}:${value}`, count);
-
-            if (node.children.size > 0) {
-                this.updateHierarchyCounts(key, node.children);
-            }
+            // Selected and excluded options stay prominent even when other selections leave them empty
+            const isEmpty = count === 0 &&
+                !optionElement.classList.contains('selected') &&
+                !optionElement.classList.contains('excluded');
+            toggleClass(optionElement, 'facet-empty', isEmpty);
         });
     }
 
     /**
-     * Calculate affected count for a filter
+     * Get the count shown for a filter option: the conditional count of the last query,
+     * or the static count before the first query
      * @param {string} filterKey - Filter key
      * @param {string} filterValue - Filter value
-     * @returns {number} Count of matching datasets
-     */
-    calculateAffectedCount(filterKey, filterValue) {
-        let count = 0;
-
-        this.datasets.forEach(ds => {
-            let match = false;
-
-            if (filterKey === 'frame range') {
-                match = ds.frameRange === filterValue;
-            } else if (filterKey === 'scene') {
-                match = ds.scenes && ds.scenes.includes(filterValue);
-            } else if (filterKey === 'robot') {
-                const robots = Array.isArray(ds.robot) ? ds.robot : [ds.robot];
-                match = robots.includes(filterValue);
-            } else if (filterKey === 'end') {
-                match = ds.endEffector === filterValue;
-            } else if (filterKey === 'action') {
-                match = ds.actions && ds.actions.includes(filterValue);
-            } else if (filterKey === 'object') {
-                match = ds.objects && ds.objects.some(obj =>
-                    obj.hierarchy.includes(filterValue)
-                );
-            }
-
-            if (match) count++;
-        });
-
-        return count;
+     * @returns {number}
+     */
+    getFilterCount(filterKey, filterValue) {
+        if (!this.facetCounts) {
+            return this.getStaticCount(filterKey, filterValue);
+        }
+        return this.facetCounts.get(`${filterKey}:${filterValue}`) || 0;
     }
 
     /**
@@ -0,0 +1,226 @@
+/**
+ * @file Filter Presets
+ * @description Named filter presets (filter state, numeric ranges, search text and match modes) persisted in localStorage
+ *
+ * 预设同时作为“智能集合”使用：保存时记录当时匹配的数据集（路径的 32 位哈希），
+ * 之后再次查询即可得知保存以来新增了多少匹配的数据集。
+ * 导出格式：{ "version": 1, "presets": [{ name, filters, exclude, modes, ranges, search, savedAt, baseline }] }
+ * 旧版本导出的预设没有 ranges 字段，按无范围处理。
+ */
+
+import { normalizeRanges } from './range-facets.js';
+import { getLocalStorage } from '../local-storage.js';
+
+/** localStorage key of the preset list. */
+const STORAGE_KEY = 'robocoin.filterPresets';
+
+/** Version of the stored and exported format. */
+const FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} name - Display name (unique, case-insensitive)
+ * @property {string[]} filters - Selected filter ids (`key:value`)
+ * @property {string[]} exclude - Excluded filter ids
+ * @property {Object<string, 'any'|'all'>} modes - Categories matching all selected values
+ * @property {Object<string, import('./range-facets.js').NumericRange>} ranges - Active numeric ranges
+ * @property {string} search - Search box query
+ * @property {string} savedAt - ISO timestamp of the last save
+ * @property {string} baseline - Hashes of the datasets matching at save time (base36, comma-separated)
+ */
+
+/**
+ * 32-bit FNV-1a hash of a dataset path, in base36.
+ * @param {string} path
+ * @returns {string}
+ */
+export function hashPath(path) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < path.length; i++) {
+        hash ^= path.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Encode the datasets matching a preset as its baseline.
+ * @param {string[]} paths - Matching dataset paths
+ * @returns {string}
+ */
+export function createBaseline(paths) {
+    return paths.map(hashPath).sort().join(',');
+}
+
+/**
+ * Count the matching datasets that are not in a preset's baseline (added since it was saved).
+ * @param {FilterPreset} preset
+ * @param {string[]} paths - Current matching dataset paths
+ * @returns {number}
+ */
+export function countNewMatches(preset, paths) {
+    const known = new Set(preset.baseline ? preset.baseline.split(',') : []);
+    return paths.reduce((count, path) => count + (known.has(hashPath(path)) ? 0 : 1), 0);
+}
+
+/**
+ * Check that a value is an array of strings.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate and normalize a preset read from storage or an imported file.
+ * @param {*} raw
+ * @returns {FilterPreset|null} Null when the entry is malformed
+ */
+function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || !isStringArray(raw.filters || [])) return null;
+    if (!isStringArray(raw.exclude || [])) return null;
+
+    const modes = {};
+    if (raw.modes && typeof raw.modes === 'object') {
+        Object.entries(raw.modes).forEach(([key, mode]) => {
+            if (mode === 'all') modes[key] = 'all';
+        });
+    }
+
+    return {
+        name,
+        filters: [...(raw.filters || [])].sort(),
+        exclude: [...(raw.exclude || [])].sort(),
+        modes,
+        ranges: normalizeRanges(raw.ranges),
+        search: typeof raw.search === 'string' ? raw.search : '',
+        savedAt: typeof raw.savedAt === 'string' ? raw.savedAt : new Date().toISOString(),
+        baseline: typeof raw.baseline === 'string' ? raw.baseline : ''
+    };
+}
+
+/**
+ * Filter Preset Store Class
+ */
+export class FilterPresetStore {
+    /**
+     * @param {Storage|null} [storage] - Defaults to localStorage (null when unavailable, e.g. blocked cookies)
+     */
+    constructor(storage = getLocalStorage()) {
+        this.storage = storage;
+
+        /** @type {FilterPreset[]} Presets sorted by name */
+        this.presets = this.load();
+    }
+
+    /**
+     * Read the presets from storage; malformed entries are dropped.
+     * @returns {FilterPreset[]}
+     */
+    load() {
+        if (!this.storage) return [];
+        try {
+            const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+            return FilterPresetStore.parsePresets(data);
+        } catch (err) {
+            console.warn('Ignoring unreadable filter presets:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Write the presets to storage.
+     * @throws {Error} When storage is unavailable or full
+     */
+    persist() {
+        if (!this.storage) {
+            throw new Error('Browser storage is not available');
+        }
+        this.storage.setItem(STORAGE_KEY, this.serialize());
+    }
+
+    /**
+     * Extract valid presets from stored or imported data.
+     * @param {*} data - `{version, presets}` or a bare preset array
+     * @returns {FilterPreset[]}
+     */
+    static parsePresets(data) {
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : []);
+        const byName = new Map();
+        list.map(normalizePreset).filter(Boolean).forEach(preset => {
+            byName.set(preset.name.toLowerCase(), preset);
+        });
+        return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a preset by name (case-insensitive).
+     * @param {string} name
+     * @returns {FilterPreset|undefined}
+     */
+    get(name) {
+        const key = name.trim().toLowerCase();
+        return this.presets.find(preset => preset.name.toLowerCase() === key);
+    }
+
+    /**
+     * Save a preset, replacing one with the same name.
+     * @param {Omit<FilterPreset, 'savedAt'>} preset
+     * @returns {FilterPreset} The stored preset
+     * @throws {Error} When the name is empty or storage fails
+     */
+    save(preset) {
+        const normalized = normalizePreset({ ...preset, savedAt: new Date().toISOString() });
+        if (!normalized) {
+            throw new Error('Preset name is required');
+        }
+
+        this.presets = FilterPresetStore.parsePresets([...this.presets, normalized]);
+        this.persist();
+        return normalized;
+    }
+
+    /**
+     * Delete a preset.
+     * @param {string} name
+     */
+    remove(name) {
+        const preset = this.get(name);
+        if (!preset) return;
+
+        this.presets = this.presets.filter(other => other !== preset);
+        this.persist();
+    }
+
+    /**
+     * Merge presets from an exported file; presets with the same name are replaced.
+     * @param {string} text - File contents
+     * @returns {number} Number of imported presets
+     * @throws {Error} When the file holds no valid preset or storage fails
+     */
+    importJSON(text) {
+        const imported = FilterPresetStore.parsePresets(JSON.parse(text));
+        if (imported.length === 0) {
+            throw new Error('No valid presets found in the file');
+        }
+
+        this.presets = FilterPresetStore.parsePresets([...this.presets, ...imported]);
+        this.persist();
+        return imported.length;
+    }
+
+    /**
+     * Serialize the presets (storage and export format).
+     * @param {boolean} [pretty=false] - Indent for a human-readable file
+     * @returns {string}
+     */
+    serialize(pretty = false) {
+        return JSON.stringify({ version: FORMAT_VERSION, presets: this.presets }, null, pretty ? 2 : 0);
+    }
+}
+
+export default FilterPresetStore;
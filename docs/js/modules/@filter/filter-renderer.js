@@ -7,7 +7,10 @@
 
 import ConfigManager from '../config.js';
 import Templates from '../../templates.js';
-import { qs, setHTML, removeClass, toggleClass } from '../dom-utils.js';
+import { qs, setHTML, setText, removeClass, toggleClass } from '../dom-utils.js';
+import { FILTER_KEYS, FILTER_CATEGORY_LABELS, MULTI_VALUE_FILTER_KEYS, sortFilterValues } from './data.js';
+import { appendHierarchyPath } from './filter-hierarchy.js';
+import { RANGE_CATEGORY, RANGE_FACET_KEYS } from './range-facets.js';
 
 /**
  * @typedef {import('./filter-manager.js').FilterManager} FilterManager
@@ -22,7 +25,7 @@ export class FilterRenderer {
     }
 
     /**
-     * Render top-level filter UI (sidebar + placeholder) and select default category.
+     * Render top-level filter UI (sidebar + placeholder) and select the active (or default) category.
      */
     renderFilterGroups() {
         // Render categories sidebar
@@ -35,8 +38,8 @@ export class FilterRenderer {
             '<div class="filter-options-placeholder">Select a category from the left to view options</div>'
         );
 
-        // Auto-select first category
-        this.manager.selectCategory('scene');
+        // Keep the open category when re-rendering (e.g. while batches arrive); default to the first one
+        this.manager.selectCategory(this.manager.activeCategory || 'scene');
     }
 
     /**
@@ -48,39 +51,55 @@ export class FilterRenderer {
 
         setHTML(sidebar, '');
 
-        // Define category display names and order
-        const categoryOrder = ['frame range', 'scene', 'robot', 'end', 'action', 'object'];
-        const categoryLabels = {
-            'frame range': 'Frame Count',
-            'scene': 'Scene',
-            'robot': 'Robot Model',
-            'end': 'End Effector',
-            'action': 'Action',
-            'object': 'Operation Object'
-        };
-
-        categoryOrder.forEach(key => {
-            const group = this.manager.filterGroups[key];
-            if (!group) return;
+        // Numeric ranges come last, after the value categories
+        [...FILTER_KEYS, RANGE_CATEGORY].forEach(key => {
+            const isRangeCategory = key === RANGE_CATEGORY;
+            if (!isRangeCategory && !this.manager.filterGroups[key]) return;
 
             const categoryBtn = document.createElement('div');
             categoryBtn.className = 'filter-category-btn';
             categoryBtn.dataset.category = key;
 
-            const count = this.manager.getCategoryItemCount(key);
+            const count = isRangeCategory ? RANGE_FACET_KEYS.length : this.manager.getCategoryItemCount(key);
+            const matchToggle = MULTI_VALUE_FILTER_KEYS.includes(key)
+                ? `<button type="button" class="category-match-toggle" data-category="${key}"></button>`
+                : '';
             categoryBtn.innerHTML = `
-                <span class="category-label">${categoryLabels[key]}</span>
+                <span class="category-label">${FILTER_CATEGORY_LABELS[key]}</span>
+                ${matchToggle}
                 <span class="category-count">${count}</span>
             `;
 
-            categoryBtn.addEventListener('click', () => {
+            categoryBtn.addEventListener('click', (e) => {
+                if (e.target.closest('.category-match-toggle')) {
+                    this.manager.toggleMatchMode(key);
+                    return;
+                }
                 this.manager.selectCategory(key);
             });
 
             sidebar.appendChild(categoryBtn);
+            this.updateMatchModeToggle(key);
         });
     }
 
+    /**
+     * Show the ANY/ALL match mode of a category on its sidebar toggle.
+     * @param {string} categoryKey - The category key
+     */
+    updateMatchModeToggle(categoryKey) {
+        const toggle = qs(`#filterCategoriesSidebar .category-match-toggle[data-category="${categoryKey}"]`);
+        if (!toggle) return;
+
+        const matchesAll = this.manager.filterState.getMatchMode(categoryKey) === 'all';
+        setText(toggle, matchesAll ? 'ALL' : 'ANY');
+        toggleClass(toggle, 'match-all', matchesAll);
+        toggle.setAttribute('aria-pressed', String(matchesAll));
+        toggle.title = matchesAll
+            ? 'Showing datasets with all selected values (click to match any)'
+            : 'Showing datasets with any selected value (click to match all)';
+    }
+
     /**
      * Render category options in the right panel.
      * @param {string} categoryKey - The category key
@@ -89,6 +108,12 @@ export class FilterRenderer {
         const container = qs('#filterGroups');
         if (!container) return;
 
+        if (categoryKey === RANGE_CATEGORY) {
+            setHTML(container, '');
+            this.manager.rangeRenderer.render(container);
+            return;
+        }
+
         const group = this.manager.filterGroups[categoryKey];
         if (!group) return;
 
@@ -119,40 +144,53 @@ export class FilterRenderer {
                 }
             }
 
+            /**
+             * Expand/collapse the children of a hierarchy row
+             * @param {HTMLElement} option
+             */
+            const toggleChildren = (option) => {
+                const wrapper = option.closest('.filter-option-wrapper');
+                if (!wrapper) return;
+                const children = wrapper.querySelector('.filter-children');
+                if (children) {
+                    toggleClass(children, 'collapsed');
+                    const expanded = !children.classList.contains('collapsed');
+                    option.querySelector('.hierarchy-expand-btn')?.setAttribute('aria-expanded', String(expanded));
+                    // After expanding, apply selected states to newly visible options
+                    if (expanded) {
+                        this.manager.applySelectedStylesToContainer(children);
+                    }
+                }
+            };
+
             const filterOptionsElements = div.querySelectorAll('.filter-option');
             filterOptionsElements.forEach(option => {
-                // Handle hierarchy parent nodes (expand/collapse)
-                if (option.classList.contains('hierarchy-name-only')) {
-                    // Click on hierarchy item (not actions) -> expand/collapse
+                const filterKey = option.dataset.filter;
+                const filterValue = option.dataset.value;
+
+                // Group title row: expand/collapse only
+                if (option.classList.contains('hierarchy-name-only') && !filterKey) {
                     option.addEventListener('click', (e) => {
                         // Don't handle if clicking on action buttons
                         if (e.target.closest('.hierarchy-action-btn')) {
                             return;
                         }
-                        // Expand/collapse children
-                        const wrapper = option.closest('.filter-option-wrapper');
-                        if (!wrapper) return;
-                        const children = wrapper.querySelector('.filter-children');
-                        if (children) {
-                            toggleClass(children, 'collapsed');
-                            // After expanding, apply selected states to newly visible options
-                            if (!children.classList.contains('collapsed')) {
-                                this.manager.applySelectedStylesToContainer(children);
-                            }
-                        }
+                        toggleChildren(option);
                     });
                     return;
                 }
 
-                const filterKey = option.dataset.filter;
-                const filterValue = option.dataset.value;
-
                 if (filterKey && filterValue) {
                     const filterId = `${filterKey}:${filterValue}`;
                     this.manager.filterOptionCache.set(filterId, option);
 
                     option.addEventListener('click', (e) => {
-                        if (e.target.closest('.hierarchy-toggle')) {
+                        // Parent nodes: the arrow expands/collapses, the row itself is a filter
+                        if (e.target.closest('.hierarchy-expand-btn')) {
+                            toggleChildren(option);
+                            return;
+                        }
+                        if (e.target.closest('.hierarchy-toggle, .hierarchy-action-btn')) {
                             return;
                         }
 
@@ -165,6 +203,7 @@ export class FilterRenderer {
 
             // Apply selected states to already selected filters in this category
             this.manager.applySelectedStylesToCategory(categoryKey);
+            this.manager.updateHierarchyIndicators();
         });
     }
 
@@ -176,7 +215,7 @@ export class FilterRenderer {
      */
     buildFlatFilterGroup(key, group) {
         const baseIndent = ConfigManager.getCSSValue('--hierarchy-indent', 4);
-        return Templates.buildFlatFilterGroup(key, group, baseIndent);
+        return Templates.buildFlatFilterGroup(key, group, baseIndent, sortFilterValues(key, group.values));
     }
 
     /**
@@ -192,7 +231,7 @@ export class FilterRenderer {
             const baseIndent = ConfigManager.getCSSValue('--hierarchy-indent', 4);
 
             sortedEntries.forEach(([value, node]) => {
-                const fullPath = parentPath ? `${parentPath}>${value}` : value;
+                const fullPath = appendHierarchyPath(parentPath, value);
                 const hasChildren = node.children.size > 0;
                 const childrenHTML = hasChildren ? buildHierarchyHTML(node.children, level + 1, fullPath) : '';
 
@@ -4,6 +4,7 @@
  */
 
 import { qs, addClass, removeClass } from '../dom-utils.js';
+import { createFuzzyMatcher } from '../@search/fuzzy.js';
 
 export class FilterSearchHelper {
     /**
@@ -41,43 +42,44 @@ export class FilterSearchHelper {
             return;
         }
 
-        const queryLower = query.toLowerCase();
-
-        allOptions.forEach(option => {
+        // Option label plus, for robots, the common name, aliases and their pinyin
+        const candidates = Array.from(allOptions).map(option => {
             const labelElement = option.querySelector('.filter-option-label, .hierarchy-label');
-            if (!labelElement) return;
+            if (!labelElement) return null;
 
             const text = labelElement.textContent.trim();
-            const textLower = text.toLowerCase();
-
-            let matches = textLower.includes(queryLower);
-
-            if (!matches) {
-                const filterKey = option.dataset.filter;
-                const filterValue = option.dataset.value;
-
-                if (
-                    filterKey === 'robot' &&
-                    filterValue &&
-                    this.robotAliasManager &&
-                    typeof this.robotAliasManager.getSearchTokensForRobot === 'function'
-                ) {
-                    const tokens = this.robotAliasManager.getSearchTokensForRobot(filterValue);
-                    matches = tokens.some(token =>
-                        typeof token === 'string' &&
-                        token.toLowerCase().includes(queryLower)
-                    );
-                }
+            const texts = [text];
+            const filterKey = option.dataset.filter;
+            const filterValue = option.dataset.value;
+
+            if (
+                filterKey === 'robot' &&
+                filterValue &&
+                this.robotAliasManager &&
+                typeof this.robotAliasManager.getSearchTokensForRobot === 'function'
+            ) {
+                texts.push(...this.robotAliasManager.getSearchTokensForRobot(filterValue));
             }
+            return { option, text, texts };
+        }).filter(Boolean);
 
-            if (matches) {
-                addClass(option, 'highlight-match');
-                this.matches.push({
-                    element: option,
-                    text,
-                    wrapper: option.closest('.filter-option-wrapper')
-                });
-            }
+        // 先做精确（子串）匹配，没有任何结果时再容忍拼写错误
+        const queryLower = query.toLowerCase();
+        const matchesExact = value => typeof value === 'string' && value.toLowerCase().includes(queryLower);
+        const matchesFuzzy = createFuzzyMatcher(query);
+
+        let matching = candidates.filter(candidate => candidate.texts.some(matchesExact));
+        if (matching.length === 0) {
+            matching = candidates.filter(candidate => candidate.texts.some(matchesFuzzy));
+        }
+
+        matching.forEach(({ option, text }) => {
+            addClass(option, 'highlight-match');
+            this.matches.push({
+                element: option,
+                text,
+                wrapper: option.closest('.filter-option-wrapper')
+            });
         });
 
         allWrappers.forEach(wrapper => {
@@ -3,29 +3,63 @@
  * @description Encapsulates filter selection state and provides helper APIs.
  *
  * 该模块只负责“选中哪些 filterId（key:value）”这一纯状态，不包含任何 DOM 操作。
+ * 每个选项有三种状态：包含（include）、排除（exclude）和未选（neutral），
+ * 同一个 filterId 不会同时出现在两个集合中。
+ * 每个类别另有匹配模式：ANY（默认，选中值取并集）或 ALL（数据集须包含全部选中值）。
+ * 数值范围（见 range-facets.js）按范围分面的 key 单独保存。
+ */
+
+/**
+ * @typedef {'include'|'exclude'|null} FilterMode - State of a filter option (null = neutral)
+ */
+
+/**
+ * @typedef {'any'|'all'} MatchMode - How the selected values of one category combine
+ */
+
+/**
+ * @typedef {import('./range-facets.js').NumericRange} NumericRange
  */
 
 /**
  * FilterState
- * Wraps the Set<string> of filter ids (e.g. "scene:indoor").
+ * Wraps the Set<string> of included filter ids (e.g. "scene:indoor") and the Set of excluded ones.
  */
 export class FilterState {
     /**
-     * @param {Set<string>=} backingSet Optional backing Set to use.
+     * @param {Set<string>=} backingSet Optional backing Set to use for included filters.
+     * @param {Set<string>=} excludedSet Optional backing Set to use for excluded filters.
      */
-    constructor(backingSet) {
+    constructor(backingSet, excludedSet) {
         /** @type {Set<string>} */
         this._set = backingSet || new Set();
+
+        /** @type {Set<string>} */
+        this._excluded = excludedSet || new Set();
+
+        /** @type {Map<string, MatchMode>} Filter key → match mode (only categories set to 'all') */
+        this._matchModes = new Map();
+
+        /** @type {Map<string, NumericRange>} Range facet key → active range */
+        this._ranges = new Map();
     }
 
     /**
-     * Get underlying Set instance.
+     * Get underlying Set instance of included filters.
      * @returns {Set<string>}
      */
     get raw() {
         return this._set;
     }
 
+    /**
+     * Get underlying Set instance of excluded filters.
+     * @returns {Set<string>}
+     */
+    get excluded() {
+        return this._excluded;
+    }
+
     /**
      * Build filterId from key/value.
      * @param {string} key
@@ -42,16 +76,31 @@ export class FilterState {
      * @param {string} value
      */
     add(key, value) {
-        this._set.add(FilterState.buildId(key, value));
+        const filterId = FilterState.buildId(key, value);
+        this._excluded.delete(filterId);
+        this._set.add(filterId);
+    }
+
+    /**
+     * Exclude a filter value (datasets having it are hidden).
+     * @param {string} key
+     * @param {string} value
+     */
+    exclude(key, value) {
+        const filterId = FilterState.buildId(key, value);
+        this._set.delete(filterId);
+        this._excluded.add(filterId);
     }
 
     /**
-     * Remove a filter selection.
+     * Remove a filter selection or exclusion.
      * @param {string} key
      * @param {string} value
      */
     delete(key, value) {
-        this._set.delete(FilterState.buildId(key, value));
+        const filterId = FilterState.buildId(key, value);
+        this._set.delete(filterId);
+        this._excluded.delete(filterId);
     }
 
     /**
@@ -65,14 +114,122 @@ export class FilterState {
     }
 
     /**
-     * Clear all selections.
+     * Check whether a filter is excluded.
+     * @param {string} key
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isExcluded(key, value) {
+        return this._excluded.has(FilterState.buildId(key, value));
+    }
+
+    /**
+     * Get the state of a filter option by id.
+     * @param {string} filterId
+     * @returns {FilterMode}
+     */
+    getMode(filterId) {
+        if (this._set.has(filterId)) return 'include';
+        if (this._excluded.has(filterId)) return 'exclude';
+        return null;
+    }
+
+    /**
+     * Advance a filter option to its next state: neutral → include → exclude → neutral.
+     * @param {string} key
+     * @param {string} value
+     * @returns {FilterMode} New state
+     */
+    cycle(key, value) {
+        const mode = this.getMode(FilterState.buildId(key, value));
+        if (mode === null) {
+            this.add(key, value);
+            return 'include';
+        }
+        if (mode === 'include') {
+            this.exclude(key, value);
+            return 'exclude';
+        }
+        this.delete(key, value);
+        return null;
+    }
+
+    /**
+     * Get the match mode of a category.
+     * @param {string} key
+     * @returns {MatchMode}
+     */
+    getMatchMode(key) {
+        return this._matchModes.get(key) || 'any';
+    }
+
+    /**
+     * Set the match mode of a category.
+     * @param {string} key
+     * @param {MatchMode} mode
+     */
+    setMatchMode(key, mode) {
+        if (mode === 'all') {
+            this._matchModes.set(key, 'all');
+        } else {
+            this._matchModes.delete(key);
+        }
+    }
+
+    /**
+     * Snapshot of the categories not in the default 'any' mode (e.g. for posting to the catalog worker).
+     * @returns {Object<string, MatchMode>}
+     */
+    toMatchModes() {
+        return Object.fromEntries(Array.from(this._matchModes).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Get the active range of a range facet.
+     * @param {string} key - Range facet key
+     * @returns {NumericRange|null}
+     */
+    getRange(key) {
+        return this._ranges.get(key) || null;
+    }
+
+    /**
+     * Set the range of a range facet; two open bounds remove it.
+     * @param {string} key - Range facet key
+     * @param {number|null} min - Inclusive lower bound (null = open)
+     * @param {number|null} max - Inclusive upper bound (null = open)
+     */
+    setRange(key, min, max) {
+        if (min === null && max === null) {
+            this._ranges.delete(key);
+        } else {
+            this._ranges.set(key, { min, max });
+        }
+    }
+
+    /**
+     * Snapshot of the active ranges (e.g. for posting to the catalog worker).
+     * @returns {Object<string, NumericRange>}
+     */
+    toRanges() {
+        return Object.fromEntries(
+            Array.from(this._ranges)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([key, range]) => [key, { ...range }])
+        );
+    }
+
+    /**
+     * Clear all selections, exclusions and ranges (match modes are kept).
      */
     clear() {
         this._set.clear();
+        this._excluded.clear();
+        this._ranges.clear();
     }
 
     /**
-     * Iterate over raw filter ids.
+     * Iterate over raw included filter ids.
      * @param {(filterId: string) => void} callback
      */
     forEach(callback) {
@@ -80,11 +237,27 @@ export class FilterState {
     }
 
     /**
-     * Current selection count.
+     * Snapshot of raw included filter ids (e.g. for posting to the catalog worker).
+     * @returns {string[]}
+     */
+    toArray() {
+        return Array.from(this._set);
+    }
+
+    /**
+     * Snapshot of raw excluded filter ids.
+     * @returns {string[]}
+     */
+    toExcludedArray() {
+        return Array.from(this._excluded);
+    }
+
+    /**
+     * Current count of active filters (selections, exclusions and ranges).
      * @returns {number}
      */
     get size() {
-        return this._set.size;
+        return this._set.size + this._excluded.size + this._ranges.size;
     }
 }
 
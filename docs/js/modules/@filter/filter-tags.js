@@ -0,0 +1,139 @@
+/**
+ * @file Filter Tags Renderer
+ * @description Renders the active filter chips bar (#filterTagsContainer): selections, exclusions, numeric ranges and search terms
+ *
+ * 每个类别一组，组标题带“清除该类别”按钮；每个筛选项或搜索词一个带删除按钮的 chip。
+ * 点击事件通过容器委托处理，渲染时只替换 HTML。
+ */
+
+/// <reference path="../../types.js" />
+
+import Templates from '../../templates.js';
+import { qs, setHTML } from '../dom-utils.js';
+import { FILTER_KEYS, FILTER_CATEGORY_LABELS, parseFilterId } from './data.js';
+import { RANGE_CATEGORY, RANGE_FACETS, formatRange } from './range-facets.js';
+import { splitSearchTerms, removeSearchTerm } from '../@search/index.js';
+
+/**
+ * @typedef {import('./filter-manager.js').FilterManager} FilterManager
+ */
+
+export class FilterTagsRenderer {
+    /**
+     * @param {FilterManager} manager - Owning FilterManager instance
+     */
+    constructor(manager) {
+        this.manager = manager;
+
+        /** @type {boolean} Whether the delegated click handler is attached */
+        this.bound = false;
+    }
+
+    /**
+     * Render chips for the current filter state and search query.
+     * @param {string} searchQuery - Current search box query
+     */
+    render(searchQuery) {
+        const container = qs('#filterTagsContainer');
+        if (!container) return;
+        this.bindEvents(container);
+
+        const { filterState } = this.manager;
+        const groupsHTML = FILTER_KEYS.map(key => {
+            const tags = [];
+            const collect = (filterIds, excluded) => {
+                filterIds.forEach(filterId => {
+                    const { key: filterKey, value } = parseFilterId(filterId);
+                    if (filterKey !== key) return;
+                    tags.push({ filterId, label: this.manager.getFilterLabel(key, value), excluded });
+                });
+            };
+            collect(filterState.raw, false);
+            collect(filterState.excluded, true);
+            if (tags.length === 0) return '';
+
+            tags.sort((a, b) => a.excluded - b.excluded || a.label.localeCompare(b.label));
+            const matchAll = filterState.getMatchMode(key) === 'all' && tags.some(tag => !tag.excluded);
+            return Templates.buildFilterTagGroup(
+                key,
+                FILTER_CATEGORY_LABELS[key],
+                tags.map(tag => Templates.buildFilterTag(tag.filterId, tag.label, tag.excluded)).join(''),
+                matchAll
+            );
+        }).join('');
+
+        const rangeHTML = Object.entries(filterState.toRanges())
+            .map(([key, range]) => Templates.buildRangeTag(key, `${RANGE_FACETS[key].label} ${formatRange(key, range)}`))
+            .join('');
+
+        const searchHTML = splitSearchTerms(searchQuery)
+            .map((term, index) => Templates.buildSearchTag(term.text, index))
+            .join('');
+
+        const html = groupsHTML
+            + (rangeHTML ? Templates.buildFilterTagGroup(RANGE_CATEGORY, FILTER_CATEGORY_LABELS[RANGE_CATEGORY], rangeHTML) : '')
+            + (searchHTML ? Templates.buildFilterTagGroup(null, 'Search', searchHTML) : '');
+        setHTML(container, html);
+        container.hidden = html === '';
+    }
+
+    /**
+     * Attach the delegated click handler once.
+     * @param {HTMLElement} container - #filterTagsContainer
+     */
+    bindEvents(container) {
+        if (this.bound) return;
+        this.bound = true;
+
+        container.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.filter-tag-remove');
+            if (removeBtn) {
+                if (removeBtn.dataset.filterId) {
+                    this.manager.removeFilter(removeBtn.dataset.filterId);
+                } else if (removeBtn.dataset.rangeKey) {
+                    this.manager.clearRange(removeBtn.dataset.rangeKey);
+                } else if (removeBtn.dataset.searchTerm !== undefined) {
+                    this.removeSearchTerm(Number(removeBtn.dataset.searchTerm));
+                }
+                return;
+            }
+
+            const clearBtn = e.target.closest('.filter-tag-group-clear');
+            if (clearBtn) {
+                if (clearBtn.dataset.category) {
+                    this.manager.clearGroup(clearBtn.dataset.category);
+                } else {
+                    this.setSearchQuery('');
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove one top-level term from the search box.
+     * @param {number} index - Term index (see splitSearchTerms)
+     */
+    removeSearchTerm(index) {
+        const searchBox = qs('#searchBox');
+        if (!searchBox) return;
+
+        const term = splitSearchTerms(searchBox.value)[index];
+        if (term) {
+            this.setSearchQuery(removeSearchTerm(searchBox.value, term));
+        }
+    }
+
+    /**
+     * Replace the search box query and refresh the results.
+     * @param {string} query
+     */
+    setSearchQuery(query) {
+        const searchBox = qs('#searchBox');
+        if (!searchBox) return;
+
+        searchBox.value = query;
+        document.dispatchEvent(new CustomEvent('filtersChanged'));
+    }
+}
+
+export default FilterTagsRenderer;
@@ -0,0 +1,251 @@
+/**
+ * @file Range Facets
+ * @description Numeric range filters (episodes, frames, duration, fps, dataset size, platform height):
+ *              definitions, value scales and formatting
+ *
+ * 数值取自与搜索语法相同的字段（@search/query-fields.js 中的 getValue），
+ * 因此范围滑块与 `episodes>100`、`size<5GB` 等查询匹配同一批数据集。
+ * 本模块不依赖 DOM，主线程（滑块、标签）和 catalog worker（直方图）共用。
+ */
+
+/// <reference path="../../types.js" />
+
+import { QUERY_FIELDS } from '../@search/query-fields.js';
+
+/** Sidebar category showing all range facets (not a filter key: ranges are kept separately in FilterState). */
+export const RANGE_CATEGORY = 'ranges';
+
+/** Histogram bars per facet. */
+export const HISTOGRAM_BINS = 24;
+
+/** Slider resolution (positions 0..SLIDER_STEPS along the facet scale). */
+export const SLIDER_STEPS = 1000;
+
+/**
+ * @typedef {Object} RangeFacet
+ * @property {string} label - Display name
+ * @property {'linear'|'log'} scale - Slider and histogram scale (log for values spanning orders of magnitude)
+ * @property {(ds: Dataset) => number|undefined} getValue - Numeric value of a dataset
+ * @property {(value: number) => string} format - Human-readable value
+ */
+
+/**
+ * @typedef {Object} NumericRange
+ * @property {number|null} min - Inclusive lower bound (null = open)
+ * @property {number|null} max - Inclusive upper bound (null = open)
+ */
+
+/**
+ * @typedef {Object} RangeDomain
+ * @property {number} min - Smallest value in the catalog (smallest positive value for log scales)
+ * @property {number} max - Largest value in the catalog
+ */
+
+/**
+ * Round to a number of significant digits (slider values stay readable).
+ * @param {number} value
+ * @param {number} [digits=3]
+ * @returns {number}
+ */
+export function roundToSignificant(value, digits = 3) {
+    if (value === 0 || !Number.isFinite(value)) return value;
+    const magnitude = Math.floor(Math.log10(Math.abs(value)));
+    const factor = 10 ** (digits - 1 - magnitude);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format a count, e.g. 1234567 → `1.23M`.
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatCount(value) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (const [size, suffix] of units) {
+        if (Math.abs(value) >= size) return `${roundToSignificant(value / size)}${suffix}`;
+    }
+    return String(roundToSignificant(value));
+}
+
+/**
+ * Format a byte size with binary multiples (same as dataset_size, e.g. `27.7GB`).
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${roundToSignificant(value)}${units[unit]}`;
+}
+
+/**
+ * Format a duration in seconds, e.g. 5400 → `1.5h`.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    if (seconds >= 3600) return `${roundToSignificant(seconds / 3600)}h`;
+    if (seconds >= 60) return `${roundToSignificant(seconds / 60)}min`;
+    return `${roundToSignificant(seconds)}s`;
+}
+
+/**
+ * Range facets by key, in display order.
+ * @type {Object<string, RangeFacet>}
+ */
+export const RANGE_FACETS = {
+    episodes: { label: 'Episodes', scale: 'log', getValue: QUERY_FIELDS.episodes.getValue, format: formatCount },
+    frames: { label: 'Frames', scale: 'log', getValue: QUERY_FIELDS.frames.getValue, format: formatCount },
+    duration: { label: 'Duration', scale: 'log', getValue: QUERY_FIELDS.duration.getValue, format: formatDuration },
+    fps: { label: 'FPS', scale: 'linear', getValue: QUERY_FIELDS.fps.getValue, format: formatCount },
+    size: { label: 'Dataset Size', scale: 'log', getValue: QUERY_FIELDS.size.getValue, format: formatBytes },
+    height: {
+        label: 'Platform Height',
+        scale: 'linear',
+        getValue: QUERY_FIELDS.height.getValue,
+        format: value => `${roundToSignificant(value)} cm`
+    }
+};
+
+/** Range facet keys in display order. */
+export const RANGE_FACET_KEYS = Object.keys(RANGE_FACETS);
+
+/**
+ * Numeric value of a dataset for a range facet.
+ * @param {string} key - Range facet key
+ * @param {Dataset} ds
+ * @returns {number} NaN when the dataset has no (valid) value
+ */
+export function getRangeValue(key, ds) {
+    const value = Number(RANGE_FACETS[key].getValue(ds));
+    return Number.isFinite(value) ? value : NaN;
+}
+
+/**
+ * Whether a range restricts anything.
+ * @param {NumericRange|undefined} range
+ * @returns {boolean}
+ */
+export function isRangeActive(range) {
+    return Boolean(range) && (range.min !== null || range.max !== null);
+}
+
+/**
+ * Whether a value lies in a range (a missing value never does).
+ * @param {number} value
+ * @param {NumericRange} range
+ * @returns {boolean}
+ */
+export function isValueInRange(value, range) {
+    if (Number.isNaN(value)) return false;
+    if (range.min !== null && value < range.min) return false;
+    if (range.max !== null && value > range.max) return false;
+    return true;
+}
+
+/**
+ * Position of a value on a facet scale.
+ * @param {string} key - Range facet key
+ * @param {RangeDomain} domain
+ * @param {number} value
+ * @returns {number} 0..1 (clamped)
+ */
+export function valueToFraction(key, domain, value) {
+    if (domain.max <= domain.min) return 0;
+
+    let fraction;
+    if (RANGE_FACETS[key].scale === 'log') {
+        fraction = value > 0
+            ? (Math.log(value) - Math.log(domain.min)) / (Math.log(domain.max) - Math.log(domain.min))
+            : 0;
+    } else {
+        fraction = (value - domain.min) / (domain.max - domain.min);
+    }
+    return Math.min(1, Math.max(0, fraction));
+}
+
+/**
+ * Value at a position on a facet scale (inverse of valueToFraction).
+ * @param {string} key - Range facet key
+ * @param {RangeDomain} domain
+ * @param {number} fraction - 0..1
+ * @returns {number}
+ */
+export function fractionToValue(key, domain, fraction) {
+    if (RANGE_FACETS[key].scale === 'log') {
+        return Math.exp(Math.log(domain.min) + fraction * (Math.log(domain.max) - Math.log(domain.min)));
+    }
+    return domain.min + fraction * (domain.max - domain.min);
+}
+
+/**
+ * Histogram bar of a value.
+ * @param {string} key - Range facet key
+ * @param {RangeDomain} domain
+ * @param {number} value
+ * @returns {number} 0..HISTOGRAM_BINS-1
+ */
+export function getHistogramBin(key, domain, value) {
+    return Math.min(HISTOGRAM_BINS - 1, Math.floor(valueToFraction(key, domain, value) * HISTOGRAM_BINS));
+}
+
+/**
+ * Human-readable range, e.g. `50 – 500`, `≥ 1.2GB`.
+ * @param {string} key - Range facet key
+ * @param {NumericRange} range
+ * @returns {string}
+ */
+export function formatRange(key, range) {
+    const { format } = RANGE_FACETS[key];
+    if (range.min !== null && range.max !== null) return `${format(range.min)} – ${format(range.max)}`;
+    if (range.min !== null) return `≥ ${format(range.min)}`;
+    if (range.max !== null) return `≤ ${format(range.max)}`;
+    return 'Any';
+}
+
+/**
+ * Validate and normalize ranges read from a link, preset file or message.
+ * @param {*} ranges - `{key: {min, max}}`
+ * @returns {Object<string, NumericRange>} Active ranges of known facets
+ */
+export function normalizeRanges(ranges) {
+    const result = {};
+    if (!ranges || typeof ranges !== 'object') return result;
+
+    RANGE_FACET_KEYS.forEach(key => {
+        const range = ranges[key];
+        if (!range || typeof range !== 'object') return;
+
+        const bound = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+        let min = bound(range.min);
+        let max = bound(range.max);
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+        if (min !== null || max !== null) {
+            result[key] = { min, max };
+        }
+    });
+    return result;
+}
+
+export default {
+    RANGE_CATEGORY,
+    RANGE_FACETS,
+    RANGE_FACET_KEYS,
+    HISTOGRAM_BINS,
+    SLIDER_STEPS,
+    getRangeValue,
+    isRangeActive,
+    isValueInRange,
+    valueToFraction,
+    fractionToValue,
+    getHistogramBin,
+    formatRange,
+    normalizeRanges
+};
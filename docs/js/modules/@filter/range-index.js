@@ -0,0 +1,126 @@
+/**
+ * @file Range Index
+ * @description Numeric values per range facet (same order as the catalog): range masks, domains and histograms
+ *
+ * 与 FilterIndex、TextIndex 一样随目录增量构建；范围条件转换为位图后交给 FilterIndex.query，
+ * 与类别筛选一起参与交集运算和分面计数。本模块不依赖 DOM，在 catalog worker 中使用。
+ */
+
+/// <reference path="../../types.js" />
+
+import {
+    RANGE_FACETS,
+    RANGE_FACET_KEYS,
+    HISTOGRAM_BINS,
+    getRangeValue,
+    isValueInRange,
+    getHistogramBin
+} from './range-facets.js';
+
+/**
+ * @typedef {import('./range-facets.js').NumericRange} NumericRange
+ * @typedef {import('./range-facets.js').RangeDomain} RangeDomain
+ * @typedef {import('./filter-index.js').Bitset} Bitset
+ */
+
+/**
+ * Range Index Class
+ */
+export class RangeIndex {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Remove all datasets.
+     */
+    clear() {
+        /** @type {Object<string, number[]>} Facet key → value per dataset position (NaN when missing) */
+        this.values = Object.fromEntries(RANGE_FACET_KEYS.map(key => [key, []]));
+
+        /** @type {Object<string, RangeDomain|null>|null} Cached domains (see getDomain) */
+        this.domains = null;
+    }
+
+    /**
+     * Add a dataset at the next position.
+     * @param {Dataset} ds
+     */
+    add(ds) {
+        RANGE_FACET_KEYS.forEach(key => {
+            this.values[key].push(getRangeValue(key, ds));
+        });
+        this.domains = null;
+    }
+
+    /**
+     * Rebuild the index for datasets in a new order.
+     * @param {Dataset[]} datasets
+     */
+    rebuild(datasets) {
+        this.clear();
+        datasets.forEach(ds => this.add(ds));
+    }
+
+    /**
+     * Value range of a facet over the whole catalog (log scales ignore values ≤ 0).
+     * @param {string} key - Range facet key
+     * @returns {RangeDomain|null} Null when no dataset has a value
+     */
+    getDomain(key) {
+        if (!this.domains) {
+            this.domains = {};
+        }
+        if (!(key in this.domains)) {
+            const positiveOnly = RANGE_FACETS[key].scale === 'log';
+            let min = Infinity;
+            let max = -Infinity;
+            this.values[key].forEach(value => {
+                if (Number.isNaN(value) || (positiveOnly && value <= 0)) return;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+            this.domains[key] = min <= max ? { min, max } : null;
+        }
+        return this.domains[key];
+    }
+
+    /**
+     * Set the bits of the datasets whose value lies in a range.
+     * @param {string} key - Range facet key
+     * @param {NumericRange} range
+     * @param {Bitset} bits - Empty bitset sized for the catalog (see FilterIndex.createBitset)
+     * @returns {Bitset} `bits`
+     */
+    fillMatches(key, range, bits) {
+        this.values[key].forEach((value, position) => {
+            if (isValueInRange(value, range)) {
+                bits[position >>> 5] |= 1 << (position & 31);
+            }
+        });
+        return bits;
+    }
+
+    /**
+     * Histogram of the values of some datasets (datasets without a value are not counted).
+     * @param {string} key - Range facet key
+     * @param {number[]} positions - Dataset positions
+     * @returns {number[]} HISTOGRAM_BINS counts
+     */
+    histogram(key, positions) {
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        const domain = this.getDomain(key);
+        if (!domain) return bins;
+
+        const values = this.values[key];
+        positions.forEach(position => {
+            const value = values[position];
+            if (!Number.isNaN(value)) {
+                bins[getHistogramBin(key, domain, value)]++;
+            }
+        });
+        return bins;
+    }
+}
+
+export default RangeIndex;
@@ -0,0 +1,171 @@
+/**
+ * @file Range Facet Renderer
+ * @description Renders the numeric range facets (histogram + two-thumb slider) in the filter dropdown
+ *
+ * 滑块位置为 0..SLIDER_STEPS，按分面的刻度（线性或对数）映射到数值；
+ * 拖动时只更新标签和直方图高亮，松开（change 事件）后才写入筛选状态并触发查询。
+ * 两端位置表示不限（null）。
+ */
+
+/// <reference path="../../types.js" />
+
+import Templates from '../../templates.js';
+import { qs, qsa, setHTML, setText, toggleClass } from '../dom-utils.js';
+import {
+    RANGE_FACETS,
+    RANGE_FACET_KEYS,
+    SLIDER_STEPS,
+    valueToFraction,
+    fractionToValue,
+    getHistogramBin,
+    formatRange,
+    roundToSignificant
+} from './range-facets.js';
+
+/**
+ * @typedef {import('./filter-manager.js').FilterManager} FilterManager
+ * @typedef {import('./range-facets.js').NumericRange} NumericRange
+ */
+
+export class RangeFacetRenderer {
+    /**
+     * @param {FilterManager} manager - Owning FilterManager instance
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Render all range facets into the options panel.
+     * @param {HTMLElement} container - #filterGroups
+     */
+    render(container) {
+        const div = document.createElement('div');
+        div.className = 'filter-group range-facets';
+        div.innerHTML = RANGE_FACET_KEYS.map(key => Templates.buildRangeFacet(key, RANGE_FACETS[key].label, SLIDER_STEPS)).join('');
+        container.appendChild(div);
+
+        div.addEventListener('input', (e) => {
+            if (e.target.matches('.range-input')) {
+                this.handleSliderInput(e.target);
+            }
+        });
+        div.addEventListener('change', (e) => {
+            if (e.target.matches('.range-input')) {
+                this.commitSlider(e.target.closest('.range-facet'));
+            }
+        });
+        div.addEventListener('click', (e) => {
+            const clearBtn = e.target.closest('.range-facet-clear');
+            if (clearBtn) {
+                this.manager.clearRange(clearBtn.closest('.range-facet').dataset.rangeKey);
+            }
+        });
+
+        this.update();
+    }
+
+    /**
+     * Refresh histograms, slider positions and labels from the last query and the filter state.
+     */
+    update() {
+        qsa('#filterGroups .range-facet').forEach(facetEl => {
+            const key = facetEl.dataset.rangeKey;
+            const facet = this.manager.rangeFacets?.[key];
+            const inputs = qsa('.range-input', facetEl);
+
+            toggleClass(facetEl, 'unavailable', !facet);
+            inputs.forEach(input => {
+                input.disabled = !facet;
+            });
+            if (!facet) {
+                setText(qs('.range-facet-value', facetEl), 'No data');
+                setHTML(qs('.range-histogram', facetEl), '');
+                return;
+            }
+
+            const range = this.manager.filterState.getRange(key);
+            const [minInput, maxInput] = inputs;
+            minInput.value = range && range.min !== null
+                ? Math.round(valueToFraction(key, facet, range.min) * SLIDER_STEPS)
+                : 0;
+            maxInput.value = range && range.max !== null
+                ? Math.round(valueToFraction(key, facet, range.max) * SLIDER_STEPS)
+                : SLIDER_STEPS;
+
+            const { format } = RANGE_FACETS[key];
+            setText(qs('.range-bound-min', facetEl), format(facet.min));
+            setText(qs('.range-bound-max', facetEl), format(facet.max));
+            toggleClass(facetEl, 'active', Boolean(range));
+
+            setHTML(qs('.range-histogram', facetEl), Templates.buildRangeHistogram(facet.bins));
+            this.showRange(facetEl, range || { min: null, max: null });
+        });
+    }
+
+    /**
+     * Keep the thumbs in order while dragging and preview the range.
+     * @param {HTMLInputElement} input - The moved slider
+     */
+    handleSliderInput(input) {
+        const facetEl = input.closest('.range-facet');
+        const [minInput, maxInput] = qsa('.range-input', facetEl);
+
+        if (Number(minInput.value) > Number(maxInput.value)) {
+            if (input === minInput) {
+                minInput.value = maxInput.value;
+            } else {
+                maxInput.value = minInput.value;
+            }
+        }
+        this.showRange(facetEl, this.readSlider(facetEl));
+    }
+
+    /**
+     * Apply the slider range to the filters.
+     * @param {HTMLElement} facetEl - `.range-facet` element
+     */
+    commitSlider(facetEl) {
+        const { min, max } = this.readSlider(facetEl);
+        this.manager.setRange(facetEl.dataset.rangeKey, min, max);
+    }
+
+    /**
+     * Read the range selected by the two thumbs (end positions are open bounds).
+     * @param {HTMLElement} facetEl - `.range-facet` element
+     * @returns {NumericRange}
+     */
+    readSlider(facetEl) {
+        const key = facetEl.dataset.rangeKey;
+        const facet = this.manager.rangeFacets?.[key];
+        const [minPosition, maxPosition] = Array.from(qsa('.range-input', facetEl), input => Number(input.value));
+        if (!facet) return { min: null, max: null };
+
+        const toValue = position => roundToSignificant(fractionToValue(key, facet, position / SLIDER_STEPS));
+        return {
+            min: minPosition > 0 ? toValue(minPosition) : null,
+            max: maxPosition < SLIDER_STEPS ? toValue(maxPosition) : null
+        };
+    }
+
+    /**
+     * Show a range in the facet label and highlight the histogram bars inside it.
+     * @param {HTMLElement} facetEl - `.range-facet` element
+     * @param {NumericRange} range
+     */
+    showRange(facetEl, range) {
+        const key = facetEl.dataset.rangeKey;
+        const facet = this.manager.rangeFacets?.[key];
+        if (!facet) return;
+
+        setText(qs('.range-facet-value', facetEl), formatRange(key, range));
+
+        const from = range.min !== null ? getHistogramBin(key, facet, range.min) : 0;
+        const to = range.max !== null ? getHistogramBin(key, facet, range.max) : Infinity;
+        qsa('.range-bar', facetEl).forEach((bar, index) => {
+            toggleClass(bar, 'in-range', index >= from && index <= to);
+        });
+    }
+}
+
+export default RangeFacetRenderer;
@@ -0,0 +1,114 @@
+/**
+ * @file Fuzzy Matching
+ * @description Typo-tolerant matching (bounded Damerau-Levenshtein distance) used when a search term has no exact match
+ *
+ * 模糊匹配只作为回退：某个词在整个目录中没有精确（子串）命中时才启用，
+ * 避免 `pour` 这类正常输入混入 `four` / `tour` 等结果。
+ */
+
+import { normalizeSearchText } from './query-fields.js';
+
+const WORD_SEPARATOR_PATTERN = /[^a-z0-9\u3400-\u9fff]+/;
+
+/**
+ * Number of typos tolerated for a term: none for short terms, one up to 7 characters, two beyond.
+ * @param {number} length - Term length (without spaces)
+ * @returns {number}
+ */
+export function getTypoBudget(length) {
+    if (length < 4) return 0;
+    return length < 8 ? 1 : 2;
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment), bounded by `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Give up once the distance exceeds this
+ * @returns {number} Distance, or `max + 1` when it is larger than `max`
+ */
+export function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previous2[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+
+    return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Check whether a word is a misspelling of a term. The first letter has to match: it is rarely
+ * mistyped, and requiring it keeps `towl` from matching `bowl`.
+ * @param {string} word
+ * @param {string} term
+ * @param {number} max - Typo budget
+ * @returns {boolean}
+ */
+export function isTypoOf(word, term, max) {
+    return max > 0 && word[0] === term[0] && editDistance(word, term, max) <= max;
+}
+
+/**
+ * Check whether a word matches a term within the typo budget, either as a whole or as a prefix
+ * (the term may still be being typed: `realmn` → `realman`).
+ * @param {string} word
+ * @param {string} term - Term without spaces
+ * @param {number} max - Typo budget
+ * @returns {boolean}
+ */
+function isCloseWord(word, term, max) {
+    if (isTypoOf(word, term, max)) return true;
+    return word.length > term.length && isTypoOf(word.slice(0, term.length), term, max);
+}
+
+/**
+ * Create a typo-tolerant matcher for a search term.
+ * Texts match when they contain the term, or when one of their words (or the whole text without
+ * separators, for names such as `Unitree_G1`) is within the typo budget.
+ * @param {string} term - Search term
+ * @returns {(text: *) => boolean}
+ */
+export function createFuzzyMatcher(term) {
+    const needle = normalizeSearchText(term);
+    const compact = needle.replace(/ /g, '');
+    const max = getTypoBudget(compact.length);
+
+    return text => {
+        if (text === undefined || text === null) return false;
+
+        const normalized = normalizeSearchText(text);
+        if (normalized.includes(needle)) return true;
+        if (max === 0) return false;
+
+        const words = normalized.split(WORD_SEPARATOR_PATTERN).filter(Boolean);
+        words.push(words.join(''));
+        return words.some(word => isCloseWord(word, compact, max));
+    };
+}
+
+export default {
+    getTypoBudget,
+    editDistance,
+    isTypoOf,
+    createFuzzyMatcher
+};
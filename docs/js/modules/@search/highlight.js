@@ -0,0 +1,95 @@
+/**
+ * @file Search Highlighting
+ * @description Marks words that matched the search query, using the same tokens as the text index
+ */
+
+/// <reference path="../../types.js" />
+
+import { stemWord } from './text-index.js';
+
+const WORD_SPLIT_PATTERN = /([A-Za-z0-9]+|[\u3400-\u9fff])/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Check whether a word matches one of the highlight terms (substring of its stem, as in TextIndex.lookup).
+ * @param {string} word
+ * @param {string[]} terms - Stemmed query tokens
+ * @param {boolean} [exact=false] - Require the whole stem to equal a term
+ * @returns {boolean}
+ */
+function isMatchingWord(word, terms, exact = false) {
+    const stem = stemWord(word.toLowerCase());
+    return terms.some(term => (exact ? stem === term : stem.includes(term)));
+}
+
+/**
+ * Check whether text contains a word matching the highlight terms.
+ * @param {*} text
+ * @param {string[]} terms - Stemmed query tokens
+ * @param {boolean} [exact=false] - Only count words equal to a term
+ * @returns {boolean}
+ */
+export function hasHighlight(text, terms, exact = false) {
+    if (!text || terms.length === 0) return false;
+    return String(text).split(WORD_SPLIT_PATTERN).some((part, i) => i % 2 === 1 && isMatchingWord(part, terms, exact));
+}
+
+/**
+ * Escape text and wrap matching words in `<mark>`.
+ * @param {*} text
+ * @param {string[]} terms - Stemmed query tokens
+ * @returns {string} HTML
+ */
+export function highlightText(text, terms) {
+    if (text === undefined || text === null) return '';
+    if (terms.length === 0) return escapeHTML(text);
+
+    // split 的捕获组位于奇数下标
+    return String(text)
+        .split(WORD_SPLIT_PATTERN)
+        .map((part, i) => {
+            if (i % 2 === 1 && isMatchingWord(part, terms)) {
+                return `<mark class="search-highlight">${escapeHTML(part)}</mark>`;
+            }
+            return escapeHTML(part);
+        })
+        .join('');
+}
+
+/**
+ * Get the first descriptive text of a dataset that matched the search, highlighted.
+ * @param {Dataset} ds - Dataset
+ * @param {string[]} terms - Stemmed query tokens
+ * @returns {string} HTML, empty when nothing beyond the name matched
+ */
+export function getMatchSnippet(ds, terms) {
+    if (terms.length === 0) return '';
+
+    // 描述可能包含多条任务（换行分隔），逐行作为候选
+    const candidates = [
+        ...String(ds.description || '').split('\n'),
+        ...(ds.sub_tasks || []),
+        ...(ds.objects || []).map(obj => obj.name)
+    ];
+    // 优先展示包含完整查询词的文本，其次才是仅包含子串的文本（如 cup → cupboard）
+    const text = candidates.find(candidate => hasHighlight(candidate, terms, true)) ||
+        candidates.find(candidate => hasHighlight(candidate, terms));
+    return text ? highlightText(text, terms) : '';
+}
+
+export default {
+    escapeHTML,
+    hasHighlight,
+    highlightText,
+    getMatchSnippet
+};
@@ -0,0 +1,18 @@
+/**
+ * @file Search Module Entry
+ * @description Re-exports the search query language, text index and highlighting for cleaner imports.
+ */
+
+export { parseSearchQuery, splitSearchTerms, removeSearchTerm } from './query-parser.js';
+export { compileQuery, getRobotNames, getRankingTokens } from './query-matcher.js';
+export {
+    QUERY_FIELDS,
+    QUERY_FIELD_ALIASES,
+    resolveQueryField,
+    parseQueryNumber,
+    normalizeSearchText
+} from './query-fields.js';
+export { TextIndex, TEXT_INDEX_FIELDS, tokenizeSearchText, stemWord } from './text-index.js';
+export { escapeHTML, hasHighlight, highlightText, getMatchSnippet } from './highlight.js';
+export { createFuzzyMatcher, editDistance, getTypoBudget, isTypoOf } from './fuzzy.js';
+export { toPinyin, withPinyin } from './pinyin.js';
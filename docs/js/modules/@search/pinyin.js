@@ -0,0 +1,42 @@
+/**
+ * @file Pinyin
+ * @description Toneless pinyin for Chinese names, so `yushu` finds the alias 宇树 without listing the spelling by hand
+ *
+ * 基于 vendor 中的 tiny-pinyin（依赖浏览器 Intl.Collator 的中文排序规则）。
+ * 不支持中文排序规则的环境直接跳过，多音字只取常用读音。
+ */
+
+import { isSupported, convertToPinyin } from '../../vendor/tiny-pinyin.mjs';
+
+const HAN_PATTERN = /[\u3400-\u9fff]/;
+
+/**
+ * Convert the Chinese characters of a text to lower-case pinyin without separators.
+ * Other characters are kept: `宇树g1` → `yushug1`.
+ * @param {*} text
+ * @returns {string|null} Pinyin, or null when the text has no Chinese characters or conversion is unsupported
+ */
+export function toPinyin(text) {
+    const value = String(text ?? '');
+    if (!HAN_PATTERN.test(value) || !isSupported()) return null;
+    return convertToPinyin(value, '', true);
+}
+
+/**
+ * Append the pinyin of every Chinese name.
+ * @param {string[]} names
+ * @returns {string[]} Names followed by their pinyin spellings (no duplicates)
+ */
+export function withPinyin(names) {
+    const result = new Set(names);
+    names.forEach(name => {
+        const pinyin = toPinyin(name);
+        if (pinyin) result.add(pinyin);
+    });
+    return Array.from(result);
+}
+
+export default {
+    toPinyin,
+    withPinyin
+};
@@ -0,0 +1,166 @@
+/**
+ * @file Query Fields
+ * @description Field qualifiers understood by the search query language (`robot:`, `episodes>`, ...)
+ *
+ * filter 类字段直接复用筛选下拉框的取值（@filter/data.js 中的 getDatasetFilterLabels），
+ * 并且按整个值匹配（不区分大小写，`_` 与空格等同），保证 `scene:home` 与在下拉框中勾选 home
+ * 匹配同一批数据集；机器人还匹配别名。只有整个目录都没有命中时才容忍拼写错误。
+ */
+
+/// <reference path="../../types.js" />
+
+/**
+ * @typedef {Object} QueryField
+ * @property {'filter'|'text'|'number'} type - How values are matched
+ * @property {string} [filterKey] - Filter dropdown key (type 'filter')
+ * @property {(ds: Dataset) => Array<string|undefined>} [getTexts] - Texts to search (type 'text')
+ * @property {(ds: Dataset) => number|undefined} [getValue] - Numeric value (type 'number')
+ * @property {Object<string, number>} [units] - Accepted unit suffixes and their multipliers (type 'number')
+ * @property {string} description - Shown in the syntax help
+ */
+
+/** Suffixes for counts such as `frames>100k`. */
+const COUNT_UNITS = { '': 1, k: 1e3, m: 1e6 };
+
+/** Suffixes for byte sizes such as `size<5GB` (binary multiples, same as dataset_size). */
+const SIZE_UNITS = {
+    '': 1,
+    b: 1,
+    k: 1024,
+    kb: 1024,
+    m: 1024 ** 2,
+    mb: 1024 ** 2,
+    g: 1024 ** 3,
+    gb: 1024 ** 3,
+    t: 1024 ** 4,
+    tb: 1024 ** 4
+};
+
+/** Suffixes for durations such as `duration>2h` (seconds). */
+const DURATION_UNITS = { '': 1, s: 1, sec: 1, m: 60, min: 60, h: 3600 };
+
+/**
+ * Parse a number with an optional unit suffix.
+ * @param {string} text - e.g. `500`, `1.5k`, `5GB`
+ * @param {Object<string, number>} units - Accepted suffixes
+ * @returns {number} Parsed value, NaN when invalid
+ */
+export function parseQueryNumber(text, units = COUNT_UNITS) {
+    const match = /^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/i.exec(String(text).trim());
+    if (!match) return NaN;
+
+    const multiplier = units[match[2].toLowerCase()];
+    return multiplier === undefined ? NaN : parseFloat(match[1]) * multiplier;
+}
+
+/**
+ * Query fields by canonical name.
+ * @type {Object<string, QueryField>}
+ */
+export const QUERY_FIELDS = {
+    robot: { type: 'filter', filterKey: 'robot', description: 'Robot model or alias' },
+    scene: { type: 'filter', filterKey: 'scene', description: 'Scene type' },
+    action: { type: 'filter', filterKey: 'action', description: 'Atomic action' },
+    end: { type: 'filter', filterKey: 'end', description: 'End effector' },
+    object: { type: 'filter', filterKey: 'object', description: 'Operation object (any hierarchy level)' },
+    range: { type: 'filter', filterKey: 'frame range', description: 'Frame range bucket, e.g. range:1K-10K' },
+    name: {
+        type: 'text',
+        getTexts: ds => [ds.name, ds.path],
+        description: 'Dataset name or path'
+    },
+    task: {
+        type: 'text',
+        getTexts: ds => [ds.description, ...(ds.sub_tasks || [])],
+        description: 'Task description or sub-task'
+    },
+    episodes: {
+        type: 'number',
+        getValue: ds => ds.statistics?.total_episodes,
+        units: COUNT_UNITS,
+        description: 'Number of episodes'
+    },
+    frames: {
+        type: 'number',
+        getValue: ds => ds.statistics?.total_frames,
+        units: COUNT_UNITS,
+        description: 'Number of frames'
+    },
+    duration: {
+        type: 'number',
+        getValue: ds => {
+            const frames = ds.statistics?.total_frames;
+            const fps = ds.statistics?.fps;
+            return frames > 0 && fps > 0 ? frames / fps : undefined;
+        },
+        units: DURATION_UNITS,
+        description: 'Total duration, e.g. duration>2h'
+    },
+    size: {
+        type: 'number',
+        getValue: ds => (ds.datasetSize ? parseQueryNumber(ds.datasetSize, SIZE_UNITS) : undefined),
+        units: SIZE_UNITS,
+        description: 'Dataset size, e.g. size<5GB'
+    },
+    height: {
+        type: 'number',
+        getValue: ds => (typeof ds.platformHeight === 'number' ? ds.platformHeight : undefined),
+        units: COUNT_UNITS,
+        description: 'Operation platform height (cm)'
+    },
+    fps: {
+        type: 'number',
+        getValue: ds => ds.statistics?.fps,
+        units: COUNT_UNITS,
+        description: 'Frames per second'
+    },
+    cameras: {
+        type: 'number',
+        getValue: ds => (Array.isArray(ds.cameras) ? ds.cameras.length : undefined),
+        units: COUNT_UNITS,
+        description: 'Number of cameras'
+    }
+};
+
+/**
+ * Alternative spellings of field names.
+ * @type {Object<string, string>}
+ */
+export const QUERY_FIELD_ALIASES = {
+    robots: 'robot',
+    scenes: 'scene',
+    actions: 'action',
+    effector: 'end',
+    eef: 'end',
+    obj: 'object',
+    objects: 'object',
+    path: 'name',
+    tasks: 'task',
+    desc: 'task',
+    description: 'task',
+    episode: 'episodes',
+    frame: 'frames',
+    camera: 'cameras'
+};
+
+/**
+ * Resolve a (case-insensitive) field name.
+ * @param {string} name - Field name as typed
+ * @returns {{name: string, field: QueryField}|null} Canonical name and definition, or null when unknown
+ */
+export function resolveQueryField(name) {
+    const lower = name.toLowerCase();
+    const canonical = QUERY_FIELD_ALIASES[lower] || lower;
+    const field = QUERY_FIELDS[canonical];
+    return field ? { name: canonical, field } : null;
+}
+
+/**
+ * Normalize text for matching: lower case, `_` and runs of whitespace become a single space.
+ * `"fold towel"` therefore matches the dataset path `..._fold_towel`.
+ * @param {*} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+    return String(text).toLowerCase().replace(/[\s_]+/g, ' ').trim();
+}
@@ -0,0 +1,193 @@
+/**
+ * @file Query Matcher
+ * @description Compiles a parsed search query into a dataset predicate
+ */
+
+/// <reference path="../../types.js" />
+
+import { QUERY_FIELDS, normalizeSearchText } from './query-fields.js';
+import { tokenizeSearchText } from './text-index.js';
+import { createFuzzyMatcher } from './fuzzy.js';
+import { withPinyin } from './pinyin.js';
+import { getDatasetFilterLabels } from '../@filter/data.js';
+
+/**
+ * @typedef {import('./query-parser.js').QueryNode} QueryNode
+ */
+
+/**
+ * @typedef {Object} QueryContext
+ * @property {Object.<string, { common_name?: string, aliases?: string[] }>} [aliasMap] - Robot aliases
+ * @property {Dataset[]} [datasets] - Catalog datasets, used to decide whether a term needs typo tolerance
+ * @property {string[][]} [searchTexts] - Normalized keyword search texts per dataset position
+ * @property {import('./text-index.js').TextIndex} [textIndex] - Index of the descriptive texts (same positions)
+ */
+
+/**
+ * @callback DatasetPredicate
+ * @param {Dataset} ds - Dataset
+ * @param {number} position - Position of the dataset in the catalog
+ * @returns {boolean}
+ */
+
+const COMPARATORS = {
+    '=': (a, b) => a === b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+/**
+ * Get a robot id together with its common name, aliases and the pinyin of Chinese aliases.
+ * @param {string} robotId - Robot id
+ * @param {Object.<string, { common_name?: string, aliases?: string[] }>} [aliasMap]
+ * @returns {string[]} Names (not normalized)
+ */
+export function getRobotNames(robotId, aliasMap = {}) {
+    const names = [robotId];
+    const entry = aliasMap[robotId];
+
+    if (entry) {
+        if (entry.common_name) {
+            names.push(entry.common_name);
+        }
+        if (Array.isArray(entry.aliases)) {
+            entry.aliases.forEach(alias => {
+                if (alias) names.push(alias);
+            });
+        }
+    }
+    return withPinyin(names);
+}
+
+/**
+ * Check whether any text contains the (normalized) needle.
+ * @param {Array<*>} texts
+ * @param {string} needle
+ * @returns {boolean}
+ */
+function anyIncludes(texts, needle) {
+    return texts.some(text => text !== undefined && text !== null && normalizeSearchText(text).includes(needle));
+}
+
+/**
+ * Check whether any text equals the (normalized) needle, ignoring case (filter values).
+ * @param {Array<*>} texts
+ * @param {string} needle
+ * @returns {boolean}
+ */
+function anyEquals(texts, needle) {
+    return texts.some(text => text !== undefined && text !== null && normalizeSearchText(text) === needle);
+}
+
+/**
+ * Compile one node.
+ * @param {QueryNode} node
+ * @param {QueryContext} context
+ * @returns {DatasetPredicate}
+ */
+function compileNode(node, context) {
+    switch (node.type) {
+        case 'and': {
+            const children = node.children.map(child => compileNode(child, context));
+            return (ds, position) => children.every(match => match(ds, position));
+        }
+        case 'or': {
+            const children = node.children.map(child => compileNode(child, context));
+            return (ds, position) => children.some(match => match(ds, position));
+        }
+        case 'not': {
+            const child = compileNode(node.child, context);
+            return (ds, position) => !child(ds, position);
+        }
+        case 'text': {
+            // Identifiers and aliases match as substrings; descriptive texts through the index
+            const searchTexts = context.searchTexts || [];
+            const { textIndex } = context;
+            const indexed = textIndex ? textIndex.lookup(node.value, node.phrase) : new Set();
+            const hasExactMatch = indexed.size > 0 ||
+                searchTexts.some(texts => texts.some(text => text.includes(node.value)));
+
+            if (hasExactMatch) {
+                return (ds, position) => indexed.has(position) ||
+                    (searchTexts[position] || []).some(text => text.includes(node.value));
+            }
+
+            // 整个目录都没有精确命中时才容忍拼写错误
+            const fuzzyIndexed = textIndex ? textIndex.lookup(node.value, node.phrase, true) : new Set();
+            const matchesFuzzy = createFuzzyMatcher(node.value);
+            return (ds, position) => fuzzyIndexed.has(position) ||
+                (searchTexts[position] || []).some(matchesFuzzy);
+        }
+        case 'field': {
+            const field = QUERY_FIELDS[node.field];
+
+            if (field.type === 'text') {
+                return ds => anyIncludes(field.getTexts(ds), node.value);
+            }
+
+            // Exact values, as in the filter dropdown (object level names rather than paths); robots also match their aliases
+            const getTexts = field.filterKey === 'robot'
+                ? ds => getDatasetFilterLabels(ds, 'robot').flatMap(robotId => getRobotNames(robotId, context.aliasMap))
+                : ds => getDatasetFilterLabels(ds, field.filterKey);
+
+            const matchesExact = ds => anyEquals(getTexts(ds), node.value);
+            if (!context.datasets || context.datasets.some(matchesExact)) {
+                return matchesExact;
+            }
+
+            const matchesFuzzy = createFuzzyMatcher(node.value);
+            return ds => getTexts(ds).some(matchesFuzzy);
+        }
+        case 'compare': {
+            const field = QUERY_FIELDS[node.field];
+            const compare = COMPARATORS[node.op];
+            return ds => {
+                const value = field.getValue(ds);
+                return typeof value === 'number' && !Number.isNaN(value) && compare(value, node.number);
+            };
+        }
+        default:
+            throw new Error(`Unknown query node: ${node.type}`);
+    }
+}
+
+/**
+ * Compile a parsed query into a predicate.
+ * @param {QueryNode|null} ast - Parsed query (null matches everything)
+ * @param {QueryContext} [context]
+ * @returns {DatasetPredicate}
+ */
+export function compileQuery(ast, context = {}) {
+    if (!ast) return () => true;
+    return compileNode(ast, context);
+}
+
+/**
+ * Collect the tokens that rank and highlight results: words of bare terms and of `task:` / `name:`
+ * values, excluding negated parts.
+ * @param {QueryNode|null} ast - Parsed query
+ * @returns {string[]} Stemmed tokens (unique)
+ */
+export function getRankingTokens(ast) {
+    const tokens = new Set();
+
+    const visit = node => {
+        if (!node || node.type === 'not') return;
+        if (node.children) {
+            node.children.forEach(visit);
+        } else if (node.type === 'text' || (node.type === 'field' && QUERY_FIELDS[node.field].type === 'text')) {
+            tokenizeSearchText(node.value).forEach(token => tokens.add(token));
+        }
+    };
+    visit(ast);
+
+    return Array.from(tokens);
+}
+
+export default {
+    getRobotNames,
+    compileQuery,
+    getRankingTokens
+};
@@ -0,0 +1,350 @@
+/**
+ * @file Query Parser
+ * @description Parses the search box query language into an expression tree
+ *
+ * Syntax:
+ *   towel                 bare word (task texts and object names via the text index; name, path, frame range, robot aliases)
+ *   "fold towel"          quoted phrase
+ *   robot:AIRBOT          field qualifier (see query-fields.js)
+ *   scene:"living room"   quoted field value
+ *   episodes>500          numeric comparison (>, >=, <, <=, =), units such as 100k / 5GB
+ *   -action:pour          negation (also `NOT action:pour`)
+ *   a OR b, (a | b) c     OR groups; terms are ANDed otherwise (`AND` is optional)
+ *
+ * 解析器容错：无法解析的部分记录到 errors 中并被忽略，其余条件照常生效。
+ */
+
+import { resolveQueryField, parseQueryNumber, normalizeSearchText } from './query-fields.js';
+
+/**
+ * @typedef {Object} QueryError
+ * @property {string} message - Human-readable message
+ * @property {number} start - Start offset in the query
+ * @property {number} end - End offset in the query (exclusive)
+ */
+
+/**
+ * @typedef {Object} QueryNode
+ * @property {'and'|'or'|'not'|'text'|'field'|'compare'} type
+ * @property {QueryNode[]} [children] - Operands ('and' / 'or')
+ * @property {QueryNode} [child] - Operand ('not')
+ * @property {string} [field] - Canonical field name ('field' / 'compare')
+ * @property {string} [value] - Normalized text ('text' / 'field')
+ * @property {boolean} [phrase] - Quoted phrase ('text')
+ * @property {string} [op] - Comparison operator ('compare')
+ * @property {number} [number] - Right-hand side ('compare')
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {QueryNode|null} ast - Expression tree, null for an empty query
+ * @property {QueryError[]} errors - Parse errors (the affected terms are ignored)
+ */
+
+const TERM_PATTERN = /^([A-Za-z_]+)(>=|<=|:|>|<|=)(.*)$/s;
+const KEYWORDS = { OR: 'or', AND: 'and', NOT: 'not' };
+
+/**
+ * Split a query into tokens.
+ * @param {string} input
+ * @param {QueryError[]} errors - Receives tokenizer errors
+ * @returns {Array<Object>} Tokens: `{type: '(' | ')' | 'or' | 'and' | 'not' | 'term', start, end, ...}`
+ */
+function tokenize(input, errors) {
+    const tokens = [];
+    let pos = 0;
+
+    /**
+     * Read a quoted string starting at the opening quote.
+     * @returns {string} Content without quotes
+     */
+    const readQuoted = () => {
+        const open = pos;
+        const close = input.indexOf('"', open + 1);
+        if (close === -1) {
+            errors.push({ message: 'Missing closing quote', start: open, end: input.length });
+            pos = input.length;
+            return input.slice(open + 1);
+        }
+        pos = close + 1;
+        return input.slice(open + 1, close);
+    };
+
+    while (pos < input.length) {
+        const ch = input[pos];
+
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, start: pos, end: pos + 1 });
+            pos++;
+            continue;
+        }
+        if (ch === '|') {
+            tokens.push({ type: 'or', start: pos, end: pos + 1 });
+            pos++;
+            continue;
+        }
+
+        const start = pos;
+
+        // Leading '-' negates the following term or group
+        if (ch === '-') {
+            const next = input[pos + 1];
+            if (next === undefined || /\s/.test(next)) {
+                errors.push({ message: 'Nothing to exclude after "-"', start, end: start + 1 });
+                pos++;
+                continue;
+            }
+            tokens.push({ type: 'not', start, end: start + 1 });
+            pos++;
+            continue;
+        }
+
+        if (ch === '"') {
+            const value = readQuoted();
+            tokens.push({ type: 'term', field: null, op: null, value, quoted: true, start, end: pos });
+            continue;
+        }
+
+        // Bare word, possibly `field<op>value` where the value may be quoted
+        while (pos < input.length && !/[\s()"|]/.test(input[pos])) pos++;
+        const word = input.slice(start, pos);
+
+        const qualified = TERM_PATTERN.exec(word);
+        if (qualified) {
+            const [, field, op, rawValue] = qualified;
+            let value = rawValue;
+            let quoted = false;
+            if (rawValue === '' && input[pos] === '"') {
+                value = readQuoted();
+                quoted = true;
+            }
+            tokens.push({ type: 'term', field, op, value, quoted, start, end: pos });
+        } else if (KEYWORDS[word]) {
+            tokens.push({ type: KEYWORDS[word], start, end: pos });
+        } else {
+            tokens.push({ type: 'term', field: null, op: null, value: word, quoted: false, start, end: pos });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Turn a term token into a node.
+ * @param {Object} token
+ * @param {QueryError[]} errors
+ * @returns {QueryNode|null} Node, or null when the term is invalid
+ */
+function createTermNode(token, errors) {
+    const { start, end } = token;
+
+    if (!token.field) {
+        const value = normalizeSearchText(token.value);
+        return value ? { type: 'text', value, phrase: token.quoted } : null;
+    }
+
+    const resolved = resolveQueryField(token.field);
+    if (!resolved) {
+        errors.push({ message: `Unknown field "${token.field}"`, start, end });
+        return null;
+    }
+
+    const { name, field } = resolved;
+    if (!token.value.trim()) {
+        errors.push({ message: `Missing value after "${token.field}${token.op}"`, start, end });
+        return null;
+    }
+
+    if (field.type === 'number') {
+        const number = parseQueryNumber(token.value, field.units);
+        if (Number.isNaN(number)) {
+            errors.push({ message: `"${token.value}" is not a valid value for ${name}`, start, end });
+            return null;
+        }
+        return { type: 'compare', field: name, op: token.op === ':' ? '=' : token.op, number };
+    }
+
+    if (token.op !== ':' && token.op !== '=') {
+        errors.push({ message: `"${name}" cannot be compared with "${token.op}"`, start, end });
+        return null;
+    }
+    const value = normalizeSearchText(token.value);
+    return value ? { type: 'field', field: name, value } : null;
+}
+
+/**
+ * Combine operands, collapsing single-child groups.
+ * @param {'and'|'or'} type
+ * @param {QueryNode[]} children
+ * @returns {QueryNode|null}
+ */
+function combine(type, children) {
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { type, children };
+}
+
+/**
+ * Parse a search query.
+ * @param {string} input - Text typed into the search box
+ * @returns {ParsedQuery}
+ */
+export function parseSearchQuery(input) {
+    const errors = [];
+    const tokens = tokenize(String(input || ''), errors);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const atGroupEnd = () => !peek() || peek().type === ')' || peek().type === 'or';
+
+    // unary := ('-' | NOT) unary | '(' or ')' | term
+    const parseUnary = () => {
+        const token = tokens[index++];
+
+        if (token.type === 'not') {
+            if (atGroupEnd() || peek().type === 'and') {
+                errors.push({ message: 'Nothing to exclude', start: token.start, end: token.end });
+                return null;
+            }
+            const operand = parseUnary();
+            return operand ? { type: 'not', child: operand } : null;
+        }
+
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (peek() && peek().type === ')') {
+                index++;
+            } else {
+                errors.push({ message: 'Missing closing parenthesis', start: token.start, end: token.end });
+            }
+            return inner;
+        }
+
+        return createTermNode(token, errors);
+    };
+
+    // and := unary ((AND)? unary)*
+    const parseAnd = () => {
+        const children = [];
+        while (!atGroupEnd()) {
+            if (peek().type === 'and') {
+                const andToken = tokens[index++];
+                if (children.length === 0 || atGroupEnd()) {
+                    errors.push({ message: 'AND needs a term on both sides', start: andToken.start, end: andToken.end });
+                }
+                continue;
+            }
+            const node = parseUnary();
+            if (node) children.push(node);
+        }
+        return combine('and', children);
+    };
+
+    // or := and (OR and)*
+    const parseOr = () => {
+        const children = [];
+        const first = parseAnd();
+        if (first) children.push(first);
+
+        while (peek() && peek().type === 'or') {
+            const orToken = tokens[index++];
+            if (children.length === 0 || atGroupEnd()) {
+                errors.push({ message: 'OR needs a term on both sides', start: orToken.start, end: orToken.end });
+            }
+            const next = parseAnd();
+            if (next) children.push(next);
+        }
+        return combine('or', children);
+    };
+
+    const parts = [];
+    while (index < tokens.length) {
+        const node = parseOr();
+        if (node) parts.push(node);
+
+        // Stray ')' – report and keep parsing the rest
+        if (peek() && peek().type === ')') {
+            const token = tokens[index++];
+            errors.push({ message: 'Unmatched closing parenthesis', start: token.start, end: token.end });
+        }
+    }
+
+    errors.sort((a, b) => a.start - b.start);
+    return { ast: combine('and', parts), errors };
+}
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {string} text - Source text of the term
+ * @property {number} start - Start offset in the query (including a preceding `AND`)
+ * @property {number} end - End offset in the query (exclusive)
+ */
+
+/**
+ * Split a query into its top-level ANDed terms, e.g. for showing each one as a removable chip.
+ * A negation stays with its operand and a parenthesized group is one term; a query with a
+ * top-level OR cannot be split and is returned as a single term.
+ * @param {string} input - Text typed into the search box
+ * @returns {SearchTerm[]}
+ */
+export function splitSearchTerms(input) {
+    const query = String(input || '');
+    const tokens = tokenize(query, []);
+    const terms = [];
+    let depth = 0;
+    let termStart = null;
+    let andStart = null;
+
+    for (const token of tokens) {
+        if (token.type === 'or' && depth === 0) {
+            const text = query.trim();
+            return text ? [{ text, start: query.indexOf(text), end: query.indexOf(text) + text.length }] : [];
+        }
+        // An explicit AND is removed together with the term after it
+        if (token.type === 'and' && depth === 0) {
+            if (termStart === null && andStart === null) andStart = token.start;
+            continue;
+        }
+
+        if (termStart === null) termStart = token.start;
+        if (token.type === '(') depth++;
+        if (token.type === ')') depth = Math.max(0, depth - 1);
+
+        // 否定符号与其后的词组成一个整体
+        if (depth === 0 && token.type !== 'not' && token.type !== '(') {
+            terms.push({ text: query.slice(termStart, token.end), start: andStart ?? termStart, end: token.end });
+            termStart = null;
+            andStart = null;
+        }
+    }
+
+    if (termStart !== null) {
+        const end = query.trimEnd().length;
+        terms.push({ text: query.slice(termStart, end), start: andStart ?? termStart, end });
+    }
+    return terms;
+}
+
+/**
+ * Remove a term from a query (see splitSearchTerms), collapsing the whitespace around it.
+ * @param {string} input - Query
+ * @param {SearchTerm} term - Term to remove
+ * @returns {string}
+ */
+export function removeSearchTerm(input, term) {
+    const query = String(input || '');
+    const before = query.slice(0, term.start).trimEnd();
+    const rest = `${before} ${query.slice(term.end).trimStart()}`.trim();
+    // Removing the first term would leave the AND that joined it to the second one
+    return before ? rest : rest.replace(/^AND(?=[\s(]|$)\s*/, '');
+}
+
+export default {
+    parseSearchQuery,
+    splitSearchTerms,
+    removeSearchTerm
+};
@@ -0,0 +1,267 @@
+/**
+ * @file Text Index
+ * @description Inverted index with BM25 ranking over the descriptive text of datasets
+ *              (task description, sub-tasks, object names and the dataset path)
+ *
+ * 索引在目录加载时随批次增量构建（见 CatalogEngine.appendRecords），文档编号即数据集在
+ * catalog 中的位置。查询词按子串匹配词表（与原有的关键字搜索语义一致），
+ * 排序使用按字段加权的 BM25（BM25F）。
+ */
+
+/// <reference path="../../types.js" />
+
+import { normalizeSearchText } from './query-fields.js';
+import { getTypoBudget, isTypoOf } from './fuzzy.js';
+
+/**
+ * Indexed fields and their weights: a hit in the task description counts more than one in the path.
+ * @type {{name: string, weight: number, getTexts: (ds: Dataset) => Array<string|undefined>}[]}
+ */
+export const TEXT_INDEX_FIELDS = [
+    { name: 'description', weight: 3, getTexts: ds => [ds.description] },
+    { name: 'sub_tasks', weight: 2, getTexts: ds => ds.sub_tasks || [] },
+    { name: 'objects', weight: 2, getTexts: ds => (ds.objects || []).map(obj => obj.name) },
+    { name: 'name', weight: 1, getTexts: ds => [ds.path] }
+];
+
+/** BM25 term frequency saturation. */
+const K1 = 1.2;
+
+/** BM25 document length normalization. */
+const B = 0.75;
+
+/** Score factor for vocabulary terms that only contain the query token (`cup` → `cupboard`). */
+const PARTIAL_MATCH_WEIGHT = 0.5;
+
+/** Score factor for vocabulary terms within the typo budget (`towl` → `towel`). */
+const FUZZY_MATCH_WEIGHT = 0.3;
+
+const WORD_PATTERN = /[a-z0-9]+|[\u3400-\u9fff]/g;
+
+/**
+ * Reduce an English word to a simple stem so that singular and plural forms match.
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+export function stemWord(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(?:ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Split text into index tokens (lower case, stemmed; CJK characters are single tokens).
+ * @param {*} text
+ * @returns {string[]}
+ */
+export function tokenizeSearchText(text) {
+    if (text === undefined || text === null) return [];
+    return (normalizeSearchText(text).match(WORD_PATTERN) || []).map(stemWord);
+}
+
+/**
+ * Text Index Class
+ */
+export class TextIndex {
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Remove all documents.
+     */
+    clear() {
+        /** @type {Map<string, number[]>} Term → ids of the documents containing it (ascending) */
+        this.postings = new Map();
+
+        /** @type {{tf: Map<string, number>, length: number, texts: string[]}[]} Per document: weighted term frequencies, weighted length, normalized field texts */
+        this.documents = [];
+
+        /** @type {number} Sum of the weighted document lengths */
+        this.totalLength = 0;
+    }
+
+    /**
+     * Number of indexed documents.
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.length;
+    }
+
+    /**
+     * Add a dataset; its document id is the next position.
+     * @param {Dataset} ds - Dataset
+     */
+    add(ds) {
+        const id = this.documents.length;
+        const tf = new Map();
+        const texts = [];
+        let length = 0;
+
+        TEXT_INDEX_FIELDS.forEach(field => {
+            field.getTexts(ds).forEach(text => {
+                if (!text) return;
+                texts.push(normalizeSearchText(text));
+
+                tokenizeSearchText(text).forEach(term => {
+                    tf.set(term, (tf.get(term) || 0) + field.weight);
+                    length += field.weight;
+                });
+            });
+        });
+
+        tf.forEach((_, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, []);
+            this.postings.get(term).push(id);
+        });
+
+        this.documents.push({ tf, length, texts });
+        this.totalLength += length;
+    }
+
+    /**
+     * Rebuild the index for datasets in a new order.
+     * @param {Dataset[]} datasets
+     */
+    rebuild(datasets) {
+        this.clear();
+        datasets.forEach(ds => this.add(ds));
+    }
+
+    /**
+     * Find the vocabulary terms a query token matches.
+     * @param {string} token - Stemmed query token
+     * @param {boolean} [fuzzy=false] - Fall back to terms within the typo budget when no term contains the token
+     * @returns {Map<string, number>} Term → match weight (1 for the token itself, less for longer or misspelled terms)
+     */
+    expandToken(token, fuzzy = false) {
+        const terms = new Map();
+        this.postings.forEach((_, term) => {
+            if (term === token) {
+                terms.set(term, 1);
+            } else if (term.includes(token)) {
+                terms.set(term, PARTIAL_MATCH_WEIGHT);
+            }
+        });
+
+        if (terms.size === 0 && fuzzy) {
+            const max = getTypoBudget(token.length);
+            this.postings.forEach((_, term) => {
+                if (isTypoOf(term, token, max)) {
+                    terms.set(term, FUZZY_MATCH_WEIGHT);
+                }
+            });
+        }
+        return terms;
+    }
+
+    /**
+     * Find the documents matching a search value.
+     * Every token must match some indexed term; a phrase must also appear verbatim in one field
+     * (not checked for fuzzy lookups).
+     * @param {string} value - Normalized search value
+     * @param {boolean} [phrase=false] - Quoted phrase
+     * @param {boolean} [fuzzy=false] - Tolerate typos in tokens without an exact match (see expandToken)
+     * @returns {Set<number>} Document ids
+     */
+    lookup(value, phrase = false, fuzzy = false) {
+        const tokens = tokenizeSearchText(value);
+        if (tokens.length === 0) return new Set();
+
+        let result = null;
+        for (const token of tokens) {
+            const ids = new Set();
+            this.expandToken(token, fuzzy).forEach((_, term) => {
+                this.postings.get(term).forEach(id => {
+                    if (!result || result.has(id)) ids.add(id);
+                });
+            });
+            result = ids;
+            if (result.size === 0) return result;
+        }
+
+        if (phrase && !fuzzy && tokens.length > 1) {
+            result.forEach(id => {
+                if (!this.documents[id].texts.some(text => text.includes(value))) {
+                    result.delete(id);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Get the words to highlight for query tokens: the token itself, or its fuzzy matches
+     * when no indexed term contains it.
+     * @param {string[]} tokens - Stemmed query tokens
+     * @returns {string[]}
+     */
+    getHighlightTerms(tokens) {
+        const terms = new Set();
+        tokens.forEach(token => {
+            if (this.expandToken(token).size > 0) {
+                terms.add(token);
+                return;
+            }
+            const fuzzyTerms = this.expandToken(token, true);
+            if (fuzzyTerms.size === 0) {
+                terms.add(token);
+            }
+            fuzzyTerms.forEach((_, term) => terms.add(term));
+        });
+        return Array.from(terms);
+    }
+
+    /**
+     * Create a BM25 scorer for query tokens.
+     * Tokens without an exact match are scored against their fuzzy matches.
+     * @param {string[]} tokens - Stemmed query tokens
+     * @returns {(id: number) => number} Score of a document (0 when nothing matches)
+     */
+    createScorer(tokens) {
+        const count = this.documents.length;
+        const averageLength = count > 0 ? this.totalLength / count : 0;
+
+        const idf = term => {
+            const df = this.postings.get(term).length;
+            return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+        };
+
+        // 每个查询词展开一次，并预先计算 idf。
+        // 较长的词通常更罕见，其 idf 不超过查询词本身，避免 `cup` 的结果被 `cupboard` 排在前面
+        const expanded = [...new Set(tokens)].map(token => {
+            const exactIdf = this.postings.has(token) ? idf(token) : Infinity;
+            const terms = [];
+            this.expandToken(token, true).forEach((weight, term) => {
+                terms.push({ term, factor: weight * Math.min(idf(term), exactIdf) });
+            });
+            return terms;
+        });
+
+        return id => {
+            const doc = this.documents[id];
+            if (!doc || averageLength === 0) return 0;
+
+            const norm = K1 * (1 - B + B * doc.length / averageLength);
+            let score = 0;
+
+            // A token contributes its best matching term, so `cup` is not rewarded for `cup` + `cupboard`
+            expanded.forEach(terms => {
+                let best = 0;
+                terms.forEach(({ term, factor }) => {
+                    const tf = doc.tf.get(term);
+                    if (tf) {
+                        best = Math.max(best, factor * tf * (K1 + 1) / (tf + norm));
+                    }
+                });
+                score += best;
+            });
+            return score;
+        };
+    }
+}
+
+export default TextIndex;
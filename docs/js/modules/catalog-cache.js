@@ -0,0 +1,177 @@
+/**
+ * @file Catalog Cache Module
+ * @description Persists the raw dataset catalog in IndexedDB, keyed by catalog version
+ *
+ * 缓存的是原始目录数据（path → dataset_info 记录），而不是 Dataset 对象，
+ * 这样 createDatasetObject 的逻辑变化不需要迁移缓存；需要强制失效时提升 CACHE_SCHEMA_VERSION。
+ */
+
+const DB_NAME = 'robocoin-datamanager';
+const DB_VERSION = 1;
+const STORE_NAME = 'catalog';
+const CATALOG_KEY = 'current';
+
+/** Bump when the cached record shape changes; older entries are ignored. */
+const CACHE_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} CachedCatalog
+ * @property {string} version - Catalog version (data_index.json `version` or content hash)
+ * @property {Object<string, Object>} data - Raw catalog keyed by dataset path
+ * @property {Object<string, string>} hashes - YAML content hash per dataset path (empty for JSON catalogs)
+ * @property {number} savedAt - Timestamp (ms) when the entry was written
+ */
+
+/**
+ * Compute a short, stable hash of a string (FNV-1a, 32 bit).
+ * Used as the catalog version when data_index.json does not provide one.
+ * 不依赖 crypto.subtle（在非 HTTPS 的本地开发环境中不可用）。
+ * @param {string} text - Text to hash
+ * @returns {string} 8-character hex hash
+ */
+export function computeCatalogHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Catalog Cache Class
+ * All methods resolve (never reject) so a broken or unavailable IndexedDB only disables caching.
+ */
+export class CatalogCache {
+    constructor() {
+        /** @type {Promise<IDBDatabase|null>|null} */
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (or create) the database.
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(DB_NAME, DB_VERSION);
+            } catch (err) {
+                // 例如 Firefox 隐私模式
+                console.warn('⚠️ IndexedDB unavailable, catalog cache disabled:', err.message);
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Failed to open catalog cache:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Read the cached catalog.
+     * @returns {Promise<CachedCatalog|null>} Cached catalog, or null on miss
+     */
+    async read() {
+        const db = await this.open();
+        if (!db) return null;
+
+        try {
+            const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+            const entry = await promisifyRequest(store.get(CATALOG_KEY));
+
+            if (!entry || entry.schema !== CACHE_SCHEMA_VERSION || !entry.data) {
+                return null;
+            }
+            return { version: entry.version, data: entry.data, hashes: entry.hashes || {}, savedAt: entry.savedAt };
+        } catch (err) {
+            console.warn('⚠️ Failed to read catalog cache:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Store a catalog, replacing any previous entry.
+     * @param {string} version - Catalog version
+     * @param {Object<string, Object>} data - Raw catalog keyed by dataset path
+     * @param {Object<string, string>} [hashes] - YAML content hash per dataset path
+     * @returns {Promise<boolean>} True when written
+     */
+    async write(version, data, hashes = {}) {
+        const db = await this.open();
+        if (!db) return false;
+
+        try {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put({
+                schema: CACHE_SCHEMA_VERSION,
+                version,
+                data,
+                hashes,
+                savedAt: Date.now()
+            }, CATALOG_KEY);
+
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            return true;
+        } catch (err) {
+            // QuotaExceededError 等：缓存失败不影响正常使用
+            console.warn('⚠️ Failed to write catalog cache:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the cached catalog.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        try {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await promisifyRequest(store.delete(CATALOG_KEY));
+        } catch (err) {
+            console.warn('⚠️ Failed to clear catalog cache:', err);
+        }
+    }
+}
+
+// Export singleton instance
+export default new CatalogCache();
@@ -0,0 +1,68 @@
+/**
+ * @file Compression Module
+ * @description Decodes pre-compressed catalog artifacts (`.json.br` / `.json.gz`) with DecompressionStream
+ *
+ * GitHub Pages 等静态托管不一定对大 JSON 启用压缩，因此构建脚本额外生成压缩文件，
+ * 由浏览器自行解压。不支持对应格式的浏览器直接跳过该变体。
+ */
+
+/**
+ * Compressed variants in order of preference.
+ * `format` is the DecompressionStream format name.
+ * @type {{extension: string, format: string}[]}
+ */
+export const COMPRESSED_VARIANTS = [
+    { extension: '.br', format: 'brotli' },
+    { extension: '.gz', format: 'gzip' }
+];
+
+/**
+ * Check whether the browser can decompress a format.
+ * @param {string} format - DecompressionStream format name
+ * @returns {boolean}
+ */
+export function supportsDecompression(format) {
+    if (typeof DecompressionStream === 'undefined') return false;
+
+    try {
+        new DecompressionStream(format);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the compressed variants this browser can decode.
+ * @returns {{extension: string, format: string}[]}
+ */
+export function getSupportedVariants() {
+    return COMPRESSED_VARIANTS.filter(variant => supportsDecompression(variant.format));
+}
+
+/**
+ * Read a response body as text, decompressing it when needed.
+ * Servers that send the file with a matching Content-Encoding have already decoded it;
+ * such bodies start with JSON and are returned as is.
+ * @param {Response} response - Fetch response of a compressed artifact
+ * @param {string} format - DecompressionStream format name
+ * @returns {Promise<string>} Decoded text
+ */
+export async function readCompressedText(response, format) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    // '{' 或 '[' 开头：已被浏览器按 Content-Encoding 解压
+    if (bytes[0] === 0x7b || bytes[0] === 0x5b) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Response(stream).text();
+}
+
+export default {
+    COMPRESSED_VARIANTS,
+    supportsDecompression,
+    getSupportedVariants,
+    readCompressedText
+};
@@ -35,6 +35,14 @@
  * @property {number} fadeDuration - Fade duration in ms
  */
 
+/**
+ * @typedef {Object} LoadingConfig
+ * @property {number} batchSize - Loading batch size
+ * @property {number} concurrency - Parallel YAML requests in fallback mode
+ * @property {number} requestTimeout - Per-request timeout in ms
+ * @property {number} retries - Retries per failed YAML file
+ * @property {number} retryDelay - Base retry backoff in ms (doubles per attempt)
+ */
 
 /**
  * @typedef {Object} PathsConfig
@@ -65,7 +73,7 @@
  * @property {TimingConfig} timing - Timing configuration
  * @property {Object} preview - Preview card configuration
  * @property {Object} ui - UI element configuration
- * @property {Object} loading - Loading configuration
+ * @property {LoadingConfig} loading - Loading configuration
  * @property {PathsConfig} paths - Path configuration
  * @property {DownloadCommandConfig} downloadCommand - Download command configuration
  */
@@ -154,11 +162,16 @@ class ConfigManager {
                 borderRadius: this.getCSSValue('--border-radius', 4)
             },
             loading: {
-                batchSize: this.getCSSValue('--loading-batch-size', 150)
+                batchSize: this.getCSSValue('--loading-batch-size', 150),
+                concurrency: this.getCSSValue('--loading-concurrency', 6),
+                requestTimeout: this.getCSSValue('--loading-request-timeout', 15000),
+                retries: this.getCSSValue('--loading-retries', 2),
+                retryDelay: this.getCSSValue('--loading-retry-delay', 500)
             },
             // Standard directory structure:
             // ./assets/
             //   ├── info/               - JSON index files (data_index.json, consolidated_datasets.json)
+            //   │   └── details/        - Per-dataset detail records (<path>.json, loaded on demand)
             //   ├── dataset_info/       - YAML metadata files (one per dataset)
             //   ├── thumbnails/         - Thumbnail images (*.jpg, provided by assets/thumbnails)
             //   └── videos/             - MP4 video files (named by dataset path)
@@ -168,6 +181,9 @@ class ConfigManager {
                 get datasetInfo() {
                     return `${this.assetsRoot}/dataset_info`;
                 },
+                get details() {
+                    return `${this.info}/details`;
+                },
                 get videos() {
                     return `${this.assetsRoot}/videos`;
                 }
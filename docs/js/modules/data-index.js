@@ -0,0 +1,103 @@
+/**
+ * @file Data Index Module
+ * @description Reads data_index.json in all published shapes
+ *
+ * 支持的格式：
+ *   - v2（`npm run build:catalog` 生成）：
+ *     `{format: 2, version, count, datasets: [{path, file, hash, size, modified}]}`
+ *   - v1：`{version?, datasets: ["<path>", ...], count}`
+ *   - 旧格式：`["<file>.yaml", ...]` 数组，或以文件名为键的对象
+ * `hash` 让 YAML 模式的后台刷新只重新请求内容有变化的文件（见 DataManager.refreshCatalogInBackground），
+ * `modified` 用于新增日期。
+ * 本模块不依赖 DOM，构建脚本（scripts/build-catalog.js）也使用其中的常量。
+ */
+
+/** Format written by the current build script. */
+export const DATA_INDEX_FORMAT = 2;
+
+const YAML_EXTENSION = /\.ya?ml$/;
+
+/**
+ * @typedef {Object} DataIndexEntry
+ * @property {string} path - Dataset path (YAML file name without extension)
+ * @property {string} file - dataset_info YAML file name
+ * @property {string|null} hash - Content hash of the YAML file (v2 only)
+ * @property {number|null} size - YAML file size in bytes, UTF-8 (v2 only)
+ * @property {string|null} modified - Last-modified date, ISO 8601 (v2 only)
+ */
+
+/**
+ * @typedef {Object} DataIndex
+ * @property {number} format - Index format (1 for every pre-v2 shape)
+ * @property {string|null} version - Catalog version, null when the index has none
+ * @property {DataIndexEntry[]} entries - Entries in index order
+ */
+
+/**
+ * Build an entry from a file name / dataset path and optional metadata.
+ * @param {string} name - YAML file name or dataset path
+ * @param {Object} [meta] - v2 entry fields
+ * @returns {DataIndexEntry|null} Entry, or null for an unusable name
+ */
+function createEntry(name, meta = {}) {
+    if (typeof name !== 'string' || !name) return null;
+
+    // 索引中的条目可能不带扩展名（数据集 path）
+    const file = YAML_EXTENSION.test(name) ? name : `${name}.yaml`;
+    return {
+        path: file.replace(YAML_EXTENSION, ''),
+        file,
+        hash: typeof meta.hash === 'string' ? meta.hash : null,
+        size: Number.isFinite(meta.size) ? meta.size : null,
+        modified: typeof meta.modified === 'string' ? meta.modified : null
+    };
+}
+
+/**
+ * Normalize a parsed data_index.json into a single shape.
+ * @param {Array|Object|null} indexData - Parsed data_index.json
+ * @returns {DataIndex}
+ */
+export function normalizeDataIndex(indexData) {
+    let format = 1;
+    let version = null;
+    let entries;
+
+    if (Array.isArray(indexData)) {
+        entries = indexData.map(name => createEntry(name));
+    } else if (indexData && Array.isArray(indexData.datasets)) {
+        if (Number.isInteger(indexData.format)) format = indexData.format;
+        if (typeof indexData.version === 'string') version = indexData.version;
+
+        entries = indexData.datasets.map(item => (
+            item && typeof item === 'object'
+                ? createEntry(item.file || item.path, item)
+                : createEntry(item)
+        ));
+    } else {
+        entries = Object.entries(indexData || {}).map(([name, meta]) => (
+            createEntry(name, meta && typeof meta === 'object' ? meta : undefined)
+        ));
+    }
+
+    return { format, version, entries: entries.filter(Boolean) };
+}
+
+/**
+ * Content hashes of index entries.
+ * @param {DataIndexEntry[]} entries
+ * @returns {Object<string, string>} Hash per dataset path (entries without a hash are left out)
+ */
+export function getEntryHashes(entries) {
+    const hashes = {};
+    entries.forEach(entry => {
+        if (entry.hash) hashes[entry.path] = entry.hash;
+    });
+    return hashes;
+}
+
+export default {
+    DATA_INDEX_FORMAT,
+    normalizeDataIndex,
+    getEntryHashes
+};
@@ -1,11 +1,20 @@
 /**
  * @file Data Manager Module
  * @description Handles dataset loading, caching, and indexing
+ *
+ * 网络请求和进度 UI 在主线程完成；解析、建模、筛选组与静态计数由 catalog engine
+ * 在 Web Worker 中完成（见 @catalog/）。数据集按批（config.loading.batchSize）到达，
+ * 每批追加后派发 `catalogProgress` 事件，页面可以在加载完成前开始渲染。
  */
 
 /// <reference path="../types.js" />
 
 import ConfigManager from './config.js';
+import catalogClient from './@catalog/index.js';
+import { createEmptyFilterGroups } from './@filter/data.js';
+import { normalizeDataIndex, getEntryHashes } from './data-index.js';
+import { getSupportedVariants, readCompressedText } from './compression.js';
+import { fetchWithTimeout, fetchAndRead, fetchTextWithRetry, runWithConcurrency, isAbortError } from './fetch-queue.js';
 
 /**
  * Data Manager Class
@@ -19,294 +28,571 @@ export class DataManager {
         /** @type {Map<string, Dataset>} */
         this.datasetMap = new Map();
         
+        /** @type {Object<string, FilterGroup>} */
+        this.filterGroups = createEmptyFilterGroups();
+        
+        /** @type {Map<string, number>} */
+        this.staticFilterCounts = new Map();
+        
         /** @type {Object} */
         this.config = ConfigManager.getConfig();
+        
+        /** @type {AbortController|null} */
+        this.loadingController = null;
+        
+        /** @type {boolean} */
+        this.loadCancelled = false;
+        
+        /** @type {string|null} Version of the loaded catalog (used to detect updates) */
+        this.catalogVersion = null;
+        
+        /** @type {Object<string, string>} YAML content hash per dataset path of the loaded catalog */
+        this.fileHashes = {};
+        
+        /** @type {Map<string, Promise<Dataset>>} Detail records already requested, keyed by dataset path */
+        this.detailCache = new Map();
+        
+        /** @type {Map<string, number>} Dataset path → last change of its dataset_info file (ms, v2 data_index.json only) */
+        this.addedDates = new Map();
+    }
+    
+    /**
+     * Cancel an in-progress YAML load.
+     * Datasets that finished loading before cancellation are kept.
+     */
+    cancelLoading() {
+        if (this.loadingController) {
+            console.warn('⏹ Dataset loading cancelled by user');
+            this.loadingController.abort();
+        }
     }
     
     /**
      * Load all datasets
+     * Order of preference: IndexedDB cache (refreshed in background) → consolidated JSON → YAML files.
      * @param {HTMLElement} loadingProgress - Loading progress element
      * @param {HTMLElement} loadingBar - Loading bar element
      * @returns {Promise<Dataset[]>} Loaded datasets
      */
     async loadDatasets(loadingProgress, loadingBar) {
         try {
-            console.log('🚀 Attempting to load consolidated JSON (preferred)...');
             const startTime = performance.now();
+            const batchSize = this.config.loading.batchSize;
+
+            this.resetCatalog();
+
+            // Render each batch as soon as it has been indexed
+            const onBatch = (batch) => {
+                this.appendBatch(batch);
+                loadingProgress.textContent = `Loading datasets: ${batch.loaded}/${batch.total}`;
+                loadingBar.style.width = `${50 + (batch.loaded / batch.total) * 50}%`;
+            };
+
+            // FASTEST: catalog cached by a previous visit; checked against the server in the background
+            loadingProgress.textContent = 'Checking local cache...';
+            loadingBar.style.width = '5%';
+
+            const cached = await catalogClient.loadFromCache({ paths: this.getAssetPaths(), batchSize }, onBatch);
+            if (cached) {
+                this.setCatalog(cached);
+
+                loadingProgress.textContent = `${this.datasets.length} datasets loaded from cache`;
+                loadingBar.style.width = '100%';
+
+                const loadTime = (performance.now() - startTime).toFixed(2);
+                console.log(`⚡ Loaded ${this.datasets.length} datasets from cache (version ${cached.version}) in ${loadTime}ms`);
+
+                this.refreshCatalogInBackground();
+                return this.datasets;
+            }
+
+            console.log('🚀 Attempting to load consolidated JSON (preferred)...');
 
             // Update initial progress
             loadingProgress.textContent = 'Loading consolidated data...';
             loadingBar.style.width = '10%';
 
-            // PRIORITY: Always try consolidated JSON first (single request, much faster)
-            try {
-                console.log('📄 Fetching consolidated_datasets.json...');
-                const res = await fetch(`${this.config.paths.info}/consolidated_datasets.json`);
-
-                if (res.ok) {
-                    console.log('✅ Consolidated JSON found! Processing...');
-                    loadingBar.style.width = '50%';
+            // data_index.json carries the catalog version (optional, small request)
+            const indexData = await this.fetchDataIndex();
+            this.updateAddedDates(indexData);
 
-                    const allData = await res.json();
-                    loadingBar.style.width = '75%';
-
-                    const datasetCount = Object.keys(allData).length;
-                    console.log(`✓ Loaded ${datasetCount} datasets from consolidated JSON`);
+            // PRIORITY: Always try consolidated JSON first (single request, much faster)
+            const consolidatedText = await this.fetchConsolidatedText();
+            if (consolidatedText !== null) {
+                loadingProgress.textContent = 'Processing datasets...';
+                loadingBar.style.width = '50%';
 
-                    // Convert consolidated data to dataset objects
-                    this.datasets = Object.entries(allData).map(([path, raw]) => this.createDatasetObject(path, raw));
+                // Parse and index in the catalog worker
+                const catalog = await catalogClient.load({
+                    format: 'json',
+                    text: consolidatedText,
+                    version: this.getIndexVersion(indexData),
+                    paths: this.getAssetPaths(),
+                    persist: true,
+                    batchSize
+                }, onBatch);
+                this.setCatalog(catalog);
 
-                    // Update progress to 100%
-                    loadingProgress.textContent = `${this.datasets.length} datasets loaded`;
-                    loadingBar.style.width = '100%';
+                // Update progress to 100%
+                loadingProgress.textContent = `${this.datasets.length} datasets loaded`;
+                loadingBar.style.width = '100%';
 
-                    const endTime = performance.now();
-                    const loadTime = (endTime - startTime).toFixed(2);
+                const endTime = performance.now();
+                const loadTime = (endTime - startTime).toFixed(2);
 
-                    console.log(`✓ Loaded ${this.datasets.length} datasets in ${loadTime}ms (${(loadTime / this.datasets.length).toFixed(2)}ms per dataset)`);
-                    console.log('🎉 Using optimized consolidated JSON!');
+                console.log(`✓ Loaded ${this.datasets.length} datasets in ${loadTime}ms (${(loadTime / this.datasets.length).toFixed(2)}ms per dataset)`);
+                console.log('🎉 Using optimized consolidated JSON!');
 
-                    return this.datasets;
-                } else if (res.status === 404) {
-                    console.warn('⚠️ Consolidated JSON not found (404). This is expected in development.');
-                } else {
-                    console.warn(`⚠️ Consolidated JSON request failed (${res.status}). Will try YAML fallback.`);
-                }
-            } catch (jsonError) {
-                console.warn('⚠️ Failed to fetch consolidated JSON:', jsonError.message);
+                return this.datasets;
             }
 
             // FALLBACK: Use YAML mode if JSON is not available
             console.log('📁 Falling back to YAML mode...');
-            loadingProgress.innerHTML = `
-                <div style="color: #ff9800; font-weight: 600;">📁 Loading in YAML mode</div>
-                <div style="font-size: 12px; margin-top: 4px;">Consolidated JSON not available. Loading from individual YAML files...</div>
-            `;
-            await this.loadDatasetsFromYAML(loadingProgress, loadingBar);
-            return this.datasets;
-            
-            loadingBar.style.width = '50%';
-            
-            const allData = await res.json();
-            loadingBar.style.width = '75%';
-            
-            const datasetCount = Object.keys(allData).length;
-            console.log(`✓ Loaded ${datasetCount} datasets in consolidated format (optimized)`);
-            
-            // Convert consolidated data to dataset objects
-            this.datasets = Object.entries(allData).map(([path, raw]) => this.createDatasetObject(path, raw));
-            
-            // Update progress to 100%
-            loadingProgress.textContent = `${this.datasets.length} datasets loaded`;
-            loadingBar.style.width = '100%';
-            
-            const endTime = performance.now();
-            const loadTime = (endTime - startTime).toFixed(2);
-            
-            console.log(`✓ Loaded ${this.datasets.length} datasets in ${loadTime}ms (${(loadTime / this.datasets.length).toFixed(2)}ms per dataset)`);
-            console.log('🎉 Optimization: Single JSON request vs 2000+ YAML requests!');
-            
+            loadingProgress.textContent = 'Loading in YAML mode...';
+            await this.loadDatasetsFromYAML(loadingProgress, loadingBar, indexData);
             return this.datasets;
-            
+
         } catch (err) {
             console.error('Failed to load datasets:', err);
             throw err;
         }
     }
-    
+
     /**
-     * Create dataset object from raw data
-     * @param {string} path - Dataset path
-     * @param {Object} raw - Raw dataset data
-     * @returns {Dataset} Dataset object
+     * Asset locations passed to the catalog engine for building video / thumbnail URLs.
+     * @returns {{videos: string, assetsRoot: string}}
      */
-    createDatasetObject(path, raw) {
-        // 优先使用 raw.raw 部分的数据（如果存在），否则使用顶层数据
-        // 这是因为很多数据集的顶层字段为空，但 raw 部分有正确数据
-        const rawData = raw.raw || {};
-        
+    getAssetPaths() {
         return {
-            path: path,
-            name: path || raw.dataset_name,
-            video_url: `${this.config.paths.videos}/${path}.mp4`,
-            // Thumbnails are provided directly from assets/thumbnails directory
-            // No automatic thumbnail generation - thumbnails must exist in assets/thumbnails/${path}.jpg
-            thumbnail_url: `${this.config.paths.assetsRoot}/thumbnails/${path}.jpg`,
-            // 使用新字段 tasks（从 meta/tasks.jsonl 读取的精确任务描述）
-            // 而非旧的 task_descriptions（YAML中可能包含错误）
-            description: raw.tasks || (rawData.task_descriptions && rawData.task_descriptions[0]) || '',
-            // 优先从 raw.raw 部分读取，因为顶层字段经常为空
-            scenes: raw.scene_type && raw.scene_type.length > 0 ? raw.scene_type : (rawData.scene_type || []),
-            actions: raw.atomic_actions && raw.atomic_actions.length > 0 ? raw.atomic_actions : (rawData.atomic_actions || []),
-            objects: (function() {
-                const topObjects = raw.objects || [];
-                const rawObjects = rawData.objects || [];
-                const objectsToUse = topObjects.length > 0 ? topObjects : rawObjects;
-                return objectsToUse.map(obj => ({
-                    name: obj.object_name,
-                    hierarchy: [
-                        obj.level1, 
-                        obj.level2, 
-                        obj.level3, 
-                        obj.level4, 
-                        obj.level5
-                    ].filter(level => level !== null && level !== undefined),
-                    raw: obj
-                }));
-            })(),
-            // 使用新字段 robot_type（从 meta/info.json 读取）
-            // 不使用旧的 device_model（YAML中的字段可能有错误）
-            robot: raw.robot_type,
-            endEffector: raw.end_effector_type || rawData.end_effector_type,
-            platformHeight: raw.operation_platform_height !== undefined ? raw.operation_platform_height : rawData.operation_platform_height,
-
-            // 数据集大小相关信息
-            frameRange: raw.frame_range || rawData.frame_range,
-            datasetSize: raw.dataset_size || rawData.dataset_size,
-            statistics: raw.statistics || rawData.statistics,
-
-            // Additional metadata
-            cameras: raw.cameras || rawData.cameras || [],
-            license: raw.license || rawData.license,
-            tags: raw.tags || rawData.tags || [],
-            robot_type: raw.robot_type || rawData.robot_type,
-
-            // 扩展的元数据字段（用于详情弹出窗口）
-            dataset_uuid: raw.dataset_uuid || rawData.dataset_uuid,
-            language: raw.language || rawData.language || [],
-            task_categories: raw.task_categories || rawData.task_categories || [],
-            sub_tasks: raw.sub_tasks || rawData.sub_tasks || [],
-            annotations: raw.annotations || rawData.annotations || {},
-            authors: raw.authors || rawData.authors || {},
-            homepage: raw.homepage || rawData.homepage,
-            paper: raw.paper || rawData.paper,
-            repository: raw.repository || rawData.repository,
-            issues_url: raw.issues_url || rawData.issues_url,
-            project_page: raw.project_page || rawData.project_page,
-            contact_email: raw.contact_email || rawData.contact_email,
-            contact_info: raw.contact_info || rawData.contact_info,
-            support_info: raw.support_info || rawData.support_info,
-            citation_bibtex: raw.citation_bibtex || rawData.citation_bibtex,
-            additional_citations: raw.additional_citations || rawData.additional_citations,
-            version_info: raw.version_info || rawData.version_info,
-            codebase_version: raw.codebase_version || rawData.codebase_version,
-            depth_enabled: raw.depth_enabled || rawData.depth_enabled,
-            data_schema: raw.data_schema || rawData.data_schema,
-            structure: raw.structure || rawData.structure,
-            tasks: raw.tasks || rawData.tasks,
-
-            raw: raw,
-            getAllScenes: function() { return this.scenes; },
-            hasScene: function(sceneType) { return this.scenes.includes(sceneType); },
-            getObjectsByLevel: function(level, value) {
-                return this.objects.filter(obj => obj.hierarchy[level - 1] === value);
-            },
-            getTopLevelCategories: function() {
-                return [...new Set(this.objects.map(obj => obj.hierarchy[0]))];
-            }
+            videos: this.config.paths.videos,
+            assetsRoot: this.config.paths.assetsRoot
+        };
+    }
+
+    /**
+     * Clear the loaded catalog before a new load starts.
+     */
+    resetCatalog() {
+        this.datasets = [];
+        this.datasetMap.clear();
+        this.filterGroups = createEmptyFilterGroups();
+        this.staticFilterCounts = new Map();
+        this.catalogVersion = null;
+        this.fileHashes = {};
+        this.detailCache.clear();
+    }
+
+    /**
+     * Add a batch of datasets while the catalog is still loading.
+     * Dispatches a `catalogProgress` event on document.
+     * @param {import('./@catalog/catalog-engine.js').CatalogBatch} batch - Batch reported by the catalog engine
+     */
+    appendBatch(batch) {
+        batch.datasets.forEach(ds => {
+            this.datasets.push(ds);
+            this.datasetMap.set(ds.path, ds);
+        });
+        this.filterGroups = batch.filterGroups;
+        this.staticFilterCounts = batch.staticCounts;
+
+        document.dispatchEvent(new CustomEvent('catalogProgress', {
+            detail: { loaded: batch.loaded, total: batch.total }
+        }));
+    }
+
+    /**
+     * Replace the loaded catalog.
+     * @param {CatalogSnapshot} catalog - Snapshot returned by the catalog engine
+     */
+    setCatalog(catalog) {
+        // 主线程回退模式下快照与引擎共享数组，复制一份避免 appendBatch 修改引擎状态
+        this.datasets = catalog.datasets.slice();
+        this.filterGroups = catalog.filterGroups;
+        this.staticFilterCounts = catalog.staticCounts;
+        if (catalog.version !== this.catalogVersion) {
+            this.detailCache.clear();
+        }
+        this.catalogVersion = catalog.version;
+        this.fileHashes = catalog.fileHashes || {};
+    }
+
+    /**
+     * Get the loaded catalog (datasets, filter groups and static counts).
+     * @returns {CatalogSnapshot}
+     */
+    getCatalog() {
+        return {
+            version: this.catalogVersion,
+            datasets: this.datasets,
+            filterGroups: this.filterGroups,
+            staticCounts: this.staticFilterCounts
         };
     }
+
+    /**
+     * Fetch data_index.json.
+     * @param {Object} [options]
+     * @param {RequestCache} [options.cache] - Fetch cache mode
+     * @param {AbortSignal} [options.signal] - Cancellation signal
+     * @returns {Promise<Array|Object|null>} Parsed index, or null when unavailable
+     */
+    async fetchDataIndex({ cache, signal } = {}) {
+        try {
+            const res = await fetchWithTimeout(`${this.config.paths.info}/data_index.json`, {
+                timeout: this.config.loading.requestTimeout,
+                cache,
+                signal
+            });
+            return res.ok ? await res.json() : null;
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.warn('⚠️ Failed to fetch data_index.json:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the catalog version published in data_index.json (written by `npm run build:catalog`).
+     * @param {Array|Object|null} indexData - Parsed data_index.json
+     * @returns {string|null} Version, or null for indexes without one
+     */
+    getIndexVersion(indexData) {
+        return normalizeDataIndex(indexData).version;
+    }
+
+    /**
+     * Read the dataset dates of data_index.json (used as "added" dates by the grid sort).
+     * @param {Array|Object|null} indexData - Parsed data_index.json
+     */
+    updateAddedDates(indexData) {
+        const dates = new Map();
+        normalizeDataIndex(indexData).entries.forEach(entry => {
+            const time = entry.modified ? Date.parse(entry.modified) : NaN;
+            if (!Number.isNaN(time)) {
+                dates.set(entry.path, time);
+            }
+        });
+        this.addedDates = dates;
+    }
+
+    /**
+     * Fetch consolidated_datasets.json as text (parsed by the catalog engine).
+     * Pre-compressed variants (.json.br / .json.gz) are tried first when the browser can decode them;
+     * each request (including its body) is bounded by the loading timeout, so a stalled variant falls through to the next.
+     * @param {Object} [options]
+     * @param {RequestCache} [options.cache] - Fetch cache mode
+     * @returns {Promise<string|null>} File content, or null when unavailable
+     */
+    async fetchConsolidatedText({ cache } = {}) {
+        const url = `${this.config.paths.info}/consolidated_datasets.json`;
+        const timeout = this.config.loading.requestTimeout;
+
+        for (const { extension, format } of getSupportedVariants()) {
+            try {
+                const text = await fetchAndRead(`${url}${extension}`,
+                    res => (res.ok ? readCompressedText(res, format) : null),
+                    { timeout, cache });
+                if (text !== null) {
+                    console.log(`✅ Consolidated JSON found (${format})! Processing...`);
+                    return text;
+                }
+            } catch (err) {
+                console.warn(`⚠️ Failed to load consolidated_datasets.json${extension}:`, err.message);
+            }
+        }
+
+        try {
+            console.log('📄 Fetching consolidated_datasets.json...');
+            const res = await fetchAndRead(url,
+                async response => ({ ok: response.ok, status: response.status, text: response.ok ? await response.text() : null }),
+                { timeout, cache });
+
+            if (res.ok) {
+                console.log('✅ Consolidated JSON found! Processing...');
+                return res.text;
+            } else if (res.status === 404) {
+                console.warn('⚠️ Consolidated JSON not found (404). This is expected in development.');
+            } else {
+                console.warn(`⚠️ Consolidated JSON request failed (${res.status}). Will try YAML fallback.`);
+            }
+        } catch (jsonError) {
+            console.warn('⚠️ Failed to fetch consolidated JSON:', jsonError.message);
+        }
+        return null;
+    }
+
+    /**
+     * Check the server for a newer catalog and swap it in when it changed.
+     * Without a consolidated JSON only the YAML files whose index hash differs from the loaded catalog are fetched.
+     * Dispatches `catalogDatesUpdated` once the index is read, and `catalogUpdated` after datasets were replaced.
+     * @returns {Promise<boolean>} True when the catalog was updated
+     */
+    async refreshCatalogInBackground() {
+        try {
+            const indexData = await this.fetchDataIndex({ cache: 'no-cache' });
+            const indexVersion = this.getIndexVersion(indexData);
+            
+            // 从缓存加载时没有读取索引，数据集日期在这里补上
+            if (indexData) {
+                this.updateAddedDates(indexData);
+                document.dispatchEvent(new CustomEvent('catalogDatesUpdated'));
+            }
+            if (indexVersion && indexVersion === this.catalogVersion) {
+                console.log('✓ Cached catalog is up to date');
+                return false;
+            }
+
+            const request = {
+                version: indexVersion,
+                currentVersion: this.catalogVersion,
+                paths: this.getAssetPaths(),
+                persist: true
+            };
+
+            let catalog;
+            const consolidatedText = await this.fetchConsolidatedText({ cache: 'no-cache' });
+            if (consolidatedText !== null) {
+                catalog = await catalogClient.load({ ...request, format: 'json', text: consolidatedText });
+            } else if (indexData) {
+                // 只请求新增或哈希变化的文件（旧格式索引没有哈希，全部重新请求）
+                const { entries } = normalizeDataIndex(indexData);
+                const changed = entries.filter(entry => !entry.hash || entry.hash !== this.fileHashes[entry.path]);
+                const { files, failedCount } = await this.fetchYAMLFiles(changed.map(entry => entry.file), { cache: 'no-cache' });
+                // 请求失败时保留当前目录和版本，下次刷新会重新请求
+                if (failedCount > 0) return false;
+
+                console.log(`🔄 ${changed.length} of ${entries.length} YAML files changed`);
+                catalog = await catalogClient.update({
+                    ...request,
+                    files,
+                    order: entries.map(entry => entry.path),
+                    hashes: getEntryHashes(entries)
+                });
+            } else {
+                return false;
+            }
+            if (catalog.unchanged) {
+                console.log('✓ Cached catalog is up to date');
+                return false;
+            }
+
+            this.setCatalog(catalog);
+            console.log(`🔄 Catalog updated to version ${catalog.version} (${this.datasets.length} datasets)`);
+
+            document.dispatchEvent(new CustomEvent('catalogUpdated', {
+                detail: { version: catalog.version, count: this.datasets.length }
+            }));
+            return true;
+        } catch (err) {
+            console.warn('⚠️ Background catalog refresh failed:', err);
+            return false;
+        }
+    }
     
     /**
      * Load datasets from YAML files (fallback)
+     * Files are fetched through a bounded-concurrency pool with per-request timeouts and retries,
+     * and handed to the catalog engine in batches as they arrive.
+     * The load can be cancelled via cancelLoading(); datasets loaded so far are kept.
      * @param {HTMLElement} loadingProgress - Loading progress element
      * @param {HTMLElement} loadingBar - Loading bar element
+     * @param {Array|Object|null} [indexData] - Already fetched data_index.json
      * @returns {Promise<void>}
      */
-    async loadDatasetsFromYAML(loadingProgress, loadingBar) {
+    async loadDatasetsFromYAML(loadingProgress, loadingBar, indexData = null) {
+        const indicator = loadingBar.closest('.loading-indicator');
+        
+        this.loadingController = new AbortController();
+        this.loadCancelled = false;
+        const signal = this.loadingController.signal;
+        if (indicator) indicator.classList.add('cancellable');
+        
         try {
-            loadingProgress.innerHTML = `
-                <div style="color: #ff9800;">Loading data index...</div>
-                <div style="font-size: 11px; margin-top: 4px; color: #666;">YAML mode active (slower than JSON mode)</div>
-            `;
-            loadingBar.style.width = '5%';
-            
-            const indexRes = await fetch(`${this.config.paths.info}/data_index.json`);
-            if (!indexRes.ok) {
-                throw new Error('data_index.json not found');
+            if (!indexData) {
+                loadingProgress.textContent = 'Loading data index...';
+                loadingBar.style.width = '5%';
+                
+                indexData = await this.fetchDataIndex({ signal });
+                if (!indexData) {
+                    throw new Error('data_index.json not found');
+                }
+                this.updateAddedDates(indexData);
             }
             
-            const indexData = await indexRes.json();
-            const fileList = Array.isArray(indexData) ? indexData : Object.keys(indexData);
+            const { entries } = normalizeDataIndex(indexData);
+            const fileList = entries.map(entry => entry.file);
+            const batchSize = this.config.loading.batchSize;
             
-            loadingProgress.innerHTML = `
-                <div style="color: #ff9800;">Loading ${fileList.length} YAML files...</div>
-                <div style="font-size: 11px; margin-top: 4px; color: #666;">This may take a minute. Consider adding consolidated JSON for faster loading.</div>
-            `;
+            loadingProgress.textContent = `Loading ${fileList.length} YAML files...`;
             loadingBar.style.width = '10%';
             
-            // Import js-yaml dynamically if needed
-            if (typeof jsyaml === 'undefined') {
-                loadingProgress.innerHTML = `
-                    <div>Loading YAML parser...</div>
-                    <div style="font-size: 11px; margin-top: 4px; color: #666;">One-time download from CDN</div>
-                `;
-                await this.loadJsYamlLibrary();
-            }
+            // Parse fetched files in batches while the remaining requests are in flight
+            await catalogClient.beginStream({ paths: this.getAssetPaths() });
             
-            // Load YAML files one by one
-            const allData = {};
-            for (let i = 0; i < fileList.length; i++) {
-                const file = fileList[i];
-                const path = file.replace(/\.ya?ml$/, '');
-                
-                try {
-                    const yamlRes = await fetch(`${this.config.paths.datasetInfo}/${file}`);
-                    const yamlText = await yamlRes.text();
-                    const parsed = jsyaml.load(yamlText);
-                    allData[path] = parsed;
-                    
-                    // Update progress
-                    const progress = 10 + (i / fileList.length) * 80;
-                    loadingBar.style.width = `${progress}%`;
-                    
-                    if (i % 50 === 0 || i === fileList.length - 1) {
-                        loadingProgress.innerHTML = `
-                            <div style="color: #ff9800;">Loading YAML files: ${i + 1}/${fileList.length}</div>
-                            <div style="font-size: 20px; font-weight: 700; margin-top: 8px; color: #ff9800; text-align: center;">${Math.round((i / fileList.length) * 100)}% complete</div>
-                        `;
-                    }
-                } catch (err) {
-                    console.warn(`Failed to load ${file}:`, err);
+            const appends = [];
+            let buffer = [];
+            const flush = () => {
+                if (buffer.length === 0) return;
+                const files = buffer;
+                buffer = [];
+                appends.push(catalogClient.appendYAML(files).then(batch => {
+                    this.appendBatch({ ...batch, total: fileList.length });
+                    return batch.failed;
+                }));
+            };
+            
+            const { failedCount: fetchFailedCount } = await this.fetchYAMLFiles(fileList, {
+                signal,
+                onFile: (file) => {
+                    buffer.push(file);
+                    if (buffer.length >= batchSize) flush();
+                },
+                onProgress: (completed, total) => {
+                    loadingBar.style.width = `${10 + (completed / total) * 85}%`;
+                    loadingProgress.textContent = `Loading YAML files: ${completed}/${total}`;
                 }
-            }
+            });
+            flush();
+            this.loadCancelled = signal.aborted;
+            
+            const parseFailures = (await Promise.all(appends)).flat();
+            parseFailures.forEach(({ path, message }) => {
+                console.warn(`Failed to parse ${path}.yaml:`, message);
+            });
             
-            loadingProgress.innerHTML = `
-                <div style="color: #4caf50;">Processing datasets...</div>
-                <div style="font-size: 11px; margin-top: 4px; color: #666;">Almost done!</div>
-            `;
-            loadingBar.style.width = '95%';
+            // Restore index order; 部分加载（取消或有文件失败）的目录不写入缓存
+            const catalog = await catalogClient.endStream({
+                order: entries.map(entry => entry.path),
+                version: this.getIndexVersion(indexData),
+                hashes: getEntryHashes(entries),
+                persist: !this.loadCancelled && fetchFailedCount === 0
+            });
+            this.setCatalog(catalog);
             
-            // Convert to dataset objects (same as consolidated JSON flow)
-            this.datasets = Object.entries(allData).map(([path, raw]) => this.createDatasetObject(path, raw));
+            const failedCount = fetchFailedCount + parseFailures.length;
             
-            loadingProgress.innerHTML = `
-                <div style="color: #4caf50; font-weight: 600;">✓ ${this.datasets.length} datasets loaded (YAML mode)</div>
-                <div style="font-size: 11px; margin-top: 4px; color: #666;">Tip: Add consolidated JSON for faster loading next time</div>
-            `;
+            if (this.loadCancelled) {
+                loadingProgress.textContent = `Loading cancelled: ${this.datasets.length} of ${fileList.length} datasets loaded`;
+            } else {
+                loadingProgress.textContent = `${this.datasets.length} datasets loaded (YAML mode)${failedCount > 0 ? `, ${failedCount} files failed` : ''}`;
+            }
             loadingBar.style.width = '100%';
             
-            console.log(`✓ Loaded ${this.datasets.length} datasets from YAML files`);
-            console.info('💡 Tip: Run scripts/opti_init.py to generate optimized files for faster loading');
+            console.log(`✓ Loaded ${this.datasets.length} datasets from YAML files${failedCount > 0 ? ` (${failedCount} failed)` : ''}`);
+            console.info('💡 Tip: Run `npm run build:catalog` to generate consolidated_datasets.json for faster loading');
             
         } catch (err) {
+            if (isAbortError(err)) {
+                // Cancelled before any YAML file was requested
+                this.loadCancelled = true;
+                this.resetCatalog();
+                loadingProgress.textContent = 'Loading cancelled';
+                return;
+            }
             console.error('Failed to load datasets from YAML:', err);
             throw err;
+        } finally {
+            this.loadingController = null;
+            if (indicator) indicator.classList.remove('cancellable');
         }
     }
     
     /**
-     * Load js-yaml library dynamically
-     * @returns {Promise<void>}
+     * Fetch dataset_info YAML files as text (no UI updates).
+     * Results keep index order; files that fail or are cancelled are skipped.
+     * @param {string[]} fileList - YAML file names
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancellation signal
+     * @param {RequestCache} [options.cache] - Fetch cache mode
+     * @param {(file: {path: string, text: string}) => void} [options.onFile] - Called for each fetched file, in completion order
+     * @param {(completed: number, total: number) => void} [options.onProgress] - Called after each file
+     * @returns {Promise<{files: {path: string, text: string}[], failedCount: number}>} Fetched files keyed by dataset path
      */
-    async loadJsYamlLibrary() {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/js-yaml/4.1.0/js-yaml.min.js';
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
+    async fetchYAMLFiles(fileList, { signal, cache, onFile, onProgress } = {}) {
+        const loadingConfig = this.config.loading;
+        
+        // Load YAML files in parallel (bounded pool)
+        let completed = 0;
+        const results = await runWithConcurrency(fileList, async (file) => {
+            try {
+                const text = await fetchTextWithRetry(`${this.config.paths.datasetInfo}/${file}`, {
+                    timeout: loadingConfig.requestTimeout,
+                    retries: loadingConfig.retries,
+                    retryDelay: loadingConfig.retryDelay,
+                    signal,
+                    cache
+                });
+                if (onFile) onFile({ path: file.replace(/\.ya?ml$/, ''), text });
+                return text;
+            } finally {
+                completed++;
+                if (onProgress) onProgress(completed, fileList.length);
+            }
+        }, { concurrency: loadingConfig.concurrency, signal });
+        
+        const files = [];
+        let failedCount = 0;
+        results.forEach((result, i) => {
+            const file = fileList[i];
+            if (result.status === 'fulfilled') {
+                files.push({ path: file.replace(/\.ya?ml$/, ''), text: result.value });
+            } else if (!isAbortError(result.reason)) {
+                failedCount++;
+                console.warn(`Failed to load ${file}:`, result.reason);
+            }
         });
+        
+        return { files, failedCount };
+    }
+    
+    /**
+     * Get a dataset with all detail fields.
+     * Summary records (consolidated JSON) are completed from `details/<path>.json` on first use;
+     * results are cached until the catalog changes.
+     * @param {string} path - Dataset path
+     * @returns {Promise<Dataset|undefined>} Full dataset, or undefined for an unknown path
+     */
+    getDatasetDetail(path) {
+        const dataset = this.datasetMap.get(path);
+        if (!dataset) return Promise.resolve(undefined);
+        if (dataset.hasDetail) return Promise.resolve(dataset);
+        
+        if (!this.detailCache.has(path)) {
+            const request = this.fetchDatasetDetail(dataset).catch(err => {
+                // 失败的请求不缓存，下次打开时重试
+                this.detailCache.delete(path);
+                throw err;
+            });
+            this.detailCache.set(path, request);
+        }
+        return this.detailCache.get(path);
+    }
+    
+    /**
+     * Fetch and parse the detail record of a dataset.
+     * Falls back to the dataset_info YAML file when no detail JSON was published.
+     * @param {Dataset} dataset - Summary dataset
+     * @returns {Promise<Dataset>} Full dataset
+     */
+    async fetchDatasetDetail(dataset) {
+        const loadingConfig = this.config.loading;
+        const fetchOptions = {
+            timeout: loadingConfig.requestTimeout,
+            retries: loadingConfig.retries,
+            retryDelay: loadingConfig.retryDelay
+        };
+        
+        let request;
+        try {
+            const text = await fetchTextWithRetry(`${this.config.paths.details}/${dataset.path}.json`, fetchOptions);
+            request = { path: dataset.path, format: 'json', text };
+        } catch (err) {
+            console.warn(`⚠️ Detail JSON for ${dataset.path} unavailable, using YAML file:`, err.message);
+            const text = await fetchTextWithRetry(`${this.config.paths.datasetInfo}/${dataset.path}.yaml`, fetchOptions);
+            request = { path: dataset.path, format: 'yaml', text };
+        }
+        
+        return catalogClient.parseDetail(request);
     }
     
     /**
@@ -0,0 +1,114 @@
+/**
+ * @file Dataset Groups Module
+ * @description "Group by" options of the video grid: robot, scene, end effector, top-level object category, frame range
+ *
+ * 每个数据集只归入一个分组（取第一个值，如第一个场景、第一个物体的顶层类别），
+ * 这样每张卡片在网格中只出现一次。组内保持当前排序；分组按名称排列（帧数区间按数值大小），
+ * 缺少该字段的数据集归入最后的“No …”分组。本模块不依赖 DOM。
+ */
+
+/// <reference path="../types.js" />
+
+import RobotAliasManager from './robot-aliases.js';
+import { QUERY_FIELDS } from './@search/query-fields.js';
+import { getDatasetFilterValues, sortFilterValues } from './@filter/data.js';
+import { formatBytes } from './@filter/range-facets.js';
+
+/**
+ * @typedef {Object} GroupKey
+ * @property {string} label - Display name of the option
+ * @property {string} filterKey - Filter key the values come from (orders the groups, see sortFilterValues)
+ * @property {(ds: Dataset) => string|undefined} getValue - Group value of a dataset
+ * @property {(value: string) => string} [getLabel] - Group header label (default: the value)
+ */
+
+/**
+ * @typedef {Object} DatasetGroup
+ * @property {string} value - Group value ('' for datasets without one)
+ * @property {string} label - Header label
+ * @property {Dataset[]} datasets - Datasets in display order
+ * @property {number} totalBytes - Sum of the dataset sizes (datasets without a size are not counted)
+ */
+
+/**
+ * Group-by options in menu order.
+ * @type {Object<string, GroupKey>}
+ */
+export const GROUP_KEYS = {
+    robot: {
+        label: 'Robot',
+        filterKey: 'robot',
+        getValue: ds => getDatasetFilterValues(ds, 'robot')[0],
+        getLabel: value => RobotAliasManager.getDisplayName(value)
+    },
+    scene: { label: 'Scene', filterKey: 'scene', getValue: ds => getDatasetFilterValues(ds, 'scene')[0] },
+    end: { label: 'End effector', filterKey: 'end', getValue: ds => getDatasetFilterValues(ds, 'end')[0] },
+    object: {
+        label: 'Object category',
+        filterKey: 'object',
+        getValue: ds => ds.objects?.[0]?.hierarchy?.[0]
+    },
+    range: { label: 'Frame range', filterKey: 'frame range', getValue: ds => getDatasetFilterValues(ds, 'frame range')[0] }
+};
+
+/**
+ * Validate a group-by key read from storage, a link or the UI.
+ * @param {*} key
+ * @returns {string|null} Null for no grouping
+ */
+export function normalizeGroupBy(key) {
+    return typeof key === 'string' && key in GROUP_KEYS ? key : null;
+}
+
+/**
+ * Split datasets into groups.
+ * @param {Dataset[]} datasets - Datasets in display (sorted) order
+ * @param {string} groupBy - Group key (see GROUP_KEYS)
+ * @returns {DatasetGroup[]} Groups in display order
+ */
+export function groupDatasets(datasets, groupBy) {
+    const { label, filterKey, getValue, getLabel = value => value } = GROUP_KEYS[groupBy];
+    const groups = new Map();
+
+    datasets.forEach(ds => {
+        const value = getValue(ds) || '';
+        let group = groups.get(value);
+        if (!group) {
+            group = { value, label: value ? getLabel(value) : `No ${label.toLowerCase()}`, datasets: [], totalBytes: 0 };
+            groups.set(value, group);
+        }
+        group.datasets.push(ds);
+
+        const bytes = QUERY_FIELDS.size.getValue(ds);
+        if (Number.isFinite(bytes)) {
+            group.totalBytes += bytes;
+        }
+    });
+
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    const values = Array.from(groups.keys()).filter(Boolean);
+    const ordered = filterKey === 'frame range'
+        ? sortFilterValues(filterKey, values)
+        : values.sort((a, b) => collator.compare(groups.get(a).label, groups.get(b).label));
+    if (groups.has('')) {
+        ordered.push('');
+    }
+    return ordered.map(value => groups.get(value));
+}
+
+/**
+ * Header summary of a group, e.g. `12 datasets · 27.7GB`.
+ * @param {DatasetGroup} group
+ * @returns {string}
+ */
+export function describeGroup(group) {
+    const count = `${group.datasets.length} dataset${group.datasets.length === 1 ? '' : 's'}`;
+    return group.totalBytes > 0 ? `${count} · ${formatBytes(group.totalBytes)}` : count;
+}
+
+export default {
+    GROUP_KEYS,
+    normalizeGroupBy,
+    groupDatasets,
+    describeGroup
+};
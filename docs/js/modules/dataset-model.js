@@ -0,0 +1,256 @@
+/**
+ * @file Dataset Model Module
+ * @description Field precedence rules and the Dataset model, shared by the browser catalog engine and the build tooling.
+ *
+ * 本模块不依赖 DOM / CSS，可以同时被浏览器（主线程与 catalog worker）和 Node 构建脚本
+ * (scripts/build-catalog.js) 引用，保证发布的 consolidated JSON 与浏览器端计算结果一致。
+ *
+ * Dataset 对象只包含纯数据（无函数属性），可以通过 postMessage 在 worker 与主线程之间传递。
+ */
+
+/// <reference path="../types.js" />
+
+/**
+ * Fields where a non-empty top-level array wins, otherwise the `raw` block is used.
+ * @type {string[]}
+ */
+const NON_EMPTY_ARRAY_FIELDS = ['scene_type', 'atomic_actions', 'objects'];
+
+/**
+ * Fields where any defined top-level value wins (including 0 and null).
+ * @type {string[]}
+ */
+const DEFINED_FIELDS = ['operation_platform_height'];
+
+/**
+ * Fields where a truthy top-level value wins, otherwise the `raw` block is used.
+ * @type {string[]}
+ */
+const TRUTHY_FIELDS = [
+    'end_effector_type',
+    'frame_range',
+    'dataset_size',
+    'statistics',
+    'cameras',
+    'license',
+    'tags',
+    'robot_type',
+    'dataset_uuid',
+    'language',
+    'task_categories',
+    'sub_tasks',
+    'annotations',
+    'authors',
+    'homepage',
+    'paper',
+    'repository',
+    'issues_url',
+    'project_page',
+    'contact_email',
+    'contact_info',
+    'support_info',
+    'citation_bibtex',
+    'additional_citations',
+    'version_info',
+    'codebase_version',
+    'depth_enabled',
+    'data_schema',
+    'structure',
+    'tasks'
+];
+
+/**
+ * Resolved fields kept in summary records (consolidated_datasets.json).
+ * Everything the grid, table view, filters, search and hover cards read; heavy fields such as
+ * `features`, `structure`, `observation_space` and BibTeX only live in the detail records.
+ * @type {string[]}
+ */
+const SUMMARY_FIELDS = [
+    'dataset_name',
+    'dataset_uuid',
+    'scene_type',
+    'atomic_actions',
+    'objects',
+    'robot_type',
+    'end_effector_type',
+    'operation_platform_height',
+    'frame_range',
+    'dataset_size',
+    'statistics',
+    'cameras',
+    'license',
+    'tags',
+    'task_categories',
+    'sub_tasks',
+    'annotations'
+];
+
+/**
+ * Marks a summary record; the full record is fetched on demand (see DataManager.getDatasetDetail).
+ * @type {string}
+ */
+export const SUMMARY_FLAG = '_summary';
+
+/**
+ * Resolve top-level fields of a dataset_info record against its `raw` block.
+ *
+ * 优先使用顶层字段；顶层为空时回退到 raw 部分（很多数据集的顶层字段为空，但 raw 部分有正确数据）。
+ * The result keeps the YAML key names and the original `raw` block, so resolving an
+ * already resolved record is a no-op.
+ *
+ * @param {Object} record - Parsed dataset_info YAML (or consolidated JSON entry)
+ * @returns {Object} New record with resolved top-level fields
+ */
+export function resolveDatasetFields(record) {
+    const source = record || {};
+    const rawData = source.raw || {};
+    const resolved = { ...source };
+
+    NON_EMPTY_ARRAY_FIELDS.forEach(key => {
+        const top = source[key];
+        resolved[key] = Array.isArray(top) && top.length > 0 ? top : (rawData[key] || []);
+    });
+
+    DEFINED_FIELDS.forEach(key => {
+        const value = source[key] !== undefined ? source[key] : rawData[key];
+        if (value !== undefined) {
+            resolved[key] = value;
+        }
+    });
+
+    TRUTHY_FIELDS.forEach(key => {
+        const value = source[key] || rawData[key];
+        if (value !== undefined) {
+            resolved[key] = value;
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * Get the task description shown on cards and in search.
+ * 使用顶层 tasks（从 meta/tasks.jsonl 读取的精确任务描述），回退到 raw.task_descriptions；
+ * 不使用 raw.tasks，因此要传入未经 resolveDatasetFields 处理的记录。
+ * @param {Object} record - dataset_info record as published (not resolved)
+ * @returns {string} Task description
+ */
+export function getTaskDescription(record) {
+    const source = record || {};
+    const rawData = source.raw || {};
+    return source.tasks || (rawData.task_descriptions && rawData.task_descriptions[0]) || '';
+}
+
+/**
+ * Reduce a dataset_info record to the summary published in consolidated_datasets.json.
+ * The summary is itself a valid catalog record (resolving it again is a no-op).
+ * @param {Object} record - Parsed dataset_info YAML
+ * @returns {Object} Summary record
+ */
+export function createSummaryRecord(record) {
+    const resolved = resolveDatasetFields(record);
+    const summary = { [SUMMARY_FLAG]: true };
+
+    SUMMARY_FIELDS.forEach(key => {
+        if (resolved[key] !== undefined) {
+            summary[key] = resolved[key];
+        }
+    });
+
+    // raw 部分不进入摘要，任务描述的回退在这里提前完成
+    const description = getTaskDescription(record);
+    if (description) {
+        summary.tasks = description;
+    }
+
+    return summary;
+}
+
+/**
+ * Create the Dataset model object for one catalog record.
+ * @param {string} path - Dataset path
+ * @param {Object} raw - Raw dataset_info record, or a summary record (see createSummaryRecord)
+ * @param {{videos: string, assetsRoot: string}} paths - Asset locations (ConfigManager paths)
+ * @returns {Dataset} Dataset object (plain, structured-cloneable data)
+ */
+export function createDatasetObject(path, raw, paths) {
+    // 字段优先级（顶层 vs raw 部分）由 resolveDatasetFields 统一定义，
+    // 构建脚本 scripts/build-catalog.js 也使用同一套规则
+    const record = resolveDatasetFields(raw);
+
+    return {
+        path: path,
+        name: path || record.dataset_name,
+        video_url: `${paths.videos}/${path}.mp4`,
+        // Thumbnails are provided directly from assets/thumbnails directory
+        // No automatic thumbnail generation - thumbnails must exist in assets/thumbnails/${path}.jpg
+        thumbnail_url: `${paths.assetsRoot}/thumbnails/${path}.jpg`,
+        description: getTaskDescription(raw),
+        scenes: record.scene_type,
+        actions: record.atomic_actions,
+        objects: record.objects.map(obj => ({
+            name: obj.object_name,
+            hierarchy: [
+                obj.level1,
+                obj.level2,
+                obj.level3,
+                obj.level4,
+                obj.level5
+            ].filter(level => level !== null && level !== undefined),
+            raw: obj
+        })),
+        // 使用新字段 robot_type（从 meta/info.json 读取）
+        // 不使用旧的 device_model（YAML中的字段可能有错误）
+        robot: record.robot_type,
+        endEffector: record.end_effector_type,
+        platformHeight: record.operation_platform_height,
+
+        // 数据集大小相关信息
+        frameRange: record.frame_range,
+        datasetSize: record.dataset_size,
+        statistics: record.statistics,
+
+        // Additional metadata
+        cameras: record.cameras || [],
+        license: record.license,
+        tags: record.tags || [],
+        robot_type: record.robot_type,
+
+        // 扩展的元数据字段（用于详情弹出窗口）
+        dataset_uuid: record.dataset_uuid,
+        language: record.language || [],
+        task_categories: record.task_categories || [],
+        sub_tasks: record.sub_tasks || [],
+        annotations: record.annotations || {},
+        authors: record.authors || {},
+        homepage: record.homepage,
+        paper: record.paper,
+        repository: record.repository,
+        issues_url: record.issues_url,
+        project_page: record.project_page,
+        contact_email: record.contact_email,
+        contact_info: record.contact_info,
+        support_info: record.support_info,
+        citation_bibtex: record.citation_bibtex,
+        additional_citations: record.additional_citations,
+        version_info: record.version_info,
+        codebase_version: record.codebase_version,
+        depth_enabled: record.depth_enabled,
+        data_schema: record.data_schema,
+        structure: record.structure,
+        tasks: record.tasks,
+
+        // 摘要记录缺少详情字段，打开详情弹窗时按需加载
+        hasDetail: !(raw && raw[SUMMARY_FLAG]),
+
+        raw: raw
+    };
+}
+
+export default {
+    SUMMARY_FLAG,
+    resolveDatasetFields,
+    getTaskDescription,
+    createSummaryRecord,
+    createDatasetObject
+};
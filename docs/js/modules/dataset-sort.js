@@ -0,0 +1,206 @@
+/**
+ * @file Dataset Sort Module
+ * @description Sort orders of the video grid: relevance, name, robot, size, episodes, frames, hours of data, recently added
+ *
+ * 查询结果本身按相关度（无文本搜索时为目录顺序）排列，排序在主线程上对结果重新排列；
+ * 卡片按 path 缓存，切换排序只移动已渲染的卡片，不会重建。
+ * 缺少数值的数据集无论升序降序都排在最后；主、次排序键都相同时保持查询顺序（稳定排序）。
+ * 本模块不依赖 DOM。
+ */
+
+/// <reference path="../types.js" />
+
+import RobotAliasManager from './robot-aliases.js';
+import { QUERY_FIELDS } from './@search/query-fields.js';
+import { getDatasetFilterValues } from './@filter/data.js';
+
+/**
+ * @typedef {'asc'|'desc'} SortDirection
+ */
+
+/**
+ * @typedef {Object} SortSpec
+ * @property {string} key - Primary sort key (see SORT_KEYS)
+ * @property {SortDirection} direction - Direction of the primary key
+ * @property {string|null} secondary - Tie-breaking key, sorted in its default direction (null = none)
+ */
+
+/**
+ * @typedef {Object} SortContext
+ * @property {Map<string, number>} addedDates - Dataset path → time it was added (ms, see DataManager.addedDates)
+ */
+
+/**
+ * @typedef {Object} SortKey
+ * @property {string} label - Display name
+ * @property {SortDirection} defaultDirection - Direction when the key is chosen (and as secondary key)
+ * @property {(ds: Dataset, context: SortContext, index: number) => string|number|undefined} getValue
+ *           Sort value; `index` is the dataset's position in the query result
+ */
+
+/**
+ * Sort keys in menu order.
+ * @type {Object<string, SortKey>}
+ */
+export const SORT_KEYS = {
+    relevance: {
+        label: 'Relevance',
+        defaultDirection: 'desc',
+        // 查询结果已按相关度排列，位置越靠前越相关
+        getValue: (ds, context, index) => -index
+    },
+    name: { label: 'Name', defaultDirection: 'asc', getValue: ds => ds.name },
+    robot: {
+        label: 'Robot',
+        defaultDirection: 'asc',
+        getValue: ds => {
+            const [robot] = getDatasetFilterValues(ds, 'robot');
+            return robot ? RobotAliasManager.getDisplayName(robot) : undefined;
+        }
+    },
+    size: { label: 'Size', defaultDirection: 'desc', getValue: QUERY_FIELDS.size.getValue },
+    episodes: { label: 'Episodes', defaultDirection: 'desc', getValue: QUERY_FIELDS.episodes.getValue },
+    frames: { label: 'Total frames', defaultDirection: 'desc', getValue: QUERY_FIELDS.frames.getValue },
+    hours: { label: 'Hours of data', defaultDirection: 'desc', getValue: QUERY_FIELDS.duration.getValue },
+    added: {
+        label: 'Recently added',
+        defaultDirection: 'desc',
+        getValue: (ds, context) => context.addedDates.get(ds.path)
+    }
+};
+
+/** Sort of a fresh session: the query order. */
+export const DEFAULT_SORT = Object.freeze({ key: 'relevance', direction: 'desc', secondary: null });
+
+/**
+ * Validate and normalize a sort read from storage, a link or the UI.
+ * @param {*} sort
+ * @returns {SortSpec} DEFAULT_SORT for an unknown primary key
+ */
+export function normalizeSort(sort) {
+    if (!sort || typeof sort !== 'object' || !(sort.key in SORT_KEYS)) {
+        return { ...DEFAULT_SORT };
+    }
+
+    const direction = sort.direction === 'asc' || sort.direction === 'desc'
+        ? sort.direction
+        : SORT_KEYS[sort.key].defaultDirection;
+    const secondary = sort.secondary in SORT_KEYS && sort.secondary !== sort.key ? sort.secondary : null;
+    return { key: sort.key, direction, secondary };
+}
+
+/**
+ * Check whether two sorts order datasets the same way.
+ * @param {SortSpec} a
+ * @param {SortSpec} b
+ * @returns {boolean}
+ */
+export function isSameSort(a, b) {
+    return a.key === b.key && a.direction === b.direction && a.secondary === b.secondary;
+}
+
+/**
+ * Check whether a sort uses a key (as primary or secondary key).
+ * @param {SortSpec} sort
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function sortUsesKey(sort, key) {
+    return sort.key === key || sort.secondary === key;
+}
+
+/**
+ * Format a sort for a link, e.g. `size:desc,name` (empty for DEFAULT_SORT).
+ * @param {SortSpec} sort
+ * @returns {string}
+ */
+export function formatSortParam(sort) {
+    if (isSameSort(sort, DEFAULT_SORT)) return '';
+    return `${sort.key}:${sort.direction}${sort.secondary ? `,${sort.secondary}` : ''}`;
+}
+
+/**
+ * Parse a sort written by formatSortParam.
+ * @param {string|null} value
+ * @returns {SortSpec|null} Null when the value is missing or names no known key
+ */
+export function parseSortParam(value) {
+    const match = /^([a-z]+)(?::(asc|desc))?(?:,([a-z]+))?$/.exec(value || '');
+    if (!match || !(match[1] in SORT_KEYS)) return null;
+    return normalizeSort({ key: match[1], direction: match[2], secondary: match[3] || null });
+}
+
+/**
+ * Sort value of a dataset; empty strings and non-finite numbers count as missing.
+ * @param {string} key - Sort key
+ * @param {Dataset} ds
+ * @param {SortContext} context
+ * @param {number} index - Position in the query result
+ * @returns {string|number|null} Null when missing
+ */
+function getSortValue(key, ds, context, index) {
+    const value = SORT_KEYS[key].getValue(ds, context, index);
+    if (typeof value === 'string') return value || null;
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Compare two sort values; missing values come last in both directions (also used by the table view).
+ * @param {string|number|null} a
+ * @param {string|number|null} b
+ * @param {SortDirection} direction
+ * @param {Intl.Collator} collator - Used for text values
+ * @returns {number}
+ */
+export function compareSortValues(a, b, direction, collator) {
+    if (a === null || b === null) {
+        return (a === null) - (b === null);
+    }
+    const order = typeof a === 'string' ? collator.compare(a, b) : a - b;
+    return direction === 'desc' ? -order : order;
+}
+
+/**
+ * Sort query results.
+ * @param {Dataset[]} datasets - Query result (by relevance, or in catalog order)
+ * @param {SortSpec} sort
+ * @param {SortContext} context
+ * @returns {Dataset[]} `datasets` itself for the default sort, a sorted copy otherwise
+ */
+export function sortDatasets(datasets, sort, context) {
+    if (isSameSort(sort, DEFAULT_SORT)) return datasets;
+
+    const keys = [[sort.key, sort.direction]];
+    if (sort.secondary) {
+        keys.push([sort.secondary, SORT_KEYS[sort.secondary].defaultDirection]);
+    }
+
+    // 每个数据集的排序值只计算一次（显示名、大小等需要解析）
+    const rows = datasets.map((ds, index) => ({
+        ds,
+        index,
+        values: keys.map(([key]) => getSortValue(key, ds, context, index))
+    }));
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    rows.sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+            const order = compareSortValues(a.values[i], b.values[i], keys[i][1], collator);
+            if (order !== 0) return order;
+        }
+        return a.index - b.index;
+    });
+    return rows.map(row => row.ds);
+}
+
+export default {
+    SORT_KEYS,
+    DEFAULT_SORT,
+    normalizeSort,
+    isSameSort,
+    sortUsesKey,
+    formatSortParam,
+    parseSortParam,
+    compareSortValues,
+    sortDatasets
+};
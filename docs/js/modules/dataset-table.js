@@ -0,0 +1,219 @@
+/**
+ * @file Dataset Table Module
+ * @description Columns, column sort and CSV export of the table view
+ *
+ * 表格按网格的当前顺序（排序控件）列出结果；点击列标题时在此基础上按该列重新排列（稳定排序，
+ * 缺少数值的数据集排在最后）。CSV 导出可见列，数值列导出原始数值（大小为字节数），方便在表格软件中比较。
+ * 本模块不依赖 DOM。
+ */
+
+/// <reference path="../types.js" />
+
+import RobotAliasManager from './robot-aliases.js';
+import { QUERY_FIELDS } from './@search/query-fields.js';
+import { getDatasetFilterValues } from './@filter/data.js';
+import { compareSortValues } from './dataset-sort.js';
+
+/**
+ * @typedef {Object} TableColumn
+ * @property {string} label - Header label
+ * @property {'text'|'number'} type - Numbers are right-aligned and sort descending first
+ * @property {number} width - Default width in pixels
+ * @property {(ds: Dataset) => string|number|undefined} getValue - Value used for sorting and CSV
+ * @property {(ds: Dataset) => string|undefined} [format] - Cell text (default: the value)
+ * @property {string} [csvLabel] - CSV header when the CSV value differs from the cell text
+ */
+
+/**
+ * @typedef {Object} TableSort
+ * @property {string} column - Column key (see TABLE_COLUMNS)
+ * @property {import('./dataset-sort.js').SortDirection} direction
+ */
+
+/**
+ * Labels of the annotation types in dataset_info `annotations`.
+ * @type {Object<string, string>}
+ */
+export const ANNOTATION_LABELS = {
+    subtask_annotation: 'Subtask',
+    scene_annotation: 'Scene',
+    eef_direction: 'EEF Direction',
+    eef_velocity: 'EEF Velocity',
+    eef_acc_mag: 'EEF Acceleration Magnitude',
+    gripper_mode: 'Gripper Mode',
+    gripper_activity: 'Gripper Activity'
+};
+
+/**
+ * Annotation types available for a dataset.
+ * @param {Dataset} ds
+ * @returns {string[]} Labels in ANNOTATION_LABELS order
+ */
+export function getAnnotationLabels(ds) {
+    const annotations = ds.annotations || ds.raw?.annotations || {};
+    return Object.keys(ANNOTATION_LABELS)
+        .filter(key => annotations[key])
+        .map(key => ANNOTATION_LABELS[key]);
+}
+
+/**
+ * Table columns in default order.
+ * @type {Object<string, TableColumn>}
+ */
+export const TABLE_COLUMNS = {
+    path: { label: 'Path', type: 'text', width: 320, getValue: ds => ds.path },
+    robot: {
+        label: 'Robot',
+        type: 'text',
+        width: 160,
+        getValue: ds => getDatasetFilterValues(ds, 'robot').map(robot => RobotAliasManager.getDisplayName(robot)).join(', ')
+    },
+    scenes: { label: 'Scenes', type: 'text', width: 180, getValue: ds => (ds.scenes || []).join(', ') },
+    actions: { label: 'Actions', type: 'text', width: 200, getValue: ds => (ds.actions || []).join(', ') },
+    episodes: { label: 'Episodes', type: 'number', width: 96, getValue: QUERY_FIELDS.episodes.getValue },
+    frames: { label: 'Frames', type: 'number', width: 110, getValue: QUERY_FIELDS.frames.getValue },
+    fps: { label: 'FPS', type: 'number', width: 72, getValue: QUERY_FIELDS.fps.getValue },
+    size: {
+        label: 'Size',
+        type: 'number',
+        width: 96,
+        getValue: QUERY_FIELDS.size.getValue,
+        format: ds => ds.datasetSize,
+        csvLabel: 'Size (bytes)'
+    },
+    cameras: { label: 'Cameras', type: 'number', width: 88, getValue: QUERY_FIELDS.cameras.getValue },
+    license: { label: 'License', type: 'text', width: 120, getValue: ds => ds.license },
+    annotations: { label: 'Annotations', type: 'text', width: 240, getValue: ds => getAnnotationLabels(ds).join(', ') }
+};
+
+/** Columns shown in a fresh session. */
+export const DEFAULT_TABLE_COLUMNS = Object.freeze(Object.keys(TABLE_COLUMNS));
+
+/** Narrowest width a column can be resized to (px). */
+export const MIN_COLUMN_WIDTH = 56;
+
+/**
+ * Validate a column list read from storage or the UI.
+ * @param {*} columns
+ * @returns {string[]} Known, distinct column keys; the default columns when none remain
+ */
+export function normalizeTableColumns(columns) {
+    const keys = Array.isArray(columns)
+        ? [...new Set(columns.filter(key => typeof key === 'string' && key in TABLE_COLUMNS))]
+        : [];
+    return keys.length > 0 ? keys : [...DEFAULT_TABLE_COLUMNS];
+}
+
+/**
+ * Validate a column sort read from storage or the UI.
+ * @param {*} sort
+ * @returns {TableSort|null} Null for the grid order
+ */
+export function normalizeTableSort(sort) {
+    if (!sort || typeof sort !== 'object' || !(sort.column in TABLE_COLUMNS)) return null;
+    const direction = sort.direction === 'asc' || sort.direction === 'desc'
+        ? sort.direction
+        : getDefaultDirection(sort.column);
+    return { column: sort.column, direction };
+}
+
+/**
+ * Direction of a column's first click: numbers descending, text ascending (as in the grid sort).
+ * @param {string} column
+ * @returns {import('./dataset-sort.js').SortDirection}
+ */
+export function getDefaultDirection(column) {
+    return TABLE_COLUMNS[column].type === 'number' ? 'desc' : 'asc';
+}
+
+/**
+ * Next sort of a header click: default direction → reversed → grid order.
+ * @param {TableSort|null} sort - Current sort
+ * @param {string} column - Clicked column
+ * @returns {TableSort|null}
+ */
+export function cycleTableSort(sort, column) {
+    const first = getDefaultDirection(column);
+    if (!sort || sort.column !== column) return { column, direction: first };
+    if (sort.direction === first) return { column, direction: first === 'asc' ? 'desc' : 'asc' };
+    return null;
+}
+
+/**
+ * Column value; empty strings and non-finite numbers count as missing.
+ * @param {string} column
+ * @param {Dataset} ds
+ * @returns {string|number|null} Null when missing
+ */
+function getColumnValue(column, ds) {
+    const value = TABLE_COLUMNS[column].getValue(ds);
+    if (typeof value === 'string') return value || null;
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Cell text of a dataset.
+ * @param {string} column
+ * @param {Dataset} ds
+ * @returns {string} Empty when the value is missing
+ */
+export function formatTableCell(column, ds) {
+    const { format } = TABLE_COLUMNS[column];
+    if (format) return format(ds) || '';
+
+    const value = getColumnValue(column, ds);
+    if (value === null) return '';
+    return typeof value === 'number' ? value.toLocaleString('en-US') : value;
+}
+
+/**
+ * Order rows by a column.
+ * @param {Dataset[]} datasets - Datasets in grid order
+ * @param {TableSort|null} sort
+ * @returns {Dataset[]} `datasets` itself without a column sort, a sorted copy otherwise
+ */
+export function sortTableRows(datasets, sort) {
+    if (!sort) return datasets;
+
+    const rows = datasets.map((ds, index) => ({ ds, index, value: getColumnValue(sort.column, ds) }));
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    rows.sort((a, b) => compareSortValues(a.value, b.value, sort.direction, collator) || a.index - b.index);
+    return rows.map(row => row.ds);
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180).
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    const text = value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file of table rows.
+ * @param {Dataset[]} datasets - Rows in table order
+ * @param {string[]} columns - Visible columns in order
+ * @returns {string} CSV text (CRLF line endings, no BOM; exportCsv adds one for Excel)
+ */
+export function buildCsv(datasets, columns) {
+    const header = columns.map(column => toCsvField(TABLE_COLUMNS[column].csvLabel || TABLE_COLUMNS[column].label));
+    const lines = datasets.map(ds => columns.map(column => toCsvField(getColumnValue(column, ds))).join(','));
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+export default {
+    ANNOTATION_LABELS,
+    TABLE_COLUMNS,
+    DEFAULT_TABLE_COLUMNS,
+    MIN_COLUMN_WIDTH,
+    getAnnotationLabels,
+    normalizeTableColumns,
+    normalizeTableSort,
+    getDefaultDirection,
+    cycleTableSort,
+    formatTableCell,
+    sortTableRows,
+    buildCsv
+};
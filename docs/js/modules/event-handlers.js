@@ -9,6 +9,7 @@ import ConfigManager from './config.js';
 import { debounce } from './virtual-scroll.js';
 import { selectAllChildrenInHierarchy, clearAllChildrenInHierarchy } from './@filter/filter-hierarchy.js';
 import DownloadManager from './download-manager.js';
+import toastManager from './toast-manager.js';
 
 /**
  * Event Handlers Manager Class
@@ -36,6 +37,8 @@ export class EventHandlers {
     bindEvents() {
         this.bindFilterEvents();
         this.bindVideoGridEvents();
+        this.bindGroupHeaderEvents();
+        this.bindTableEvents();
         this.bindSelectionListEvents();
         this.bindToolbarEvents();
         this.bindResizeEvents();
@@ -86,8 +89,6 @@ export class EventHandlers {
         if (filterTriggerBtn) {
             filterTriggerBtn.addEventListener('click', () => {
                 this.managers.ui.openFilterDropdown();
-                // Initialize tooltips when dropdown opens
-                this.managers.filter.initializeFilters();
                 // Focus search input when dropdown opens
                 setTimeout(() => {
                     const searchInput = document.getElementById('filterFinderInput');
@@ -153,6 +154,7 @@ export class EventHandlers {
                     this.managers.selectionPanel.setHub(newHub);
                     DownloadManager.setCurrentHub(newHub);
                     this.updateHubSwitchButton(newHub);
+                    document.dispatchEvent(new CustomEvent('viewStateChanged'));
 
                     // Remove transition class after animation completes
                     setTimeout(() => {
@@ -453,6 +455,57 @@ export class EventHandlers {
         }, true);
     }
 
+    /**
+     * Bind grid group header events (event delegation; covers the pinned header outside the grid)
+     */
+    bindGroupHeaderEvents() {
+        const panel = document.querySelector('.video-panel');
+        if (!panel) return;
+
+        panel.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('.grid-group-header [data-action]');
+            if (!actionBtn) return;
+
+            const value = actionBtn.closest('.grid-group-header').dataset.groupValue;
+            const videoGrid = this.managers.videoGrid;
+            const group = videoGrid.getGroup(value);
+            if (!group) return;
+
+            if (actionBtn.dataset.action === 'toggle') {
+                videoGrid.toggleGroup(value);
+            } else if (actionBtn.dataset.action === 'add-to-cart') {
+                const paths = group.datasets.map(ds => ds.path);
+                const { added } = this.managers.selectionPanel.addToList(paths);
+                videoGrid.updateCardStyles();
+
+                const already = paths.length - added;
+                toastManager.success(`Added ${added} datasets from "${group.label}" to the cart${already > 0 ? ` (${already} already there)` : ''}`);
+            }
+        });
+    }
+
+    /**
+     * Bind table view row events (event delegation): same selection semantics as the cards
+     */
+    bindTableEvents() {
+        const body = document.getElementById('datasetTableBody');
+        if (!body) return;
+
+        body.addEventListener('click', (e) => {
+            // The path opens the detail modal, like the title in the card hover overlay
+            const link = e.target.closest('.dataset-table-link');
+            if (link && this.managers.ui) {
+                this.managers.ui.showDetailModal(link.dataset.path, this.datasetMap);
+                return;
+            }
+
+            const row = e.target.closest('.dataset-table-row');
+            if (row?.dataset.path && this.managers.selectionPanel) {
+                this.toggleSelection(row.dataset.path);
+            }
+        });
+    }
+
     /**
      * Bind selection list events (event delegation)
      */
@@ -666,10 +719,9 @@ export class EventHandlers {
         window.addEventListener('resize', () => {
             clearTimeout(resizeTimeout);
             resizeTimeout = setTimeout(() => {
-                const filteredDatasets = this.managers.filter.applyFilters(
-                    document.getElementById('searchBox')?.value || ''
-                );
-                this.managers.videoGrid.renderVideoGrid(filteredDatasets);
+                // Re-layout the current result; filters did not change
+                const videoGrid = this.managers.videoGrid;
+                videoGrid.renderVideoGrid(videoGrid.filteredDatasets);
             }, 200);
         });
     }
@@ -687,10 +739,8 @@ export class EventHandlers {
             gridContainer.addEventListener('scroll', () => {
                 if (!videoScrollTicking) {
                     window.requestAnimationFrame(() => {
-                        const filteredDatasets = this.managers.filter.applyFilters(
-                            document.getElementById('searchBox')?.value || ''
-                        );
-                        this.managers.videoGrid.renderVideoGrid(filteredDatasets);
+                        const videoGrid = this.managers.videoGrid;
+                        videoGrid.renderVideoGrid(videoGrid.filteredDatasets);
                         videoScrollTicking = false;
                     });
                     videoScrollTicking = true;
@@ -737,8 +787,8 @@ export class EventHandlers {
     /**
      * Select all filtered datasets
      */
-    selectAllFiltered() {
-        const filteredDatasets = this.managers.filter.applyFilters(
+    async selectAllFiltered() {
+        const filteredDatasets = await this.managers.filter.applyFilters(
             document.getElementById('searchBox')?.value || ''
         );
         filteredDatasets.forEach(ds => {
@@ -753,8 +803,8 @@ export class EventHandlers {
     /**
      * Deselect all filtered datasets
      */
-    deselectAllFiltered() {
-        const filteredDatasets = this.managers.filter.applyFilters(
+    async deselectAllFiltered() {
+        const filteredDatasets = await this.managers.filter.applyFilters(
             document.getElementById('searchBox')?.value || ''
         );
         filteredDatasets.forEach(ds => {
@@ -0,0 +1,204 @@
+/**
+ * @file Fetch Queue Utilities
+ * @description Bounded-concurrency task runner and fetch helpers with timeouts, retries and cancellation
+ */
+
+/**
+ * Check whether an error was caused by an aborted signal.
+ * @param {*} err - Error to inspect
+ * @returns {boolean} True for abort errors
+ */
+export function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+}
+
+/**
+ * Create an AbortError (DOMException where available).
+ * @param {string} [message]
+ * @returns {Error}
+ */
+function createAbortError(message = 'The operation was aborted') {
+    if (typeof DOMException === 'function') {
+        return new DOMException(message, 'AbortError');
+    }
+    const err = new Error(message);
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * Wait for a number of milliseconds, rejecting early when the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch with a per-request timeout, honoring an outer cancellation signal.
+ * A timeout rejects with a regular Error (retryable); the outer signal rejects with an AbortError.
+ * The timeout only covers the response headers; use fetchAndRead to also bound the body.
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=15000] - Timeout in milliseconds (0 disables)
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @param {RequestCache} [options.cache] - Fetch cache mode (e.g. 'no-cache' to revalidate)
+ * @returns {Promise<Response>}
+ */
+export function fetchWithTimeout(url, options) {
+    return fetchAndRead(url, res => res, options);
+}
+
+/**
+ * Fetch and read the response within one timeout, so a stalled body is aborted like a stalled request.
+ * Errors behave as in fetchWithTimeout.
+ * @template T
+ * @param {string} url - Request URL
+ * @param {(res: Response) => Promise<T>|T} read - Reads the response (any status)
+ * @param {Object} [options]
+ * @param {number} [options.timeout=15000] - Timeout in milliseconds (0 disables)
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @param {RequestCache} [options.cache] - Fetch cache mode (e.g. 'no-cache' to revalidate)
+ * @returns {Promise<T>}
+ */
+export async function fetchAndRead(url, read, { timeout = 15000, signal, cache } = {}) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+
+    try {
+        const res = await fetch(url, { signal: controller.signal, cache });
+        return await read(res);
+    } catch (err) {
+        if (timedOut) {
+            throw new Error(`Request timed out after ${timeout}ms: ${url}`);
+        }
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Fetch a text resource, retrying failed attempts with exponential backoff.
+ * Client errors (4xx) are not retried; network errors, timeouts (headers or body) and 5xx responses are.
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=15000] - Per-attempt timeout in milliseconds
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @param {RequestCache} [options.cache] - Fetch cache mode
+ * @returns {Promise<string>} Response body
+ */
+export async function fetchTextWithRetry(url, { timeout = 15000, retries = 2, retryDelay = 500, signal, cache } = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            await delay(retryDelay * Math.pow(2, attempt - 1), signal);
+        }
+
+        try {
+            // 响应体也在超时范围内读取，卡住的响应体会变成可重试的超时
+            const { ok, status, text } = await fetchAndRead(url,
+                async res => ({ ok: res.ok, status: res.status, text: res.ok ? await res.text() : null }),
+                { timeout, signal, cache });
+            if (ok) {
+                return text;
+            }
+
+            lastError = new Error(`HTTP ${status} for ${url}`);
+            if (status >= 400 && status < 500) {
+                break;
+            }
+        } catch (err) {
+            if (isAbortError(err)) {
+                throw err;
+            }
+            lastError = err;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` tasks in flight.
+ * Results keep the input order and use the Promise.allSettled shape.
+ * Once the signal aborts, no new tasks are started and pending items are rejected with an AbortError.
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {(item: T, index: number) => Promise<R>} worker - Async worker
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=6] - Pool size
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @returns {Promise<Array<{status: 'fulfilled', value: R}|{status: 'rejected', reason: *}>>}
+ */
+export async function runWithConcurrency(items, worker, { concurrency = 6, signal } = {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+
+            if (signal && signal.aborted) {
+                results[index] = { status: 'rejected', reason: createAbortError() };
+                continue;
+            }
+
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const poolSize = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: poolSize }, runNext));
+
+    return results;
+}
+
+export default {
+    isAbortError,
+    delay,
+    fetchWithTimeout,
+    fetchAndRead,
+    fetchTextWithRetry,
+    runWithConcurrency
+};
@@ -0,0 +1,23 @@
+/**
+ * @file Local Storage Module
+ * @description Guarded access to localStorage for the settings persisted in this browser
+ *
+ * 禁用 Cookie 或隐私模式下访问 localStorage 可能直接抛出异常；调用方拿到 null 时按“不持久化”处理。
+ * 本模块不依赖 DOM。
+ */
+
+/**
+ * Get localStorage if the browser allows it.
+ * @returns {Storage|null}
+ */
+export function getLocalStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+export default {
+    getLocalStorage
+};
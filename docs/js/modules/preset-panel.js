@@ -0,0 +1,339 @@
+/**
+ * @file Preset Panel Module
+ * @description Saved filter presets menu (#presetMenu): save, apply, delete, import/export,
+ *              and smart collections (add every current match to the cart)
+ *
+ * 菜单打开时逐个查询每个预设的当前匹配数，并与保存时的基线比较，显示新增数量。
+ */
+
+/// <reference path="../types.js" />
+
+import Templates from '../templates.js';
+import { qs, setHTML } from './dom-utils.js';
+import FilterPresetStore, { createBaseline, countNewMatches } from './@filter/filter-presets.js';
+import { parseFilterId } from './@filter/data.js';
+import { RANGE_FACETS, formatRange } from './@filter/range-facets.js';
+import catalogClient from './@catalog/index.js';
+import ErrorNotifier from './error-notifier.js';
+import toastManager from './toast-manager.js';
+
+/**
+ * @typedef {import('./@filter/filter-presets.js').FilterPreset} FilterPreset
+ */
+
+/**
+ * Preset Panel Manager Class
+ */
+export class PresetPanelManager {
+    /**
+     * @param {Object} managers - Object containing the manager instances used by presets
+     * @param {Object} managers.filter - Filter manager
+     * @param {Object} managers.videoGrid - Video grid manager
+     * @param {Object} managers.selectionPanel - Selection panel manager
+     * @param {FilterPresetStore} [store] - Preset storage
+     */
+    constructor(managers, store = new FilterPresetStore()) {
+        this.managers = managers;
+        this.store = store;
+
+        /** @type {Map<string, {matches: number, newMatches: number}>} Preset name → current match counts */
+        this.stats = new Map();
+
+        /** @type {number} Incremented per stats refresh; older refreshes stop */
+        this.statsGeneration = 0;
+    }
+
+    /**
+     * Bind menu events
+     */
+    bindEvents() {
+        const menu = qs('#presetMenu');
+        const menuBtn = qs('#presetMenuBtn');
+        if (!menu || !menuBtn) return;
+
+        menuBtn.addEventListener('click', () => {
+            if (this.isOpen()) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        // 点击菜单外部或按 Escape 关闭（列表重新渲染后 e.target 可能已脱离 DOM，因此检查事件路径）
+        document.addEventListener('click', (e) => {
+            if (this.isOpen() && !e.composedPath().includes(menu)) {
+                this.close();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+                menuBtn.focus();
+            }
+        });
+
+        qs('#presetSaveForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCurrent(qs('#presetNameInput').value);
+        });
+
+        qs('#presetList').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            const item = e.target.closest('.preset-item');
+            if (!actionBtn || !item) return;
+
+            const preset = this.store.presets[Number(item.dataset.presetIndex)];
+            if (!preset) return;
+
+            if (actionBtn.dataset.action === 'apply') {
+                this.applyPreset(preset);
+            } else if (actionBtn.dataset.action === 'collect') {
+                this.collectPreset(preset);
+            } else if (actionBtn.dataset.action === 'delete') {
+                this.deletePreset(preset);
+            }
+        });
+
+        const importFile = qs('#presetImportFile');
+        qs('#presetImportBtn').addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', (e) => {
+            this.handleImportFile(e);
+        });
+        qs('#presetExportBtn').addEventListener('click', () => {
+            this.exportPresets();
+        });
+    }
+
+    /**
+     * Whether the preset menu is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        const popover = qs('#presetPopover');
+        return Boolean(popover) && !popover.hidden;
+    }
+
+    /**
+     * Open the menu and count the current matches of every preset
+     */
+    open() {
+        qs('#presetPopover').hidden = false;
+        qs('#presetMenuBtn').setAttribute('aria-expanded', 'true');
+        this.stats.clear();
+        this.renderList();
+        this.refreshStats();
+        qs('#presetNameInput').focus();
+    }
+
+    /**
+     * Close the menu
+     */
+    close() {
+        qs('#presetPopover').hidden = true;
+        qs('#presetMenuBtn').setAttribute('aria-expanded', 'false');
+        this.statsGeneration++;
+    }
+
+    /**
+     * Render the preset list
+     */
+    renderList() {
+        const list = qs('#presetList');
+        if (!list) return;
+
+        const { presets } = this.store;
+        setHTML(list, presets.length === 0
+            ? Templates.buildPresetEmptyHint()
+            : presets.map((preset, index) => Templates.buildPresetItem(
+                index,
+                preset.name,
+                this.describePreset(preset),
+                this.stats.get(preset.name) || null
+            )).join(''));
+    }
+
+    /**
+     * Short description of a preset's filters, e.g. `Galaxea R1 Lite, not kitchen, “towel”`
+     * @param {FilterPreset} preset
+     * @returns {string}
+     */
+    describePreset(preset) {
+        const label = filterId => {
+            const { key, value } = parseFilterId(filterId);
+            return this.managers.filter.getFilterLabel(key, value);
+        };
+        const parts = [
+            ...preset.filters.map(label),
+            ...preset.exclude.map(filterId => `not ${label(filterId)}`),
+            ...Object.entries(preset.ranges).map(([key, range]) => `${RANGE_FACETS[key].label} ${formatRange(key, range)}`)
+        ];
+        if (preset.search) {
+            parts.push(`“${preset.search}”`);
+        }
+        return parts.join(', ') || 'All datasets';
+    }
+
+    /**
+     * Query the datasets currently matching a preset
+     * @param {FilterPreset} preset
+     * @returns {Promise<string[]>} Dataset paths
+     */
+    async queryPreset(preset) {
+        const { filters, exclude, modes, ranges, search } = preset;
+        const { paths } = await catalogClient.query({ filters, exclude, modes, ranges, search });
+        return paths;
+    }
+
+    /**
+     * Count the current and new matches of every preset, one query at a time
+     * @returns {Promise<void>}
+     */
+    async refreshStats() {
+        const generation = ++this.statsGeneration;
+
+        for (const preset of this.store.presets) {
+            try {
+                const paths = await this.queryPreset(preset);
+                if (generation !== this.statsGeneration) return;
+                this.stats.set(preset.name, { matches: paths.length, newMatches: countNewMatches(preset, paths) });
+            } catch (err) {
+                console.error(`Failed to count matches of preset "${preset.name}":`, err);
+                return;
+            }
+            this.renderList();
+        }
+    }
+
+    /**
+     * Save the current filters, match modes, ranges and search as a preset
+     * @param {string} name - Preset name (an existing preset with this name is replaced)
+     * @returns {Promise<void>}
+     */
+    async saveCurrent(name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            toastManager.info('Enter a name for the preset');
+            return;
+        }
+
+        const snapshot = this.managers.filter.getFilterSnapshot();
+        const search = qs('#searchBox')?.value.trim() || '';
+        const hasRanges = Object.keys(snapshot.ranges).length > 0;
+        if (snapshot.filters.length === 0 && snapshot.exclude.length === 0 && !hasRanges && !search) {
+            toastManager.info('Choose filters or enter a search first');
+            return;
+        }
+
+        try {
+            // 基线为保存时的匹配结果（与当前视图相同，可复用已缓存的查询）
+            const { paths } = await this.managers.filter.queryCatalog(search);
+            const replaced = Boolean(this.store.get(trimmed));
+            const preset = this.store.save({ name: trimmed, ...snapshot, search, baseline: createBaseline(paths) });
+
+            qs('#presetNameInput').value = '';
+            this.stats.set(preset.name, { matches: paths.length, newMatches: 0 });
+            this.renderList();
+            toastManager.success(`${replaced ? 'Updated' : 'Saved'} preset "${preset.name}"`);
+        } catch (err) {
+            ErrorNotifier.error('Failed to save preset: ' + err.message, err);
+        }
+    }
+
+    /**
+     * Replace the current filters and search with a preset
+     * @param {FilterPreset} preset
+     */
+    applyPreset(preset) {
+        this.managers.filter.restoreFilterSnapshot(preset);
+
+        const searchBox = qs('#searchBox');
+        if (searchBox) {
+            searchBox.value = preset.search;
+        }
+
+        this.close();
+        document.dispatchEvent(new CustomEvent('filtersChanged'));
+        toastManager.info(`Applied preset "${preset.name}"`);
+    }
+
+    /**
+     * Add every dataset currently matching a preset to the cart (smart collection)
+     * @param {FilterPreset} preset
+     * @returns {Promise<void>}
+     */
+    async collectPreset(preset) {
+        try {
+            const paths = await this.queryPreset(preset);
+            const { added } = this.managers.selectionPanel.addToList(paths);
+            this.managers.videoGrid.updateCardStyles();
+
+            const already = paths.length - added;
+            toastManager.success(`Added ${added} datasets from "${preset.name}" to the cart${already > 0 ? ` (${already} already there)` : ''}`);
+        } catch (err) {
+            ErrorNotifier.error('Failed to add preset matches: ' + err.message, err);
+        }
+    }
+
+    /**
+     * Delete a preset after confirmation
+     * @param {FilterPreset} preset
+     */
+    deletePreset(preset) {
+        // eslint-disable-next-line no-alert
+        if (!confirm(`Delete preset "${preset.name}"?`)) return;
+
+        try {
+            this.store.remove(preset.name);
+            this.stats.delete(preset.name);
+            this.renderList();
+        } catch (err) {
+            ErrorNotifier.error('Failed to delete preset: ' + err.message, err);
+        }
+    }
+
+    /**
+     * Download all presets as a JSON file
+     */
+    exportPresets() {
+        if (this.store.presets.length === 0) {
+            toastManager.info('No presets to export');
+            return;
+        }
+
+        const blob = new Blob([this.store.serialize(true)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `robocoin_presets_${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Import presets from a JSON file chosen in #presetImportFile
+     * @param {Event} event - File input change event
+     */
+    handleImportFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const count = this.store.importJSON(e.target.result);
+                this.stats.clear();
+                this.renderList();
+                this.refreshStats();
+                toastManager.success(`Imported ${count} presets`);
+            } catch (err) {
+                ErrorNotifier.error('Failed to import presets: ' + err.message, err);
+            }
+            event.target.value = '';
+        };
+        reader.readAsText(file);
+    }
+}
+
+export default PresetPanelManager;
@@ -4,6 +4,8 @@
  *              Loads a JSON dictionary of robot IDs -> { common_name, aliases[] }.
  */
 
+import { withPinyin } from './@search/pinyin.js';
+
 class RobotAliasManager {
     constructor() {
         /**
@@ -89,6 +91,7 @@ class RobotAliasManager {
      * - Original ID
      * - common_name (if present)
      * - All aliases (if present)
+     * - Pinyin of Chinese aliases (e.g. 宇树 → yushu)
      * @param {string} robotId
      * @returns {string[]} Tokens for search
      */
@@ -113,7 +116,7 @@ class RobotAliasManager {
             }
         }
 
-        return tokens;
+        return withPinyin(tokens);
     }
 }
 
@@ -281,6 +281,31 @@ export class SelectionPanelManager {
         reader.readAsText(file);
     }
     
+    /**
+     * Add datasets to the cart (e.g. from a shared link); paths not in the catalog are skipped
+     * @param {string[]} paths - Dataset paths
+     * @returns {{added: number, missing: number}} Newly added datasets and unknown paths
+     */
+    addToList(paths) {
+        let added = 0;
+        let missing = 0;
+        
+        paths.forEach(path => {
+            if (!this.datasetMap.has(path)) {
+                missing++;
+            } else if (!this.listDatasets.has(path)) {
+                this.listDatasets.add(path);
+                added++;
+            }
+        });
+        
+        if (added > 0) {
+            this.markListChanged();
+            this.updateSelectionPanel();
+        }
+        return { added, missing };
+    }
+    
     /**
      * Copy code to clipboard
      */
@@ -0,0 +1,189 @@
+/**
+ * @file Sort Control Module
+ * @description Grid sort and group-by controls in the filter control bar (#gridSortControl): sort key, direction,
+ *              secondary key and grouping
+ *
+ * 用户选择的排序和分组保存在 localStorage 中，下次打开页面时沿用；
+ * 链接中的排序和分组（view-state.js 的 `sort` / `group`）优先。
+ */
+
+/// <reference path="../types.js" />
+
+import Templates from '../templates.js';
+import { qs, setHTML } from './dom-utils.js';
+import { SORT_KEYS, DEFAULT_SORT, normalizeSort } from './dataset-sort.js';
+import { GROUP_KEYS, normalizeGroupBy } from './dataset-groups.js';
+import { getLocalStorage } from './local-storage.js';
+
+/**
+ * @typedef {import('./dataset-sort.js').SortSpec} SortSpec
+ */
+
+/** localStorage key of the last chosen sort. */
+const STORAGE_KEY = 'robocoin.gridSort';
+
+/** localStorage key of the last chosen grouping. */
+const GROUP_STORAGE_KEY = 'robocoin.gridGroupBy';
+
+/**
+ * Sort Control Manager Class
+ */
+export class SortControlManager {
+    /**
+     * @param {Object} managers - Object containing the manager instances used by the control
+     * @param {Object} managers.videoGrid - Video grid manager (holds the active sort and grouping)
+     * @param {Storage|null} [storage] - Defaults to localStorage (null when unavailable)
+     */
+    constructor(managers, storage = getLocalStorage()) {
+        this.managers = managers;
+        this.storage = storage;
+    }
+
+    /**
+     * Last sort chosen in this browser
+     * @returns {SortSpec} DEFAULT_SORT when none was stored
+     */
+    getStoredSort() {
+        try {
+            const text = this.storage?.getItem(STORAGE_KEY);
+            return text ? normalizeSort(JSON.parse(text)) : { ...DEFAULT_SORT };
+        } catch (err) {
+            console.warn('Ignoring stored grid sort:', err);
+            return { ...DEFAULT_SORT };
+        }
+    }
+
+    /**
+     * Last grouping chosen in this browser
+     * @returns {string|null} Null for no grouping
+     */
+    getStoredGroupBy() {
+        try {
+            return normalizeGroupBy(this.storage?.getItem(GROUP_STORAGE_KEY));
+        } catch (err) {
+            console.warn('Ignoring stored grid grouping:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Fill the selects and bind control events
+     */
+    bindEvents() {
+        const keySelect = qs('#sortKeySelect');
+        const secondarySelect = qs('#sortSecondarySelect');
+        const directionBtn = qs('#sortDirectionBtn');
+        if (!keySelect || !secondarySelect || !directionBtn) return;
+
+        const keys = Object.entries(SORT_KEYS).map(([key, { label }]) => ({ key, label }));
+        setHTML(keySelect, Templates.buildSortOptions(keys));
+        setHTML(secondarySelect, Templates.buildSortOptions(keys, 'No secondary sort'));
+
+        keySelect.addEventListener('change', () => {
+            // 新选择的键使用其默认方向（名称升序，数值降序）
+            const key = keySelect.value;
+            const { secondary } = this.managers.videoGrid.sort;
+            this.changeSort({ key, direction: SORT_KEYS[key]?.defaultDirection, secondary });
+        });
+        secondarySelect.addEventListener('change', () => {
+            this.changeSort({ ...this.managers.videoGrid.sort, secondary: secondarySelect.value || null });
+        });
+        directionBtn.addEventListener('click', () => {
+            const sort = this.managers.videoGrid.sort;
+            this.changeSort({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
+        });
+
+        const groupSelect = qs('#groupBySelect');
+        if (groupSelect) {
+            const groupKeys = Object.entries(GROUP_KEYS).map(([key, { label }]) => ({ key, label }));
+            setHTML(groupSelect, Templates.buildSortOptions(groupKeys, 'No grouping'));
+            groupSelect.addEventListener('change', () => {
+                this.changeGroupBy(groupSelect.value || null);
+            });
+        }
+
+        this.updateUI();
+    }
+
+    /**
+     * Apply a sort chosen in the control: remember it and add it to the URL
+     * @param {SortSpec} sort
+     */
+    changeSort(sort) {
+        this.applySort(sort);
+
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.managers.videoGrid.sort));
+        } catch (err) {
+            console.warn('Failed to store grid sort:', err);
+        }
+        document.dispatchEvent(new CustomEvent('viewStateChanged'));
+    }
+
+    /**
+     * Apply a sort without remembering it (e.g. from a link)
+     * @param {SortSpec} sort
+     */
+    applySort(sort) {
+        this.managers.videoGrid.setSort(sort);
+        this.updateUI();
+    }
+
+    /**
+     * Apply a grouping chosen in the control: remember it and add it to the URL
+     * @param {string|null} groupBy - Group key, null for no grouping
+     */
+    changeGroupBy(groupBy) {
+        this.applyGroupBy(groupBy);
+
+        try {
+            const stored = this.managers.videoGrid.groupBy;
+            if (stored) {
+                this.storage?.setItem(GROUP_STORAGE_KEY, stored);
+            } else {
+                this.storage?.removeItem(GROUP_STORAGE_KEY);
+            }
+        } catch (err) {
+            console.warn('Failed to store grid grouping:', err);
+        }
+        document.dispatchEvent(new CustomEvent('viewStateChanged'));
+    }
+
+    /**
+     * Apply a grouping without remembering it (e.g. from a link)
+     * @param {string|null} groupBy - Group key, null for no grouping
+     */
+    applyGroupBy(groupBy) {
+        this.managers.videoGrid.setGroupBy(groupBy);
+        this.updateUI();
+    }
+
+    /**
+     * Show the active sort and grouping in the control
+     */
+    updateUI() {
+        const keySelect = qs('#sortKeySelect');
+        const secondarySelect = qs('#sortSecondarySelect');
+        const directionBtn = qs('#sortDirectionBtn');
+        if (!keySelect || !secondarySelect || !directionBtn) return;
+
+        const { key, direction, secondary } = this.managers.videoGrid.sort;
+        keySelect.value = key;
+        secondarySelect.value = secondary || '';
+        Array.from(secondarySelect.options).forEach(option => {
+            option.disabled = option.value === key;
+        });
+
+        const ascending = direction === 'asc';
+        directionBtn.textContent = ascending ? '↑' : '↓';
+        directionBtn.title = ascending ? 'Ascending (click for descending)' : 'Descending (click for ascending)';
+        directionBtn.setAttribute('aria-label', ascending ? 'Sort ascending' : 'Sort descending');
+
+        const groupSelect = qs('#groupBySelect');
+        if (groupSelect) {
+            groupSelect.value = this.managers.videoGrid.groupBy || '';
+        }
+    }
+}
+
+export default SortControlManager;
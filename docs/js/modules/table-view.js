@@ -0,0 +1,522 @@
+/**
+ * @file Table View Module
+ * @description Virtualized table view of the results (#datasetTableView): view switch, column chooser,
+ *              column sort and resizing, CSV export
+ *
+ * 表格与网格显示同一结果（网格的排序之后再按列排序），行按固定行高虚拟滚动。
+ * 行与卡片共用 selected / in-cart 样式（VideoGridManager.updateCardStyles），点击行切换选择，
+ * 点击路径打开详情（见 EventHandlers.bindTableEvents）。
+ * 视图模式、可见列、列宽和列排序保存在 localStorage 中。
+ */
+
+/// <reference path="../types.js" />
+
+import ConfigManager from './config.js';
+import Templates from '../templates.js';
+import { qs, setHTML } from './dom-utils.js';
+import { calculateVisibleRange, ElementCache } from './virtual-scroll.js';
+import toastManager from './toast-manager.js';
+import { getLocalStorage } from './local-storage.js';
+import {
+    TABLE_COLUMNS,
+    MIN_COLUMN_WIDTH,
+    normalizeTableColumns,
+    normalizeTableSort,
+    cycleTableSort,
+    formatTableCell,
+    sortTableRows,
+    buildCsv
+} from './dataset-table.js';
+
+/**
+ * @typedef {import('./dataset-table.js').TableSort} TableSort
+ */
+
+/** localStorage key of the results view ('grid' or 'table'). */
+const VIEW_STORAGE_KEY = 'robocoin.resultsView';
+
+/** localStorage key of the table columns, widths and column sort. */
+const TABLE_STORAGE_KEY = 'robocoin.tableView';
+
+/**
+ * Table View Manager Class
+ */
+export class TableViewManager {
+    /**
+     * @param {Object} managers - Object containing the manager instances used by the table
+     * @param {Object} managers.videoGrid - Video grid manager (holds the results in grid order)
+     * @param {Set<string>} selectedDatasets - Selected dataset paths
+     * @param {Set<string>} listDatasets - Cart dataset paths
+     * @param {Storage|null} [storage] - Defaults to localStorage (null when unavailable)
+     */
+    constructor(managers, selectedDatasets, listDatasets, storage = getLocalStorage()) {
+        this.managers = managers;
+        this.selectedDatasets = selectedDatasets;
+        this.listDatasets = listDatasets;
+        this.storage = storage;
+        this.config = ConfigManager.getConfig();
+
+        /** @type {'grid'|'table'} */
+        this.viewMode = 'grid';
+
+        /** @type {string[]} Visible columns in order */
+        this.columns = normalizeTableColumns(null);
+
+        /** @type {Object<string, number>} Column key → width chosen by resizing (px) */
+        this.widths = {};
+
+        /** @type {TableSort|null} Column sort, null for the grid order */
+        this.sort = null;
+
+        /** @type {Dataset[]} Rows in table order */
+        this.rows = [];
+
+        /** @type {ElementCache} Rendered rows by dataset path */
+        this._rowCache = new ElementCache();
+
+        /** @type {HTMLElement|null} */
+        this._tempMeasureDiv = null;
+
+        this.loadSettings();
+    }
+
+    /**
+     * Read the stored view mode and table settings
+     */
+    loadSettings() {
+        try {
+            this.viewMode = this.storage?.getItem(VIEW_STORAGE_KEY) === 'table' ? 'table' : 'grid';
+
+            const text = this.storage?.getItem(TABLE_STORAGE_KEY);
+            const settings = text ? JSON.parse(text) : {};
+            this.columns = normalizeTableColumns(settings.columns);
+            this.sort = normalizeTableSort(settings.sort);
+            this.widths = {};
+            Object.entries(settings.widths || {}).forEach(([column, width]) => {
+                if (column in TABLE_COLUMNS && Number.isFinite(width)) {
+                    this.widths[column] = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+                }
+            });
+        } catch (err) {
+            console.warn('Ignoring stored table settings:', err);
+        }
+    }
+
+    /**
+     * Store the table settings
+     */
+    saveSettings() {
+        try {
+            this.storage?.setItem(TABLE_STORAGE_KEY, JSON.stringify({
+                columns: this.columns,
+                widths: this.widths,
+                sort: this.sort
+            }));
+        } catch (err) {
+            console.warn('Failed to store table settings:', err);
+        }
+    }
+
+    /**
+     * Bind the view switch, column chooser, header and scroll events
+     */
+    bindEvents() {
+        const viewSwitch = qs('#viewModeSwitch');
+        if (viewSwitch) {
+            viewSwitch.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-view]');
+                if (btn) {
+                    this.changeViewMode(btn.dataset.view);
+                }
+            });
+        }
+
+        this.bindColumnMenuEvents();
+        this.bindHeaderEvents();
+
+        qs('#tableExportBtn')?.addEventListener('click', () => {
+            this.exportCsv();
+        });
+
+        const scroll = qs('#datasetTableScroll');
+        if (scroll) {
+            let scrollTicking = false;
+            scroll.addEventListener('scroll', () => {
+                if (!scrollTicking) {
+                    window.requestAnimationFrame(() => {
+                        this.renderRows();
+                        scrollTicking = false;
+                    });
+                    scrollTicking = true;
+                }
+            }, { passive: true });
+        }
+
+        // 结果或网格排序变化后重新排列（隐藏时只在切换到表格时刷新）
+        document.addEventListener('gridDatasetsChanged', () => {
+            if (this.viewMode === 'table') {
+                this.refresh();
+            }
+        });
+
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                if (this.viewMode === 'table') {
+                    this.renderRows();
+                }
+            }, this.config.timing.resizeDebounce);
+        });
+
+        this.applyViewMode(this.viewMode);
+    }
+
+    /**
+     * Bind the column chooser popover
+     */
+    bindColumnMenuEvents() {
+        const menu = qs('#tableColumnsMenu');
+        const menuBtn = qs('#tableColumnsBtn');
+        const popover = qs('#tableColumnsPopover');
+        if (!menu || !menuBtn || !popover) return;
+
+        const setOpen = (open) => {
+            popover.hidden = !open;
+            menuBtn.setAttribute('aria-expanded', String(open));
+            if (open) {
+                this.renderColumnOptions();
+            }
+        };
+
+        menuBtn.addEventListener('click', () => {
+            setOpen(popover.hidden);
+        });
+        document.addEventListener('click', (e) => {
+            if (!popover.hidden && !e.composedPath().includes(menu)) {
+                setOpen(false);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !popover.hidden) {
+                setOpen(false);
+                menuBtn.focus();
+            }
+        });
+
+        popover.addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-column]');
+            if (input) {
+                this.toggleColumn(input.dataset.column, input.checked);
+            }
+        });
+        popover.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="reset-columns"]')) {
+                this.resetColumns();
+            }
+        });
+    }
+
+    /**
+     * Bind column sorting (header click) and resizing (drag on the header cell edge)
+     */
+    bindHeaderEvents() {
+        const header = qs('#datasetTableHeader');
+        if (!header) return;
+
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.dataset-table-resizer')) return;
+            const cell = e.target.closest('.dataset-table-head-cell');
+            if (cell) {
+                this.setSort(cycleTableSort(this.sort, cell.dataset.column));
+            }
+        });
+
+        header.addEventListener('pointerdown', (e) => {
+            const resizer = e.target.closest('.dataset-table-resizer');
+            if (!resizer || e.button !== 0) return;
+            e.preventDefault();
+
+            const column = resizer.dataset.column;
+            const startX = e.clientX;
+            const startWidth = this.getColumnWidth(column);
+            resizer.setPointerCapture(e.pointerId);
+            resizer.classList.add('active');
+
+            const onMove = (moveEvent) => {
+                this.widths[column] = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + moveEvent.clientX - startX));
+                this.updateColumnLayout();
+            };
+            const onUp = () => {
+                resizer.removeEventListener('pointermove', onMove);
+                resizer.removeEventListener('pointerup', onUp);
+                resizer.removeEventListener('pointercancel', onUp);
+                resizer.classList.remove('active');
+                this.saveSettings();
+            };
+            resizer.addEventListener('pointermove', onMove);
+            resizer.addEventListener('pointerup', onUp);
+            resizer.addEventListener('pointercancel', onUp);
+        });
+    }
+
+    /**
+     * Switch views from the view switch and remember the choice
+     * @param {string} mode - 'grid' or 'table'
+     */
+    changeViewMode(mode) {
+        this.applyViewMode(mode);
+        try {
+            this.storage?.setItem(VIEW_STORAGE_KEY, this.viewMode);
+        } catch (err) {
+            console.warn('Failed to store results view:', err);
+        }
+    }
+
+    /**
+     * Show the grid or the table
+     * @param {string} mode - 'grid' or 'table'
+     */
+    applyViewMode(mode) {
+        this.viewMode = mode === 'table' ? 'table' : 'grid';
+        const showTable = this.viewMode === 'table';
+
+        const view = qs('#datasetTableView');
+        if (view) {
+            view.hidden = !showTable;
+        }
+        this.managers.videoGrid.setVisible(!showTable);
+
+        document.querySelectorAll('#viewModeSwitch [data-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === this.viewMode));
+        });
+        // 表格不分组
+        const groupSelect = qs('#groupBySelect');
+        if (groupSelect) {
+            groupSelect.disabled = showTable;
+        }
+
+        if (showTable) {
+            this.refresh();
+        } else {
+            this.clearRows();
+        }
+    }
+
+    /**
+     * Re-order the rows from the grid's results and re-render the table
+     */
+    refresh() {
+        this.rows = sortTableRows(this.managers.videoGrid.filteredDatasets, this.sort);
+        const count = qs('#datasetTableCount');
+        if (count) {
+            count.textContent = `${this.rows.length} dataset${this.rows.length === 1 ? '' : 's'}`;
+        }
+        this.renderHeader();
+        this.renderRows();
+    }
+
+    /**
+     * Change the column sort
+     * @param {TableSort|null} sort - Null for the grid order
+     */
+    setSort(sort) {
+        this.sort = normalizeTableSort(sort);
+        this.saveSettings();
+        this.refresh();
+    }
+
+    /**
+     * Show or hide a column (the last visible column cannot be hidden)
+     * @param {string} column
+     * @param {boolean} visible
+     */
+    toggleColumn(column, visible) {
+        if (!(column in TABLE_COLUMNS)) return;
+
+        if (visible) {
+            // 按默认列顺序插入
+            const order = Object.keys(TABLE_COLUMNS);
+            this.columns = order.filter(key => key === column || this.columns.includes(key));
+        } else if (this.columns.length > 1) {
+            this.columns = this.columns.filter(key => key !== column);
+            if (this.sort?.column === column) {
+                this.sort = null;
+            }
+        }
+
+        this.saveSettings();
+        this.renderColumnOptions();
+        this.clearRows();
+        this.refresh();
+    }
+
+    /**
+     * Show every column at its default width
+     */
+    resetColumns() {
+        this.columns = normalizeTableColumns(null);
+        this.widths = {};
+        this.saveSettings();
+        this.renderColumnOptions();
+        this.clearRows();
+        this.refresh();
+    }
+
+    /**
+     * Render the column chooser checkboxes
+     */
+    renderColumnOptions() {
+        const list = qs('#tableColumnsList');
+        if (!list) return;
+
+        const options = Object.entries(TABLE_COLUMNS).map(([key, { label }]) => ({
+            key,
+            label,
+            checked: this.columns.includes(key),
+            // 至少保留一列
+            disabled: this.columns.length === 1 && this.columns[0] === key
+        }));
+        setHTML(list, Templates.buildTableColumnOptions(options));
+    }
+
+    /**
+     * Width of a column (resized or default)
+     * @param {string} column
+     * @returns {number} Pixels
+     */
+    getColumnWidth(column) {
+        return this.widths[column] || TABLE_COLUMNS[column].width;
+    }
+
+    /**
+     * Apply the column widths to the header and rows (CSS grid template on #datasetTable)
+     */
+    updateColumnLayout() {
+        const table = qs('#datasetTable');
+        if (!table) return;
+
+        const widths = this.columns.map(column => this.getColumnWidth(column));
+        table.style.setProperty('--table-columns', widths.map(width => `${width}px`).join(' '));
+        table.style.width = `${widths.reduce((sum, width) => sum + width, 0)}px`;
+    }
+
+    /**
+     * Render the header cells
+     */
+    renderHeader() {
+        const header = qs('#datasetTableHeader');
+        if (!header) return;
+
+        setHTML(header, this.columns.map(column => Templates.buildTableHeaderCell(
+            column,
+            TABLE_COLUMNS[column],
+            this.sort?.column === column ? this.sort.direction : null
+        )).join(''));
+        this.updateColumnLayout();
+    }
+
+    /**
+     * Render the visible rows (virtual scrolling with a fixed row height)
+     */
+    renderRows() {
+        const scroll = qs('#datasetTableScroll');
+        const body = qs('#datasetTableBody');
+        if (!scroll || !body || this.viewMode !== 'table') return;
+
+        // Get actual pixel values from computed styles
+        if (!this._tempMeasureDiv) {
+            this._tempMeasureDiv = document.createElement('div');
+            this._tempMeasureDiv.style.cssText = `
+                position: absolute;
+                visibility: hidden;
+                top: -9999px;
+                left: -9999px;
+            `;
+            document.body.appendChild(this._tempMeasureDiv);
+        }
+        this._tempMeasureDiv.style.height = 'var(--table-row-height)';
+        const rowHeight = parseFloat(getComputedStyle(this._tempMeasureDiv).height) || 36;
+
+        const { startIndex, endIndex } = calculateVisibleRange(
+            scroll.scrollTop,
+            scroll.clientHeight,
+            rowHeight,
+            this.rows.length,
+            this.config.grid.bufferRows * 4
+        );
+        body.style.height = `${this.rows.length * rowHeight}px`;
+
+        const visibleRows = this.rows.slice(startIndex, endIndex);
+        const visiblePaths = new Set(visibleRows.map(ds => ds.path));
+
+        // Remove invisible rows
+        body.querySelectorAll('.dataset-table-row').forEach(row => {
+            const path = row.dataset.path;
+            if (!visiblePaths.has(path)) {
+                row.remove();
+                this._rowCache.delete(path);
+            }
+        });
+
+        const fragment = document.createDocumentFragment();
+        visibleRows.forEach((ds, i) => {
+            let row = this._rowCache.get(ds.path);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'dataset-table-row';
+                row.dataset.path = ds.path;
+                row.setAttribute('role', 'row');
+                row.innerHTML = Templates.buildTableRow(this.columns.map(column => ({
+                    column,
+                    type: TABLE_COLUMNS[column].type,
+                    text: formatTableCell(column, ds)
+                })));
+                this._rowCache.set(ds.path, row);
+                fragment.appendChild(row);
+            }
+
+            row.style.top = `${(startIndex + i) * rowHeight}px`;
+            row.classList.toggle('selected', this.selectedDatasets.has(ds.path));
+            row.classList.toggle('in-cart', this.listDatasets.has(ds.path));
+        });
+
+        if (fragment.hasChildNodes()) {
+            body.appendChild(fragment);
+        }
+    }
+
+    /**
+     * Remove all rendered rows (after the columns changed, or when the table is hidden)
+     */
+    clearRows() {
+        const body = qs('#datasetTableBody');
+        if (body) {
+            body.querySelectorAll('.dataset-table-row').forEach(row => row.remove());
+        }
+        this._rowCache.clear();
+    }
+
+    /**
+     * Download the table (rows in table order, visible columns) as CSV
+     * The file starts with a UTF-8 BOM; without it Excel decodes Chinese text (tasks, object names) as the ANSI code page.
+     */
+    exportCsv() {
+        if (this.rows.length === 0) {
+            toastManager.info('No datasets to export');
+            return;
+        }
+
+        const blob = new Blob(['\uFEFF' + buildCsv(this.rows, this.columns)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `robocoin_datasets_${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        toastManager.success(`Exported ${this.rows.length} datasets to CSV`);
+    }
+}
+
+export default TableViewManager;
@@ -7,13 +7,18 @@
 
 import ConfigManager from './config.js';
 import Templates from '../templates.js';
+import toastManager from './toast-manager.js';
 
 /**
  * UI Utilities Class
  */
 export class UIUtils {
-    constructor() {
+    /**
+     * @param {import('./data-manager.js').DataManager} [dataManager] - Loads detail records for the detail modal
+     */
+    constructor(dataManager = null) {
         this.config = ConfigManager.getConfig();
+        this.dataManager = dataManager;
         this._detailModalEscHandler = null;
         this._dropdownScrollHandler = null;
     }
@@ -90,6 +95,7 @@ export class UIUtils {
         }
         
         overlay.innerHTML = Templates.buildDetailModal(dataset);
+        overlay.dataset.path = datasetPath;
         
         overlay.querySelector('.detail-modal-close').addEventListener('click', () => {
             this.hideDetailModal();
@@ -99,12 +105,50 @@ export class UIUtils {
             overlay.classList.add('visible');
         });
         
+        if (this._detailModalEscHandler) {
+            document.removeEventListener('keydown', this._detailModalEscHandler);
+        }
         this._detailModalEscHandler = (e) => {
             if (e.key === 'Escape') {
                 this.hideDetailModal();
             }
         };
         document.addEventListener('keydown', this._detailModalEscHandler);
+        
+        // 摘要数据先渲染，详情字段加载后替换信息区域（视频不重新加载）
+        if (!dataset.hasDetail && this.dataManager) {
+            this.loadDetailInfo(overlay, datasetPath);
+        }
+        
+        // The open dataset is part of the shareable view (see Application.syncUrlState)
+        document.dispatchEvent(new CustomEvent('viewStateChanged'));
+    }
+    
+    /**
+     * Load the detail record of the dataset shown in the modal and re-render its info grid
+     * @param {HTMLElement} overlay - Detail modal overlay
+     * @param {string} datasetPath - Dataset path
+     * @returns {Promise<void>}
+     */
+    async loadDetailInfo(overlay, datasetPath) {
+        const infoGrid = overlay.querySelector('.detail-info-grid');
+        if (infoGrid) infoGrid.classList.add('loading');
+        
+        try {
+            const detail = await this.dataManager.getDatasetDetail(datasetPath);
+            
+            // The modal may have been closed or switched to another dataset meanwhile
+            if (!overlay.isConnected || overlay.dataset.path !== datasetPath || !detail) return;
+            
+            const currentGrid = overlay.querySelector('.detail-info-grid');
+            if (currentGrid) currentGrid.outerHTML = Templates.buildDetailInfo(detail);
+        } catch (err) {
+            console.error(`Failed to load details for ${datasetPath}:`, err);
+            if (overlay.isConnected && overlay.dataset.path === datasetPath) {
+                toastManager.error('Failed to load dataset details');
+                overlay.querySelector('.detail-info-grid')?.classList.remove('loading');
+            }
+        }
     }
     
     /**
@@ -114,6 +158,8 @@ export class UIUtils {
         const overlay = document.getElementById('detailModalOverlay');
         if (overlay) {
             overlay.classList.remove('visible');
+            // 淡出期间遮罩仍在 DOM 中，先移除路径，使其不再计入视图状态
+            delete overlay.dataset.path;
             setTimeout(() => {
                 overlay.remove();
             }, 300);
@@ -123,6 +169,10 @@ export class UIUtils {
             document.removeEventListener('keydown', this._detailModalEscHandler);
             this._detailModalEscHandler = null;
         }
+        
+        if (overlay) {
+            document.dispatchEvent(new CustomEvent('viewStateChanged'));
+        }
     }
     
     /**
@@ -220,22 +270,49 @@ export class UIUtils {
     }
     
     /**
-     * Show/hide loading overlay
+     * Show/hide loading indicator
      * @param {boolean} show - Whether to show or hide
      */
-    toggleLoadingOverlay(show) {
-        const loadingOverlay = document.getElementById('loadingOverlay');
-        if (!loadingOverlay) return;
+    toggleLoadingIndicator(show) {
+        const loadingIndicator = document.getElementById('loadingIndicator');
+        if (!loadingIndicator) return;
         
         if (show) {
-            loadingOverlay.classList.remove('hidden');
+            loadingIndicator.classList.remove('hidden');
         } else {
             setTimeout(() => {
-                loadingOverlay.classList.add('hidden');
+                loadingIndicator.classList.add('hidden');
             }, 300);
         }
     }
     
+    /**
+     * Show search query parse errors below the search box
+     * @param {import('./@search/query-parser.js').QueryError[]} errors - Parse errors (empty to clear)
+     * @param {string} query - Query the errors refer to
+     */
+    showSearchQueryErrors(errors, query) {
+        const searchBox = document.getElementById('searchBox');
+        const errorEl = document.getElementById('searchQueryError');
+        if (!searchBox || !errorEl) return;
+        
+        if (errors.length === 0) {
+            searchBox.removeAttribute('aria-invalid');
+            errorEl.hidden = true;
+            errorEl.textContent = '';
+            return;
+        }
+        
+        const [first] = errors;
+        const snippet = query.slice(first.start, first.end);
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        
+        searchBox.setAttribute('aria-invalid', 'true');
+        errorEl.textContent = `${first.message}${snippet ? ` at "${snippet}"` : ''}${more} – ignored`;
+        errorEl.title = errors.map(err => err.message).join('\n');
+        errorEl.hidden = false;
+    }
+    
     /**
      * Update counts display
      * @param {number} filteredCount - Filtered datasets count
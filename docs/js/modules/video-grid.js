@@ -1,15 +1,41 @@
 /**
  * @file Video Grid Module
- * @description Manages video grid rendering with virtual scrolling
+ * @description Manages video grid rendering with virtual scrolling, the grid sort order and grouping
+ *
+ * 网格按“行”布局：分组标题行和卡片行高度不同，虚拟滚动通过行偏移量二分查找可见行。
+ * 未分组时只有卡片行，与原来的固定行高布局相同。
  */
 
 /// <reference path="../types.js" />
 
 import ConfigManager from './config.js';
 import Templates from '../templates.js';
-import { calculateVisibleRange, ElementCache } from './virtual-scroll.js';
+import { ElementCache, computeRowOffsets, findRowIndex } from './virtual-scroll.js';
 import RobotAliasManager from './robot-aliases.js';
 import DownloadManager from './download-manager.js';
+import { highlightText, getMatchSnippet } from './@search/index.js';
+import { DEFAULT_SORT, normalizeSort, isSameSort, sortUsesKey, sortDatasets } from './dataset-sort.js';
+import { normalizeGroupBy, groupDatasets, describeGroup } from './dataset-groups.js';
+
+/**
+ * @typedef {import('./dataset-sort.js').SortSpec} SortSpec
+ * @typedef {import('./dataset-groups.js').DatasetGroup} DatasetGroup
+ */
+
+/**
+ * @typedef {Object} GridRow
+ * @property {'header'|'cards'} type - Group header or a row of cards
+ * @property {DatasetGroup} group - Group the row belongs to
+ * @property {number} [start] - First dataset index in the group (card rows)
+ * @property {number} [end] - Dataset index after the last card (card rows)
+ */
+
+/**
+ * @typedef {Object} GridLayout
+ * @property {DatasetGroup[]} groups - Groups in display order (empty when not grouped)
+ * @property {GridRow[]} rows - Rows in display order
+ * @property {number[]} offsets - Top of each row, followed by the total height (see computeRowOffsets)
+ */
 
 /**
  * Video Grid Manager Class
@@ -23,9 +49,33 @@ export class VideoGridManager {
         this.selectedDatasets = selectedDatasets;
         this.listDatasets = listDatasets;
         
-        /** @type {Dataset[]} */
+        /** @type {Dataset[]} Datasets in display (sorted) order */
         this.filteredDatasets = [];
         
+        /** @type {Dataset[]} Last query result in query order (re-sorted when the sort changes) */
+        this.resultDatasets = [];
+        
+        /** @type {SortSpec} */
+        this.sort = { ...DEFAULT_SORT };
+        
+        /** @type {Map<string, number>} Dataset path → time it was added (for the "Recently added" sort) */
+        this.addedDates = new Map();
+        
+        /** @type {string|null} Group-by key (see GROUP_KEYS), null when not grouped */
+        this.groupBy = null;
+        
+        /** @type {Set<string>} Values of the collapsed groups */
+        this.collapsedGroups = new Set();
+        
+        /** @type {{datasets: Dataset[], itemsPerRow: number, itemHeight: number, headerHeight: number, layout: GridLayout}|null} */
+        this._layoutCache = null;
+        
+        /** @type {ElementCache} Rendered group headers by group value */
+        this._groupHeaderIndex = new ElementCache();
+        
+        /** @type {string[]} Search tokens highlighted in card titles and match snippets */
+        this.highlightTerms = [];
+        
         /** @type {Object} */
         this.config = ConfigManager.getConfig();
         
@@ -54,6 +104,47 @@ export class VideoGridManager {
             getComputedStyle(document.documentElement).getPropertyValue('--content-padding'));
     }
     
+    /**
+     * Show a query result in the current sort order
+     * (the table view follows via the `gridDatasetsChanged` event)
+     * @param {Dataset[]} datasets - Filtered datasets in query order
+     */
+    showDatasets(datasets) {
+        this.resultDatasets = datasets;
+        this.renderVideoGrid(sortDatasets(datasets, this.sort, { addedDates: this.addedDates }));
+        document.dispatchEvent(new CustomEvent('gridDatasetsChanged'));
+    }
+    
+    /**
+     * Change the sort order and re-render from the top (cards are moved, not rebuilt)
+     * @param {SortSpec} sort
+     * @returns {boolean} True when the order changed
+     */
+    setSort(sort) {
+        const next = normalizeSort(sort);
+        if (isSameSort(next, this.sort)) return false;
+        this.sort = next;
+        
+        const container = document.getElementById('videoGrid')?.parentElement;
+        if (container) {
+            container.scrollTop = 0;
+        }
+        this.showDatasets(this.resultDatasets);
+        return true;
+    }
+    
+    /**
+     * Set the dates used by the "Recently added" sort
+     * @param {Map<string, number>} addedDates - Dataset path → time added (ms)
+     */
+    setAddedDates(addedDates) {
+        if (addedDates === this.addedDates) return;
+        this.addedDates = addedDates;
+        if (sortUsesKey(this.sort, 'added')) {
+            this.showDatasets(this.resultDatasets);
+        }
+    }
+    
     /**
      * Render video grid with virtual scrolling
      * @param {Dataset[]} datasets - Filtered datasets to render
@@ -65,7 +156,7 @@ export class VideoGridManager {
         if (!grid) return;
         
         const container = grid.parentElement;
-        if (!container) return;
+        if (!container || container.hidden) return;
         
         // 直接使用 grid 的实际宽度，因为卡片是相对于 grid 定位的
         // 这样可以确保计算的宽度与实际的 grid 宽度一致
@@ -87,11 +178,13 @@ export class VideoGridManager {
         tempDiv.style.width = 'var(--grid-min-card-width)';
         tempDiv.style.height = 'var(--grid-card-height)';
         tempDiv.style.margin = 'var(--grid-gap)';
+        tempDiv.style.paddingTop = 'var(--grid-group-header-height)';
         
         const computedTemp = getComputedStyle(tempDiv);
         const minCardWidthPx = parseFloat(computedTemp.width) || 250;
         const cardHeightPx = parseFloat(computedTemp.height) || 300;
         const gapPx = parseFloat(computedTemp.marginTop) || 16;
+        const headerHeightPx = parseFloat(computedTemp.paddingTop) || 48;
         
         // Calculate layout
         const itemsPerRow = Math.max(1, Math.floor((gridWidth + gapPx) / (minCardWidthPx + gapPx)));
@@ -101,29 +194,42 @@ export class VideoGridManager {
         this.updateDynamicGridVariables(cardWidth, itemsPerRow);
         
         const itemHeight = cardHeightPx + gapPx;
-        
-        // Calculate visible range (with buffer)
-        const scrollTop = container.scrollTop;
-        const containerHeight = container.clientHeight;
-        
-        const startRow = Math.max(0, Math.floor(scrollTop / itemHeight) - this.config.grid.bufferRows);
-        const endRow = Math.ceil((scrollTop + containerHeight) / itemHeight) + this.config.grid.bufferRows;
-        const startIndex = startRow * itemsPerRow;
-        const endIndex = Math.min(this.filteredDatasets.length, endRow * itemsPerRow);
+        const layout = this.getGridLayout(datasets, itemsPerRow, itemHeight, headerHeightPx);
         
         // Set grid total height (maintain scrollbar)
-        const totalRows = Math.ceil(this.filteredDatasets.length / itemsPerRow);
-        grid.style.height = `${totalRows * itemHeight}px`;
+        grid.style.height = `${layout.offsets[layout.rows.length]}px`;
         
-        // Get visible datasets
-        const visibleDatasets = this.filteredDatasets.slice(startIndex, endIndex);
-        const visiblePaths = new Set(visibleDatasets.map(ds => ds.path));
+        // Calculate visible rows (with buffer); rows are positioned relative to the grid
+        const scrollTop = container.scrollTop - grid.offsetTop;
+        const containerHeight = container.clientHeight;
+        const bufferHeight = this.config.grid.bufferRows * itemHeight;
+        
+        const firstRow = findRowIndex(layout.offsets, Math.max(0, scrollTop - bufferHeight));
+        const lastRow = Math.min(layout.rows.length - 1, findRowIndex(layout.offsets, scrollTop + containerHeight + bufferHeight));
+        
+        // Collect visible cards and group headers
+        /** @type {Map<string, {ds: Dataset, top: number, col: number}>} */
+        const visibleCards = new Map();
+        /** @type {{group: DatasetGroup, top: number}[]} */
+        const visibleHeaders = [];
+        for (let r = firstRow; r <= lastRow; r++) {
+            const row = layout.rows[r];
+            const top = layout.offsets[r];
+            if (row.type === 'header') {
+                visibleHeaders.push({ group: row.group, top });
+                continue;
+            }
+            for (let i = row.start; i < row.end; i++) {
+                const ds = row.group.datasets[i];
+                visibleCards.set(ds.path, { ds, top, col: i - row.start });
+            }
+        }
         
         // Remove invisible cards
         const existingCards = grid.querySelectorAll('.video-card');
         existingCards.forEach(card => {
             const path = card.dataset.path;
-            if (!visiblePaths.has(path)) {
+            if (!visibleCards.has(path)) {
                 // 取消观察（观察的是 card，不是 video）
                 if (this.videoAutoPlayObserver && card.dataset.videoObserved) {
                     this.videoAutoPlayObserver.unobserve(card);
@@ -144,11 +250,7 @@ export class VideoGridManager {
         
         // Add/update visible cards
         const fragment = document.createDocumentFragment();
-        visibleDatasets.forEach((ds, i) => {
-            const globalIndex = startIndex + i;
-            const row = Math.floor(globalIndex / itemsPerRow);
-            const col = globalIndex % itemsPerRow;
-            
+        visibleCards.forEach(({ ds, top, col }) => {
             let card = this._videoCardIndex.get(ds.path);
             const isNewCard = !card;
             
@@ -161,7 +263,7 @@ export class VideoGridManager {
             // 确保最后一列的位置计算正确
             const leftPosition = col * (cardWidth + gapPx);
             card.style.left = `${leftPosition}px`;
-            card.style.top = `${row * itemHeight}px`;
+            card.style.top = `${top}px`;
             card.style.width = 'var(--grid-card-width)';
             card.style.height = 'var(--grid-card-height)';
             
@@ -179,6 +281,9 @@ export class VideoGridManager {
             grid.appendChild(fragment);
         }
         
+        this.renderGroupHeaders(grid, visibleHeaders);
+        this.updateStickyHeader(grid, layout, scrollTop);
+        
         // Observe videos for auto-play
         this.observeVideos();
 
@@ -186,6 +291,212 @@ export class VideoGridManager {
         DownloadManager.bindDownloadButtons();
     }
     
+    /**
+     * Rows of the grid for the current grouping (cached while datasets, columns and collapsed groups are unchanged)
+     * @param {Dataset[]} datasets - Datasets in display order
+     * @param {number} itemsPerRow - Cards per row
+     * @param {number} itemHeight - Card row height (card and gap)
+     * @param {number} headerHeight - Group header row height
+     * @returns {GridLayout}
+     */
+    getGridLayout(datasets, itemsPerRow, itemHeight, headerHeight) {
+        const cache = this._layoutCache;
+        if (cache && cache.datasets === datasets && cache.itemsPerRow === itemsPerRow
+            && cache.itemHeight === itemHeight && cache.headerHeight === headerHeight) {
+            return cache.layout;
+        }
+        
+        const groups = this.groupBy
+            ? groupDatasets(datasets, this.groupBy)
+            : [{ value: '', label: '', datasets, totalBytes: 0 }];
+        /** @type {GridRow[]} */
+        const rows = [];
+        const heights = [];
+        
+        groups.forEach(group => {
+            if (this.groupBy) {
+                rows.push({ type: 'header', group });
+                heights.push(headerHeight);
+                if (this.collapsedGroups.has(group.value)) return;
+            }
+            for (let start = 0; start < group.datasets.length; start += itemsPerRow) {
+                rows.push({ type: 'cards', group, start, end: Math.min(start + itemsPerRow, group.datasets.length) });
+                heights.push(itemHeight);
+            }
+        });
+        
+        const layout = { groups: this.groupBy ? groups : [], rows, offsets: computeRowOffsets(heights) };
+        this._layoutCache = { datasets, itemsPerRow, itemHeight, headerHeight, layout };
+        return layout;
+    }
+    
+    /**
+     * Place the visible group headers, reusing rendered ones
+     * @param {HTMLElement} grid - #videoGrid
+     * @param {{group: DatasetGroup, top: number}[]} visibleHeaders
+     */
+    renderGroupHeaders(grid, visibleHeaders) {
+        const visibleValues = new Set(visibleHeaders.map(({ group }) => group.value));
+        Array.from(this._groupHeaderIndex.cache).forEach(([value, header]) => {
+            if (!visibleValues.has(value)) {
+                header.remove();
+                this._groupHeaderIndex.delete(value);
+            }
+        });
+        
+        visibleHeaders.forEach(({ group, top }) => {
+            let header = this._groupHeaderIndex.get(group.value);
+            if (!header) {
+                header = document.createElement('div');
+                header.className = 'grid-group-header';
+                grid.appendChild(header);
+                this._groupHeaderIndex.set(group.value, header);
+            }
+            this.updateGroupHeader(header, group);
+            header.style.top = `${top}px`;
+        });
+    }
+    
+    /**
+     * Fill a group header (only when its label, counts or collapsed state changed)
+     * @param {HTMLElement} header - `.grid-group-header` element
+     * @param {DatasetGroup} group
+     */
+    updateGroupHeader(header, group) {
+        const collapsed = this.collapsedGroups.has(group.value);
+        const summary = describeGroup(group);
+        const key = `${group.value}\n${summary}\n${collapsed}`;
+        if (header.dataset.headerKey === key) return;
+        
+        header.dataset.headerKey = key;
+        header.dataset.groupValue = group.value;
+        header.classList.toggle('collapsed', collapsed);
+        header.innerHTML = Templates.buildGridGroupHeader(group.label, summary, collapsed);
+    }
+    
+    /**
+     * Pin the header of the group at the top of the viewport once its own header scrolled away
+     * @param {HTMLElement} grid - #videoGrid
+     * @param {GridLayout} layout
+     * @param {number} scrollTop - Scroll position relative to the grid
+     */
+    updateStickyHeader(grid, layout, scrollTop) {
+        const sticky = document.getElementById('gridStickyHeader');
+        if (!sticky) return;
+        
+        const row = layout.groups.length > 0 && scrollTop > 0
+            ? layout.rows[findRowIndex(layout.offsets, scrollTop)]
+            : null;
+        sticky.hidden = !row;
+        if (!row) return;
+        
+        // 固定标题位于 .video-panel 中，覆盖在滚动容器顶部
+        const container = grid.parentElement;
+        sticky.style.top = `${container.offsetTop}px`;
+        sticky.style.left = `${container.offsetLeft + grid.offsetLeft}px`;
+        sticky.style.width = `${grid.clientWidth}px`;
+        this.updateGroupHeader(sticky, row.group);
+    }
+    
+    /**
+     * Group the grid (or stop grouping) and re-render from the top
+     * @param {string|null} groupBy - Group key (see GROUP_KEYS), null for no grouping
+     * @returns {boolean} True when the grouping changed
+     */
+    setGroupBy(groupBy) {
+        const next = normalizeGroupBy(groupBy);
+        if (next === this.groupBy) return false;
+        this.groupBy = next;
+        this.collapsedGroups.clear();
+        this._layoutCache = null;
+        
+        const container = document.getElementById('videoGrid')?.parentElement;
+        if (container) {
+            container.scrollTop = 0;
+        }
+        this.renderVideoGrid(this.filteredDatasets);
+        return true;
+    }
+    
+    /**
+     * Collapse or expand a group; a group collapsed from its pinned header is scrolled into view
+     * @param {string} value - Group value
+     */
+    toggleGroup(value) {
+        if (this.collapsedGroups.has(value)) {
+            this.collapsedGroups.delete(value);
+        } else {
+            this.collapsedGroups.add(value);
+        }
+        this._layoutCache = null;
+        this.renderVideoGrid(this.filteredDatasets);
+        
+        const grid = document.getElementById('videoGrid');
+        const container = grid?.parentElement;
+        const rowIndex = this._layoutCache?.layout.rows.findIndex(row => row.type === 'header' && row.group.value === value);
+        if (!container || rowIndex === undefined || rowIndex < 0) return;
+        
+        const headerTop = grid.offsetTop + this._layoutCache.layout.offsets[rowIndex];
+        if (container.scrollTop > headerTop) {
+            container.scrollTop = headerTop;
+        }
+    }
+    
+    /**
+     * Show or hide the grid (while the table view is shown); hidden grids keep no cards or playing videos
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        const grid = document.getElementById('videoGrid');
+        const container = grid?.parentElement;
+        if (!container || container.hidden === !visible) return;
+        
+        container.hidden = !visible;
+        if (visible) {
+            this.renderVideoGrid(this.filteredDatasets);
+        } else {
+            this.clearCards();
+            const sticky = document.getElementById('gridStickyHeader');
+            if (sticky) sticky.hidden = true;
+        }
+    }
+    
+    /**
+     * Get a group of the current layout
+     * @param {string} value - Group value
+     * @returns {DatasetGroup|null}
+     */
+    getGroup(value) {
+        return this._layoutCache?.layout.groups.find(group => group.value === value) || null;
+    }
+    
+    /**
+     * Remove all rendered cards so the next render rebuilds them from fresh dataset objects
+     * (used after the catalog was replaced).
+     */
+    clearCards() {
+        const grid = document.getElementById('videoGrid');
+        if (!grid) return;
+        
+        grid.querySelectorAll('.video-card').forEach(card => {
+            if (this.videoAutoPlayObserver && card.dataset.videoObserved) {
+                this.videoAutoPlayObserver.unobserve(card);
+            }
+            const video = card.querySelector('video');
+            if (video) {
+                video.pause();
+                video.src = '';
+                video.srcObject = null;
+            }
+            card.remove();
+        });
+        this._videoCardIndex.clear();
+        
+        grid.querySelectorAll('.grid-group-header').forEach(header => header.remove());
+        this._groupHeaderIndex.clear();
+        this._layoutCache = null;
+    }
+    
     /**
      * Create single video card
      * @param {Dataset} ds - Dataset object
@@ -206,12 +517,43 @@ export class VideoGridManager {
         return card;
     }
     
+    /**
+     * Set the search tokens to highlight; cards are updated on the next render
+     * @param {string[]} terms - Stemmed search tokens (empty when no text search is active)
+     */
+    setHighlightTerms(terms) {
+        this.highlightTerms = terms || [];
+    }
+    
+    /**
+     * Highlight search matches in a card's title and show the best matching task text
+     * @param {HTMLElement} card - Card element
+     * @param {Dataset} ds - Dataset object
+     */
+    updateCardHighlight(card, ds) {
+        const key = this.highlightTerms.join(' ');
+        if (card.dataset.highlightKey === key) return;
+        card.dataset.highlightKey = key;
+        
+        const title = card.querySelector('.video-title');
+        if (title) title.innerHTML = highlightText(ds.name, this.highlightTerms);
+        
+        const snippet = card.querySelector('.video-match');
+        if (snippet) {
+            const html = getMatchSnippet(ds, this.highlightTerms);
+            snippet.innerHTML = html;
+            snippet.hidden = !html;
+        }
+    }
+    
     /**
      * Update single card state
      * @param {HTMLElement} card - Card element
      * @param {Dataset} ds - Dataset object
      */
     updateCardState(card, ds) {
+        this.updateCardHighlight(card, ds);
+        
         const shouldBeSelected = this.selectedDatasets.has(ds.path);
         const isSelected = card.classList.contains('selected');
         
@@ -224,14 +566,14 @@ export class VideoGridManager {
     }
     
     /**
-     * Update all card styles (batched)
+     * Update all card styles (batched); table view rows share the selected / in-cart classes
      */
     updateCardStyles() {
         if (this.updateStylesScheduled) return;
         
         this.updateStylesScheduled = true;
         requestAnimationFrame(() => {
-            const cards = document.querySelectorAll('.video-card');
+            const cards = document.querySelectorAll('.video-card, .dataset-table-row');
             
             const updates = [];
             cards.forEach(card => {
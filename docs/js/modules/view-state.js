@@ -0,0 +1,209 @@
+/**
+ * @file View State Module
+ * @description Encodes the view (filters, search, sort, grouping, hub, open dataset, cart) in the URL hash for shareable links
+ *
+ * 哈希使用 URLSearchParams 格式，可重复的参数（f / x / all / r）逐项出现，因此筛选值中的
+ * `,`、`:`、`>` 等字符不需要额外转义：
+ *   #q=towel&f=robot:R1_Lite&f=object:kitchenware>cup&x=scene:kitchen&all=action&r=episodes:50..500&sort=size:desc,name&group=robot&hub=modelscope&d=<path>&cart=z...
+ * 数值范围写作 `key:min..max`，开放的一端留空（如 `r=size:..5e9`）；默认排序（相关度）和不分组时不写入。
+ * 购物车可能包含上千个路径，排序后用 deflate 压缩并以 base64url 编码，保证链接能直接粘贴到聊天工具中。
+ */
+
+import { normalizeRanges } from './@filter/range-facets.js';
+import { formatSortParam, parseSortParam } from './dataset-sort.js';
+import { normalizeGroupBy } from './dataset-groups.js';
+
+/** Hub used when the link does not name one (see SelectionPanelManager). */
+export const DEFAULT_HUB = 'huggingface';
+
+/** Prefix of a deflate-compressed cart value. */
+const COMPRESSED_PREFIX = 'z';
+
+/** Prefix of a plain (newline-separated) cart value, used where CompressionStream is unavailable. */
+const PLAIN_PREFIX = 'p';
+
+/**
+ * @typedef {Object} ViewState
+ * @property {string[]} filters - Selected filter ids (`key:value`)
+ * @property {string[]} exclude - Excluded filter ids
+ * @property {Object<string, 'any'|'all'>} modes - Categories matching all selected values
+ * @property {Object<string, import('./@filter/range-facets.js').NumericRange>} ranges - Active numeric ranges
+ * @property {string} search - Search box query
+ * @property {import('./dataset-sort.js').SortSpec|null} sort - Grid sort, null when the link names none (default sort)
+ * @property {string|null} groupBy - Grid grouping (see GROUP_KEYS), null when the link names none
+ * @property {string} hub - Download hub ('huggingface' or 'modelscope')
+ * @property {string|null} detail - Path of the dataset shown in the detail modal
+ * @property {string|null} cart - Encoded cart (see encodeCart), null when the link carries no cart
+ */
+
+/**
+ * Create an empty view state.
+ * @returns {ViewState}
+ */
+export function createViewState() {
+    return { filters: [], exclude: [], modes: {}, ranges: {}, search: '', sort: null, groupBy: null, hub: DEFAULT_HUB, detail: null, cart: null };
+}
+
+/**
+ * Build the URL hash for a view state (without the leading '#').
+ * Parameters are written in a fixed order so equal states give equal hashes.
+ * @param {ViewState} state
+ * @returns {string}
+ */
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+
+    if (state.search) params.set('q', state.search);
+    [...state.filters].sort().forEach(filterId => params.append('f', filterId));
+    [...state.exclude].sort().forEach(filterId => params.append('x', filterId));
+    Object.keys(state.modes)
+        .filter(key => state.modes[key] === 'all')
+        .sort()
+        .forEach(key => params.append('all', key));
+    Object.keys(state.ranges || {})
+        .sort()
+        .forEach(key => {
+            const { min, max } = state.ranges[key];
+            params.append('r', `${key}:${min ?? ''}..${max ?? ''}`);
+        });
+    if (state.sort && formatSortParam(state.sort)) params.set('sort', formatSortParam(state.sort));
+    if (state.groupBy) params.set('group', state.groupBy);
+    if (state.hub && state.hub !== DEFAULT_HUB) params.set('hub', state.hub);
+    if (state.detail) params.set('d', state.detail);
+    if (state.cart) params.set('cart', state.cart);
+
+    // `:` and `,` separate filter keys/values and sort keys; both are legal in a fragment and keep links readable
+    return params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+}
+
+/**
+ * Parse an `r` parameter (`key:min..max`, either bound may be empty).
+ * @param {string} value
+ * @returns {[string, {min: number|null, max: number|null}]} Invalid bounds become null (see normalizeRanges)
+ */
+function parseRangeParam(value) {
+    const match = /^([^:]+):(.*?)\.\.(.*)$/.exec(value);
+    if (!match) return ['', null];
+
+    const bound = text => (text.trim() === '' ? null : Number(text));
+    return [match[1], { min: bound(match[2]), max: bound(match[3]) }];
+}
+
+/**
+ * Parse a URL hash into a view state. Unknown parameters are ignored.
+ * @param {string} hash - `location.hash`, with or without the leading '#'
+ * @returns {ViewState}
+ */
+export function decodeViewState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const state = createViewState();
+
+    state.search = params.get('q') || '';
+    state.filters = params.getAll('f').filter(Boolean);
+    state.exclude = params.getAll('x').filter(Boolean);
+    params.getAll('all').forEach(key => {
+        state.modes[key] = 'all';
+    });
+    state.ranges = normalizeRanges(Object.fromEntries(params.getAll('r').map(parseRangeParam)));
+    state.sort = parseSortParam(params.get('sort'));
+    state.groupBy = normalizeGroupBy(params.get('group'));
+    state.hub = params.get('hub') === 'modelscope' ? 'modelscope' : DEFAULT_HUB;
+    state.detail = params.get('d') || null;
+    state.cart = params.get('cart') || null;
+
+    return state;
+}
+
+/**
+ * Check whether a hash carries any view state (an empty or foreign hash leaves the defaults alone).
+ * @param {string} hash
+ * @returns {boolean}
+ */
+export function hasViewState(hash) {
+    return encodeViewState(decodeViewState(hash)) !== '';
+}
+
+/**
+ * Encode bytes as base64url (no padding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a (de)compression stream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} stream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode cart dataset paths for a link: sorted (shared prefixes compress well), deflated, base64url.
+ * @param {Iterable<string>} paths - Dataset paths
+ * @returns {Promise<string>}
+ */
+export async function encodeCart(paths) {
+    const text = Array.from(paths).sort().join('\n');
+    if (typeof CompressionStream === 'undefined') {
+        return PLAIN_PREFIX + text;
+    }
+    const bytes = await transformBytes(new TextEncoder().encode(text), new CompressionStream('deflate-raw'));
+    return COMPRESSED_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * Decode a cart value written by encodeCart.
+ * @param {string} value
+ * @returns {Promise<string[]>} Dataset paths
+ * @throws {Error} When the value is malformed or cannot be decompressed here
+ */
+export async function decodeCart(value) {
+    const prefix = value.charAt(0);
+    const body = value.slice(1);
+    let text;
+
+    if (prefix === PLAIN_PREFIX) {
+        text = body;
+    } else if (prefix === COMPRESSED_PREFIX) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed cart links');
+        }
+        const bytes = await transformBytes(fromBase64Url(body), new DecompressionStream('deflate-raw'));
+        text = new TextDecoder().decode(bytes);
+    } else {
+        throw new Error('Unknown cart encoding');
+    }
+
+    return text.split('\n').filter(Boolean);
+}
+
+export default {
+    DEFAULT_HUB,
+    createViewState,
+    encodeViewState,
+    decodeViewState,
+    hasViewState,
+    encodeCart,
+    decodeCart
+};
@@ -29,6 +29,44 @@ export function calculateVisibleRange(scrollTop, containerHeight, itemHeight, to
     };
 }
 
+/**
+ * Top offsets of rows with different heights (variable-height virtual scrolling)
+ * @param {number[]} heights - Height of each row
+ * @returns {number[]} Offset of each row, followed by the total height
+ */
+export function computeRowOffsets(heights) {
+    const offsets = new Array(heights.length + 1);
+    let top = 0;
+    heights.forEach((height, i) => {
+        offsets[i] = top;
+        top += height;
+    });
+    offsets[heights.length] = top;
+    return offsets;
+}
+
+/**
+ * Find the row containing a vertical position (binary search over computeRowOffsets)
+ * @param {number[]} offsets - Row offsets followed by the total height
+ * @param {number} y - Position
+ * @returns {number} Row index, clamped to the existing rows (0 when there are none)
+ */
+export function findRowIndex(offsets, y) {
+    let low = 0;
+    let high = offsets.length - 2;
+    if (high < 0) return 0;
+
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (offsets[mid] <= y) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
 /**
  * Element cache for virtual scrolling
  * Manages DOM element reuse to improve performance
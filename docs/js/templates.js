@@ -6,6 +6,8 @@
 /// <reference path="./types.js" />
 
 import RobotAliasManager from './modules/robot-aliases.js';
+import { escapeHTML } from './modules/@search/highlight.js';
+import { getAnnotationLabels } from './modules/dataset-table.js';
 
 const Templates = {
     /**
@@ -29,9 +31,10 @@ const Templates = {
      * @param {string} key - Filter key
      * @param {FilterGroup} group - Filter group
      * @param {number} baseIndent - Base indentation
+     * @param {string[]} values - Option values in display order
      * @returns {string} HTML string
      */
-    buildFlatFilterGroup(key, group, baseIndent) {
+    buildFlatFilterGroup(key, group, baseIndent, values) {
         return `
             <div class="filter-option-wrapper" data-level="0">
                 <div class="filter-option hierarchy-name-only" data-group-key="${key}">
@@ -44,7 +47,7 @@ const Templates = {
                     </div>
                 </div>
                 <div class="filter-children collapsed" data-group="${key}">
-                    ${Array.from(group.values).sort().map(val => this.buildFlatFilterOption(key, val, baseIndent)).join('')}
+                    ${values.map(val => this.buildFlatFilterOption(key, val, baseIndent)).join('')}
                 </div>
             </div>
         `;
@@ -73,6 +76,48 @@ const Templates = {
         `;
     },
 
+    /**
+     * Build a numeric range facet (histogram and two-thumb slider, filled in by RangeFacetRenderer)
+     * @param {string} key - Range facet key
+     * @param {string} label - Display name
+     * @param {number} steps - Slider positions
+     * @returns {string} HTML string
+     */
+    buildRangeFacet(key, label, steps) {
+        return `
+            <div class="range-facet" data-range-key="${key}">
+                <div class="range-facet-header">
+                    <span class="range-facet-label">${label}</span>
+                    <span class="range-facet-value"></span>
+                    <button type="button" class="range-facet-clear" title="Clear ${label.toLowerCase()} range">✕ Clear</button>
+                </div>
+                <div class="range-histogram" aria-hidden="true"></div>
+                <div class="range-slider">
+                    <input type="range" class="range-input" min="0" max="${steps}" step="1" value="0" aria-label="${label} minimum">
+                    <input type="range" class="range-input" min="0" max="${steps}" step="1" value="${steps}" aria-label="${label} maximum">
+                </div>
+                <div class="range-facet-bounds">
+                    <span class="range-bound-min"></span>
+                    <span class="range-bound-max"></span>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Build histogram bars of a range facet
+     * @param {number[]} bins - Dataset count per bar
+     * @returns {string} HTML string
+     */
+    buildRangeHistogram(bins) {
+        const highest = Math.max(1, ...bins);
+        return bins.map(count => {
+            // 非空的柱子至少保留可见高度
+            const height = count > 0 ? Math.max(4, Math.round(count / highest * 100)) : 0;
+            return `<span class="range-bar" style="height: ${height}%;" title="${count} datasets"></span>`;
+        }).join('');
+    },
+
     /**
      * Build hierarchical filter group HTML
      * @param {string} key - Filter key
@@ -103,16 +148,20 @@ const Templates = {
         const indent = baseIndent;
 
         if (hasChildren) {
+            // 父节点本身也是筛选项（匹配其下任意对象），展开/折叠由左侧箭头按钮负责
             return `
                 <div class="filter-option-wrapper" style="margin-left: ${indent}px;" data-level="${level}">
-                    <div class="filter-option hierarchy-name-only" data-path="${fullPath}">
+                    <div class="filter-option hierarchy-name-only hierarchy-parent" data-filter="${key}" data-value="${fullPath}" data-path="${fullPath}">
+                        <button type="button" class="hierarchy-expand-btn" aria-expanded="false" title="Expand / collapse">▸</button>
+                        <span class="hierarchy-check" aria-hidden="true"></span>
                         <div class="filter-option-label">
                             <span class="hierarchy-label">${value}</span>
                         </div>
                         <div class="hierarchy-actions">
                             <button class="hierarchy-action-btn select-all" data-key="${key}" data-path="${fullPath}" data-action="select-all-children" title="Select all children">All</button>
-                            <button class="hierarchy-action-btn clear-all" data-key="${key}" data-path="${fullPath}" data-action="clear-all-children" title="Clear all children">✕ Clear</button>
+                            <button class="hierarchy-action-btn clear-all" data-key="${key}" data-path="${fullPath}" data-action="clear-all-children" title="Clear this node and its children">✕ Clear</button>
                         </div>
+                        <div class="filter-option-count" data-count="${key}-${fullPath}">0</div>
                     </div>
                     <div class="filter-children collapsed">
                         ${childrenHTML}
@@ -122,7 +171,7 @@ const Templates = {
         } else {
             return `
                 <div class="filter-option-wrapper" style="margin-left: ${indent}px;" data-level="${level}">
-                    <div class="filter-option" data-filter="${key}" data-value="${value}">
+                    <div class="filter-option" data-filter="${key}" data-value="${fullPath}">
                         <div class="filter-option-label">
                             <span>${value}</span>
                         </div>
@@ -133,6 +182,211 @@ const Templates = {
         }
     },
 
+    /**
+     * Active Filter Chips
+     */
+
+    /**
+     * Build a group of active filter chips
+     * @param {string|null} key - Filter key, null for search terms
+     * @param {string} label - Category label
+     * @param {string} tagsHTML - Chips HTML
+     * @param {boolean} [matchAll=false] - Category requires all selected values
+     * @returns {string} HTML string
+     */
+    buildFilterTagGroup(key, label, tagsHTML, matchAll = false) {
+        const clearAttr = key ? `data-category="${key}"` : '';
+        return `
+            <div class="filter-tag-group">
+                <span class="filter-tag-group-label">${label}${matchAll ? ' <em>(all)</em>' : ''}</span>
+                ${tagsHTML}
+                <button type="button" class="filter-tag-group-clear" ${clearAttr} title="Clear ${label.toLowerCase()}">Clear</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Build an active filter chip
+     * @param {string} filterId - Filter id (`key:value`)
+     * @param {string} label - Human-readable value
+     * @param {boolean} excluded - Exclusion rather than selection
+     * @returns {string} HTML string
+     */
+    buildFilterTag(filterId, label, excluded) {
+        return `
+            <span class="filter-tag${excluded ? ' excluded' : ''}">
+                ${excluded ? '<span class="filter-tag-prefix">NOT</span>' : ''}
+                <span class="filter-tag-label">${escapeHTML(label)}</span>
+                <button type="button" class="filter-tag-remove" data-filter-id="${escapeHTML(filterId)}" title="Remove filter" aria-label="Remove ${escapeHTML(label)}">×</button>
+            </span>
+        `;
+    },
+
+    /**
+     * Build an active numeric range chip
+     * @param {string} rangeKey - Range facet key
+     * @param {string} label - e.g. `Episodes 50 – 500`
+     * @returns {string} HTML string
+     */
+    buildRangeTag(rangeKey, label) {
+        return `
+            <span class="filter-tag range">
+                <span class="filter-tag-label">${escapeHTML(label)}</span>
+                <button type="button" class="filter-tag-remove" data-range-key="${rangeKey}" title="Remove range" aria-label="Remove ${escapeHTML(label)}">×</button>
+            </span>
+        `;
+    },
+
+    /**
+     * Build a search term chip
+     * @param {string} text - Term source text
+     * @param {number} index - Term index in the query
+     * @returns {string} HTML string
+     */
+    buildSearchTag(text, index) {
+        return `
+            <span class="filter-tag search">
+                <span class="filter-tag-label">${escapeHTML(text)}</span>
+                <button type="button" class="filter-tag-remove" data-search-term="${index}" title="Remove search term" aria-label="Remove ${escapeHTML(text)}">×</button>
+            </span>
+        `;
+    },
+
+    /**
+     * Filter Preset Templates
+     */
+
+    /**
+     * Build a saved filter preset row
+     * @param {number} index - Position in the preset list
+     * @param {string} name - Preset name
+     * @param {string} summary - Short description of the preset's filters
+     * @param {{matches: number, newMatches: number}|null} stats - Current matches (null while counting)
+     * @returns {string} HTML string
+     */
+    buildPresetItem(index, name, summary, stats) {
+        let statsHTML = '<span class="preset-stats pending">counting…</span>';
+        if (stats) {
+            const newHTML = stats.newMatches > 0
+                ? ` <span class="preset-new-badge" title="Matching datasets added since the preset was saved">+${stats.newMatches} new</span>`
+                : '';
+            statsHTML = `<span class="preset-stats">${stats.matches} matches${newHTML}</span>`;
+        }
+
+        return `
+            <div class="preset-item" data-preset-index="${index}">
+                <button type="button" class="preset-apply" data-action="apply" title="Apply this preset">
+                    <span class="preset-name">${escapeHTML(name)}</span>
+                    <span class="preset-summary">${escapeHTML(summary)}</span>
+                </button>
+                ${statsHTML}
+                <div class="preset-actions">
+                    <button type="button" class="preset-action-btn" data-action="collect" title="Add every current match to the cart">Add to cart</button>
+                    <button type="button" class="preset-action-btn danger" data-action="delete" title="Delete preset" aria-label="Delete ${escapeHTML(name)}">×</button>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Build the hint shown when no preset is saved
+     * @returns {string} HTML string
+     */
+    buildPresetEmptyHint() {
+        return `
+            <div class="preset-empty-hint">
+                No saved presets yet. Choose filters or a search, then name and save them above.
+            </div>
+        `;
+    },
+
+    /**
+     * Grid Sort Templates
+     */
+
+    /**
+     * Build the options of a sort key select
+     * @param {{key: string, label: string}[]} keys - Sort keys in menu order
+     * @param {string} [emptyLabel] - Label of an extra first option with an empty value
+     * @returns {string} HTML string
+     */
+    buildSortOptions(keys, emptyLabel) {
+        const emptyOption = emptyLabel ? `<option value="">${escapeHTML(emptyLabel)}</option>` : '';
+        return emptyOption + keys.map(({ key, label }) => `<option value="${key}">${escapeHTML(label)}</option>`).join('');
+    },
+
+    /**
+     * Build the content of a grid group header (see VideoGridManager.updateGroupHeader)
+     * @param {string} label - Group label
+     * @param {string} summary - Dataset count and total size
+     * @param {boolean} collapsed - Whether the group's cards are hidden
+     * @returns {string} HTML string
+     */
+    buildGridGroupHeader(label, summary, collapsed) {
+        return `
+            <button type="button" class="grid-group-toggle" data-action="toggle"
+                    aria-expanded="${!collapsed}" title="${collapsed ? 'Expand' : 'Collapse'} group">
+                <span class="grid-group-chevron" aria-hidden="true">▾</span>
+                <span class="grid-group-label">${escapeHTML(label)}</span>
+            </button>
+            <span class="grid-group-stats">${escapeHTML(summary)}</span>
+            <button type="button" class="grid-group-add" data-action="add-to-cart"
+                    title="Add every dataset of this group to the cart">Add group to cart</button>
+        `;
+    },
+
+    /**
+     * Table View Templates
+     */
+
+    /**
+     * Build the column chooser checkboxes
+     * @param {{key: string, label: string, checked: boolean, disabled: boolean}[]} options - Columns in default order
+     * @returns {string} HTML string
+     */
+    buildTableColumnOptions(options) {
+        return options.map(({ key, label, checked, disabled }) => `
+            <label class="table-column-option">
+                <input type="checkbox" data-column="${key}"${checked ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+                <span>${escapeHTML(label)}</span>
+            </label>
+        `).join('');
+    },
+
+    /**
+     * Build a table header cell (click sorts, the edge handle resizes)
+     * @param {string} key - Column key
+     * @param {{label: string, type: string}} column - Column definition
+     * @param {string|null} direction - 'asc' / 'desc' when the table is sorted by this column
+     * @returns {string} HTML string
+     */
+    buildTableHeaderCell(key, column, direction) {
+        const ariaSort = direction ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+        const indicator = direction ? (direction === 'asc' ? '↑' : '↓') : '';
+        return `
+            <div class="dataset-table-head-cell ${column.type}" data-column="${key}" role="columnheader" aria-sort="${ariaSort}"
+                 title="Sort by ${escapeHTML(column.label)}">
+                <span class="dataset-table-head-label">${escapeHTML(column.label)}</span>
+                <span class="dataset-table-sort-indicator">${indicator}</span>
+                <span class="dataset-table-resizer" data-column="${key}" title="Drag to resize"></span>
+            </div>
+        `;
+    },
+
+    /**
+     * Build the cells of a table row (the path opens the detail modal)
+     * @param {{column: string, type: string, text: string}[]} cells - Cells in column order
+     * @returns {string} HTML string
+     */
+    buildTableRow(cells) {
+        return cells.map(({ column, type, text }) => {
+            const content = column === 'path'
+                ? `<span class="dataset-table-link" data-path="${escapeHTML(text)}">${escapeHTML(text)}</span>`
+                : escapeHTML(text);
+            return `<div class="dataset-table-cell ${type}" role="gridcell" title="${escapeHTML(text)}">${content}</div>`;
+        }).join('');
+    },
+
     /**
      * Video Card Templates
      */
@@ -162,6 +416,7 @@ const Templates = {
             </div>
             <div class="video-info">
                 <div class="video-title">${ds.name}</div>
+                <div class="video-match" hidden></div>
                 <div class="video-tags">${formatMetaTags(ds)}</div>
             </div>
             <div class="video-hover-overlay">
@@ -308,6 +563,21 @@ const Templates = {
      * Detail Modal Templates
      */
     buildDetailModal(dataset) {
+        return `
+            <div class="detail-modal">
+                <div class="detail-modal-header">
+                    <h3 class="detail-modal-title">${dataset.name}</h3>
+                    <button class="detail-modal-close">×</button>
+                </div>
+                <div class="detail-modal-body">
+                    ${this.buildDetailVideo(dataset.video_url)}
+                    ${this.buildDetailInfo(dataset)}
+                </div>
+            </div>
+        `;
+    },
+
+    buildDetailInfo(dataset) {
         const scenesText = Array.isArray(dataset.scenes) && dataset.scenes.length > 0
             ? dataset.scenes.join(', ')
             : 'N/A';
@@ -335,18 +605,7 @@ const Templates = {
             }).join('');
         }
 
-        return `
-            <div class="detail-modal">
-                <div class="detail-modal-header">
-                    <h3 class="detail-modal-title">${dataset.name}</h3>
-                    <button class="detail-modal-close">×</button>
-                </div>
-                <div class="detail-modal-body">
-                    ${this.buildDetailVideo(dataset.video_url)}
-                    ${this.buildDetailInfoGrid(dataset, scenesText, actionsText, sceneTypeText, atomicActionsText, objectsHTML)}
-                </div>
-            </div>
-        `;
+        return this.buildDetailInfoGrid(dataset, scenesText, actionsText, sceneTypeText, atomicActionsText, objectsHTML);
     },
 
     buildDetailVideo(videoUrl) {
@@ -494,15 +753,7 @@ const Templates = {
                 <div class="detail-info-section">
                     <h4 class="detail-section-title">Annotations</h4>
                     ${(() => {
-                        const annotations = dataset.annotations || dataset.raw?.annotations || {};
-                        const availableAnnotations = [];
-                        if (annotations.subtask_annotation) availableAnnotations.push('Subtask');
-                        if (annotations.scene_annotation) availableAnnotations.push('Scene');
-                        if (annotations.eef_direction) availableAnnotations.push('EEF Direction');
-                        if (annotations.eef_velocity) availableAnnotations.push('EEF Velocity');
-                        if (annotations.eef_acc_mag) availableAnnotations.push('EEF Acceleration Magnitude');
-                        if (annotations.gripper_mode) availableAnnotations.push('Gripper Mode');
-                        if (annotations.gripper_activity) availableAnnotations.push('Gripper Activity');
+                        const availableAnnotations = getAnnotationLabels(dataset);
                         return this.buildDetailInfoItem('Available Annotations', availableAnnotations.length > 0 ? availableAnnotations.join(', ') : 'N/A');
                     })()}
                 </div>
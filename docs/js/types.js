@@ -23,11 +23,10 @@
  * @property {string|string[]} robot - Robot model(s)
  * @property {string} endEffector - End effector type
  * @property {number} platformHeight - Operation platform height
+ * @property {boolean} hasDetail - False for summary records whose detail fields are loaded on demand
  * @property {Object} raw - Raw dataset data
- * @property {function(): string[]} getAllScenes - Get all scenes
- * @property {function(string): boolean} hasScene - Check if has scene
- * @property {function(number, string): DatasetObject[]} getObjectsByLevel - Get objects by level
- * @property {function(): string[]} getTopLevelCategories - Get top level categories
+ *
+ * Plain data only (no methods) so datasets can be posted between the catalog worker and the main thread.
  */
 
 /**
@@ -44,6 +43,15 @@
  * @property {string} type - Filter type ('flat' or 'hierarchical')
  */
 
+/**
+ * @typedef {Object} CatalogSnapshot
+ * @property {string} version - Catalog version (data_index.json `version` or content hash)
+ * @property {Object<string, string>} [fileHashes] - YAML content hash per dataset path (see data-index.js)
+ * @property {Dataset[]} datasets - All datasets
+ * @property {Object<string, FilterGroup>} filterGroups - Filter groups built from the datasets
+ * @property {Map<string, number>} staticCounts - Static count per filter id
+ */
+
 /**
  * @typedef {Object} AppState
  * @property {Dataset[]} datasets - All datasets
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * @file Catalog Build Script
+ * @description Builds consolidated_datasets.json, data_index.json and per-dataset detail records
+ *              from dataset_info YAML files.
+ *
+ * consolidated_datasets.json 只包含摘要字段（网格、筛选和搜索所需）；完整记录写入
+ * details/<path>.json，在打开详情弹窗时按需加载。
+ * 同时生成 consolidated_datasets.json.gz / .br，供浏览器用 DecompressionStream 解压。
+ *
+ * Usage:
+ *   npm run build:catalog -- [--input <dir>] [--output <dir>] [--pretty]
+ *
+ * 每个 YAML 文件使用与浏览器端 DataManager.createDatasetObject 相同的字段优先级规则
+ * (docs/js/modules/dataset-model.js)，保证发布的数据与浏览器在 YAML 模式下的计算结果一致。
+ */
+
+import { createHash } from 'node:crypto';
+import { writeFile, mkdir, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { gzipSync, brotliCompressSync, constants as zlibConstants } from 'node:zlib';
+
+import { resolveDatasetFields, createSummaryRecord } from '../docs/js/modules/dataset-model.js';
+import { DATA_INDEX_FORMAT } from '../docs/js/modules/data-index.js';
+import {
+    DEFAULT_PATHS,
+    listYamlFiles,
+    readDatasetFile,
+    getLastModifiedDates,
+    formatBytes
+} from './lib/dataset-files.js';
+
+const HELP = `Usage: node scripts/build-catalog.js [options]
+
+Options:
+  --input <dir>   dataset_info YAML directory (default: docs/assets/dataset_info)
+  --output <dir>  Output directory for the JSON files (default: docs/assets/info)
+  --pretty        Indent the generated JSON (larger files, easier to diff)
+  -h, --help      Show this help
+`;
+
+/**
+ * Parse command line options.
+ * @param {string[]} argv - Arguments without node/script path
+ * @returns {{input: string, output: string, pretty: boolean, help: boolean}}
+ */
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            input: { type: 'string', default: DEFAULT_PATHS.datasetInfo },
+            output: { type: 'string', default: DEFAULT_PATHS.info },
+            pretty: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    return {
+        input: path.resolve(values.input),
+        output: path.resolve(values.output),
+        pretty: values.pretty,
+        help: values.help
+    };
+}
+
+/**
+ * Load and resolve all dataset_info records.
+ * @param {string} inputDir - dataset_info directory
+ * @param {string[]} files - YAML file names
+ * @returns {Promise<{catalog: Object<string, Object>, entries: Object[], errors: string[]}>}
+ *          Resolved (full) records, data_index.json entries (without `modified`) and parse errors
+ */
+async function loadCatalog(inputDir, files) {
+    const catalog = {};
+    const entries = [];
+    const errors = [];
+
+    for (const file of files) {
+        const { path: datasetPath, text, data, error } = await readDatasetFile(inputDir, file);
+        if (error) {
+            errors.push(`${file}: ${error}`);
+            continue;
+        }
+        catalog[datasetPath] = resolveDatasetFields(data);
+        entries.push({
+            path: datasetPath,
+            file,
+            hash: computeContentHash(text),
+            size: Buffer.byteLength(text)
+        });
+    }
+
+    return { catalog, entries, errors };
+}
+
+/**
+ * Serialize JSON the way it is written to disk.
+ * @param {*} data - JSON-serializable data
+ * @param {number} [indent] - Indentation (omit for minified output)
+ * @returns {string}
+ */
+function toJSONText(data, indent) {
+    return JSON.stringify(data, null, indent) + '\n';
+}
+
+/**
+ * Compute a short content hash (first 16 hex digits of SHA-256).
+ * @param {string} text - Content to hash
+ * @returns {string} Short content hash
+ */
+function computeContentHash(text) {
+    return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute the catalog version published in data_index.json.
+ * 浏览器端以此判断 IndexedDB 中缓存的目录是否过期（见 docs/js/modules/catalog-cache.js）。
+ * @param {string} text - consolidated_datasets.json content
+ * @returns {string} Short content hash
+ */
+function computeCatalogVersion(text) {
+    return computeContentHash(text);
+}
+
+/**
+ * Write a text file, creating the directory if needed.
+ * @param {string} filePath - Target file
+ * @param {string} text - File content
+ * @returns {Promise<number>} Written byte size
+ */
+async function writeText(filePath, text) {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, text, 'utf8');
+    return Buffer.byteLength(text);
+}
+
+/**
+ * Write gzip and brotli compressed copies of a text file (`<file>.gz`, `<file>.br`).
+ * @param {string} filePath - Uncompressed file path
+ * @param {string} text - File content
+ * @returns {Promise<{gzip: number, brotli: number}>} Written byte sizes
+ */
+async function writeCompressedVariants(filePath, text) {
+    const data = Buffer.from(text, 'utf8');
+    const gzipped = gzipSync(data, { level: 9 });
+    const brotli = brotliCompressSync(data, {
+        params: {
+            [zlibConstants.BROTLI_PARAM_QUALITY]: zlibConstants.BROTLI_MAX_QUALITY,
+            [zlibConstants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    });
+
+    await writeFile(`${filePath}.gz`, gzipped);
+    await writeFile(`${filePath}.br`, brotli);
+    return { gzip: gzipped.length, brotli: brotli.length };
+}
+
+/**
+ * CLI entry point.
+ * @param {string[]} argv - Arguments without node/script path
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+
+    const files = await listYamlFiles(options.input);
+    if (files.length === 0) {
+        console.error(`✗ No YAML files found in ${options.input}`);
+        return 1;
+    }
+
+    const { catalog, entries, errors } = await loadCatalog(options.input, files);
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(`✗ ${message}`));
+        console.error(`✗ ${errors.length} of ${files.length} YAML files failed to parse; nothing written`);
+        return 1;
+    }
+
+    const datasetPaths = Object.keys(catalog);
+    const modifiedDates = await getLastModifiedDates(options.input, files);
+
+    const indent = options.pretty ? 2 : undefined;
+
+    const summaries = {};
+    datasetPaths.forEach(datasetPath => {
+        summaries[datasetPath] = createSummaryRecord(catalog[datasetPath]);
+    });
+    const consolidatedText = toJSONText(summaries, indent);
+    const version = computeCatalogVersion(consolidatedText);
+
+    const consolidatedPath = path.join(options.output, 'consolidated_datasets.json');
+    const consolidatedSize = await writeText(consolidatedPath, consolidatedText);
+    const compressedSizes = await writeCompressedVariants(consolidatedPath, consolidatedText);
+
+    // 先清空，避免已删除数据集的详情文件残留
+    const detailsDir = path.join(options.output, 'details');
+    await rm(detailsDir, { recursive: true, force: true });
+    let detailsSize = 0;
+    for (const datasetPath of datasetPaths) {
+        detailsSize += await writeText(
+            path.join(detailsDir, `${datasetPath}.json`),
+            toJSONText(catalog[datasetPath], indent)
+        );
+    }
+    const indexSize = await writeText(
+        path.join(options.output, 'data_index.json'),
+        toJSONText({
+            format: DATA_INDEX_FORMAT,
+            version,
+            count: entries.length,
+            datasets: entries.map(entry => ({ ...entry, modified: modifiedDates.get(entry.file) }))
+        }, 2)
+    );
+
+    console.log(`✓ consolidated_datasets.json: ${datasetPaths.length} dataset summaries (${formatBytes(consolidatedSize)}; ` +
+        `.gz ${formatBytes(compressedSizes.gzip)}, .br ${formatBytes(compressedSizes.brotli)})`);
+    console.log(`✓ details/: ${datasetPaths.length} detail records (${formatBytes(detailsSize)})`);
+    console.log(`✓ data_index.json: format ${DATA_INDEX_FORMAT}, version ${version} (${formatBytes(indexSize)})`);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => process.exit(code),
+    err => {
+        console.error('✗ Catalog build failed:', err);
+        process.exit(1);
+    }
+);
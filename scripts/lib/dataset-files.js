@@ -0,0 +1,131 @@
+/**
+ * @file Dataset File Helpers
+ * @description Shared filesystem helpers for the catalog build and validation scripts.
+ */
+
+import { execFile } from 'node:child_process';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import yaml from 'js-yaml';
+
+/** Repository root directory. */
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/** Published site directory (uploaded to GitHub Pages). */
+export const SITE_DIR = path.join(ROOT_DIR, 'docs');
+
+/** Default asset locations, matching ConfigManager paths in the browser. */
+export const DEFAULT_PATHS = {
+    datasetInfo: path.join(SITE_DIR, 'assets/dataset_info'),
+    info: path.join(SITE_DIR, 'assets/info'),
+    videos: path.join(SITE_DIR, 'assets/videos'),
+    thumbnails: path.join(SITE_DIR, 'assets/thumbnails')
+};
+
+export const YAML_EXTENSION = /\.ya?ml$/;
+
+/**
+ * Get the dataset path for a dataset_info file name.
+ * 与浏览器端一致：数据集 path 取自文件名。
+ * @param {string} file - YAML file name
+ * @returns {string} Dataset path
+ */
+export function datasetPathFromFile(file) {
+    return file.replace(YAML_EXTENSION, '');
+}
+
+/**
+ * List dataset_info YAML files in a stable order.
+ * @param {string} inputDir - dataset_info directory
+ * @returns {Promise<string[]>} Sorted file names
+ */
+export async function listYamlFiles(inputDir) {
+    const entries = await readdir(inputDir, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isFile() && YAML_EXTENSION.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Read and parse one dataset_info YAML file.
+ * Parse failures are returned instead of thrown so callers can report every file.
+ * @param {string} inputDir - dataset_info directory
+ * @param {string} file - YAML file name
+ * @returns {Promise<{file: string, path: string, text: string|null, data: Object|null, error: string|null}>}
+ */
+export async function readDatasetFile(inputDir, file) {
+    const result = { file, path: datasetPathFromFile(file), text: null, data: null, error: null };
+
+    try {
+        const text = await readFile(path.join(inputDir, file), 'utf8');
+        result.text = text;
+        const parsed = yaml.load(text);
+
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            result.error = 'expected a mapping at the document root';
+        } else {
+            result.data = parsed;
+        }
+    } catch (err) {
+        result.error = err.message;
+    }
+
+    return result;
+}
+
+/**
+ * Get the last-modified date of dataset_info files.
+ * Uses the last commit touching each file, so the dates do not change with every checkout;
+ * files without git history (untracked, or no git available) fall back to the filesystem mtime.
+ * 注意：浅克隆（fetch-depth: 1）中所有文件的提交时间相同。
+ * @param {string} inputDir - dataset_info directory
+ * @param {string[]} files - YAML file names
+ * @returns {Promise<Map<string, string>>} ISO 8601 dates keyed by file name
+ */
+export async function getLastModifiedDates(inputDir, files) {
+    const dates = new Map();
+    const wanted = new Set(files);
+
+    try {
+        const { stdout } = await promisify(execFile)(
+            'git',
+            ['log', '--format=%cI', '--name-only', '--relative', '--', '.'],
+            { cwd: inputDir, maxBuffer: 64 * 1024 * 1024 }
+        );
+
+        // 输出按提交时间倒序：日期行后跟该提交修改的文件，第一次出现即最近一次修改
+        let commitDate = null;
+        stdout.split('\n').forEach(line => {
+            if (!line) return;
+            if (/^\d{4}-\d{2}-\d{2}T/.test(line)) {
+                commitDate = new Date(line).toISOString();
+            } else if (commitDate && wanted.has(line) && !dates.has(line)) {
+                dates.set(line, commitDate);
+            }
+        });
+    } catch {
+        // Not a git checkout (or git missing): use mtimes below
+    }
+
+    for (const file of files) {
+        if (dates.has(file)) continue;
+        const { mtime } = await stat(path.join(inputDir, file));
+        dates.set(file, mtime.toISOString());
+    }
+
+    return dates;
+}
+
+/**
+ * Format a byte size for log output.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
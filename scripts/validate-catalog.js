@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * @file Catalog Validation Script
+ * @description Validates dataset_info YAML files against the schema and runs cross-file checks.
+ *
+ * Usage:
+ *   npm run validate:catalog -- [--input <dir>] [--site <dir>] [--json <file>] [--strict] [--verbose]
+ *
+ * 检查分为三类：
+ *   - schema:     scripts/schema/dataset-info.schema.json（错误）
+ *   - drift:      顶层字段与 raw 部分不一致等会被 createDatasetObject 掩盖的问题（警告）
+ *   - cross-file: path/文件名、robot_type/文件名前缀、UUID 唯一性、视频与缩略图是否存在（错误）
+ */
+
+import { readFile, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Ajv from 'ajv';
+
+import { SITE_DIR, DEFAULT_PATHS, listYamlFiles, readDatasetFile } from './lib/dataset-files.js';
+
+const SCHEMA_PATH = new URL('./schema/dataset-info.schema.json', import.meta.url);
+
+/** Fields where createDatasetObject falls back to `raw` when the top-level array is empty. */
+const RAW_FALLBACK_ARRAYS = ['scene_type', 'atomic_actions', 'objects'];
+
+const HELP = `Usage: node scripts/validate-catalog.js [options]
+
+Options:
+  --input <dir>   dataset_info YAML directory (default: docs/assets/dataset_info)
+  --site <dir>    Site root used to resolve ./assets URLs (default: docs)
+  --json <file>   Also write the full report as JSON
+  --strict        Exit with an error when there are warnings
+  --verbose       List files without issues as well
+  -h, --help      Show this help
+`;
+
+/**
+ * @typedef {Object} FileReport
+ * @property {string[]} errors - Problems that break the published catalog
+ * @property {string[]} warnings - Drift that the browser currently papers over
+ */
+
+/**
+ * Parse command line options.
+ * @param {string[]} argv - Arguments without node/script path
+ * @returns {{input: string, site: string, json: string|null, strict: boolean, verbose: boolean, help: boolean}}
+ */
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            input: { type: 'string', default: DEFAULT_PATHS.datasetInfo },
+            site: { type: 'string', default: SITE_DIR },
+            json: { type: 'string' },
+            strict: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    return {
+        input: path.resolve(values.input),
+        site: path.resolve(values.site),
+        json: values.json ? path.resolve(values.json) : null,
+        strict: values.strict,
+        verbose: values.verbose,
+        help: values.help
+    };
+}
+
+/**
+ * Compile the dataset_info schema.
+ * @returns {Promise<Function>} Ajv validate function
+ */
+async function loadSchemaValidator() {
+    const schema = JSON.parse(await readFile(SCHEMA_PATH, 'utf8'));
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    return ajv.compile(schema);
+}
+
+/**
+ * Format an Ajv error as a single line.
+ * @param {Object} error - Ajv error object
+ * @returns {string}
+ */
+function formatSchemaError(error) {
+    const location = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : '(root)';
+    if (error.keyword === 'additionalProperties') {
+        return `${location}: unknown property "${error.params.additionalProperty}"`;
+    }
+    return `${location}: ${error.message}`;
+}
+
+/**
+ * Normalize a task sentence for comparison.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTask(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').replace(/[.\s]+$/, '').trim();
+}
+
+/**
+ * Collect drift warnings for a single record.
+ * @param {Object} data - Parsed dataset_info
+ * @returns {string[]} Warning messages
+ */
+function checkDrift(data) {
+    const warnings = [];
+    const rawData = data.raw;
+
+    if (rawData && typeof rawData === 'object') {
+        RAW_FALLBACK_ARRAYS.forEach(key => {
+            const top = data[key];
+            const fallback = rawData[key];
+            if ((!Array.isArray(top) || top.length === 0) && Array.isArray(fallback) && fallback.length > 0) {
+                warnings.push(`${key}: top-level value is empty, only raw.${key} has data`);
+            }
+        });
+
+        if ('dataset_uuid' in rawData && rawData.dataset_uuid === null) {
+            warnings.push('raw.dataset_uuid is null');
+        }
+
+        const descriptions = Array.isArray(rawData.task_descriptions) ? rawData.task_descriptions : [];
+        if (data.tasks && descriptions.length > 0) {
+            const normalized = descriptions.map(normalizeTask);
+            if (!normalized.includes(normalizeTask(data.tasks))) {
+                warnings.push('tasks does not match any raw.task_descriptions entry');
+            }
+        }
+    }
+
+    if (data.operation_platform_height === null) {
+        warnings.push('operation_platform_height is null (rendered as "null cm")');
+    }
+
+    return warnings;
+}
+
+/**
+ * Check whether a file exists.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+    try {
+        await access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Collect the asset files a record refers to (explicit URLs and the paths the browser derives).
+ * @param {string} datasetPath - Dataset path (from the file name)
+ * @param {Object} data - Parsed dataset_info
+ * @returns {{kind: string, url: string}[]}
+ */
+function collectAssetRefs(datasetPath, data) {
+    const refs = [
+        { kind: 'video', url: `./assets/videos/${datasetPath}.mp4` },
+        { kind: 'thumbnail', url: `./assets/thumbnails/${datasetPath}.jpg` }
+    ];
+    if (typeof data.video_url === 'string') refs.push({ kind: 'video', url: data.video_url });
+    if (typeof data.thumbnail_url === 'string') refs.push({ kind: 'thumbnail', url: data.thumbnail_url });
+
+    const seen = new Set();
+    return refs.filter(ref => {
+        if (seen.has(ref.url)) return false;
+        seen.add(ref.url);
+        return true;
+    });
+}
+
+/**
+ * Validate every dataset_info file.
+ * @param {{input: string, site: string}} options
+ * @returns {Promise<Object<string, FileReport>>} Report keyed by file name
+ */
+async function validateCatalog(options) {
+    const validate = await loadSchemaValidator();
+    const files = await listYamlFiles(options.input);
+
+    /** @type {Object<string, FileReport>} */
+    const reports = {};
+    /** @type {Map<string, string[]>} */
+    const uuidOwners = new Map();
+
+    for (const file of files) {
+        const report = { errors: [], warnings: [] };
+        reports[file] = report;
+
+        const { path: datasetPath, data, error } = await readDatasetFile(options.input, file);
+        if (error) {
+            report.errors.push(`YAML parse error: ${error}`);
+            continue;
+        }
+
+        if (!validate(data)) {
+            validate.errors.forEach(err => report.errors.push(formatSchemaError(err)));
+        }
+
+        report.warnings.push(...checkDrift(data));
+
+        if (data.path !== datasetPath) {
+            report.errors.push(`path "${data.path}" does not match file name "${datasetPath}"`);
+        }
+
+        if (typeof data.robot_type === 'string' && !datasetPath.startsWith(`${data.robot_type}_`)) {
+            report.errors.push(`robot_type "${data.robot_type}" does not match file name prefix`);
+        }
+
+        if (typeof data.dataset_uuid === 'string') {
+            if (!uuidOwners.has(data.dataset_uuid)) uuidOwners.set(data.dataset_uuid, []);
+            uuidOwners.get(data.dataset_uuid).push(file);
+        }
+
+        for (const ref of collectAssetRefs(datasetPath, data)) {
+            if (!(await fileExists(path.resolve(options.site, ref.url)))) {
+                report.errors.push(`missing ${ref.kind}: ${ref.url}`);
+            }
+        }
+    }
+
+    uuidOwners.forEach((owners, uuid) => {
+        if (owners.length < 2) return;
+        owners.forEach(file => {
+            const others = owners.filter(other => other !== file).join(', ');
+            reports[file].errors.push(`dataset_uuid ${uuid} is also used by ${others}`);
+        });
+    });
+
+    return reports;
+}
+
+/**
+ * Print the per-file report.
+ * @param {Object<string, FileReport>} reports
+ * @param {boolean} verbose - Also list files without issues
+ * @returns {{files: number, passed: number, errors: number, warnings: number}} Summary
+ */
+function printReport(reports, verbose) {
+    const summary = { files: 0, passed: 0, errors: 0, warnings: 0 };
+
+    Object.entries(reports).forEach(([file, report]) => {
+        summary.files++;
+        summary.errors += report.errors.length;
+        summary.warnings += report.warnings.length;
+
+        if (report.errors.length === 0 && report.warnings.length === 0) {
+            summary.passed++;
+            if (verbose) console.log(`✓ ${file}`);
+            return;
+        }
+
+        console.log(`${report.errors.length > 0 ? '✗' : '⚠'} ${file}`);
+        report.errors.forEach(message => console.log(`    error    ${message}`));
+        report.warnings.forEach(message => console.log(`    warning  ${message}`));
+    });
+
+    console.log('');
+    console.log(`${summary.files} files: ${summary.passed} clean, ${summary.errors} errors, ${summary.warnings} warnings`);
+    return summary;
+}
+
+/**
+ * CLI entry point.
+ * @param {string[]} argv - Arguments without node/script path
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+
+    const reports = await validateCatalog(options);
+    const summary = printReport(reports, options.verbose);
+
+    if (options.json) {
+        const text = JSON.stringify({ summary, files: reports }, null, 2) + '\n';
+        await writeFile(options.json, text, 'utf8');
+        console.log(`Report written to ${path.relative(process.cwd(), options.json)}`);
+    }
+
+    if (summary.errors > 0) return 1;
+    if (options.strict && summary.warnings > 0) return 1;
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => process.exit(code),
+    err => {
+        console.error('✗ Catalog validation failed:', err);
+        process.exit(1);
+    }
+);
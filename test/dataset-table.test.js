@@ -0,0 +1,56 @@
+/**
+ * @file Dataset Table Tests
+ * @description Table column sort and CSV export (docs/js/modules/dataset-table.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCsv, sortTableRows, cycleTableSort } from '../docs/js/modules/dataset-table.js';
+
+test('buildCsv quotes fields with commas, quotes and line breaks', () => {
+    const csv = buildCsv([
+        { path: 'plain', license: 'MIT' },
+        { path: 'a,b', license: 'say "hi"' },
+        { path: 'line\nbreak', license: '折叠毛巾' }
+    ], ['path', 'license']);
+
+    assert.equal(csv, [
+        'Path,License',
+        'plain,MIT',
+        '"a,b","say ""hi"""',
+        '"line\nbreak",折叠毛巾',
+        ''
+    ].join('\r\n'));
+});
+
+test('buildCsv writes raw numbers and leaves missing values empty', () => {
+    const csv = buildCsv([
+        { path: 'x', datasetSize: '1.5KB', statistics: { total_episodes: 1200 } },
+        { path: 'y' }
+    ], ['path', 'episodes', 'size']);
+
+    assert.equal(csv, 'Path,Episodes,Size (bytes)\r\nx,1200,1536\r\ny,,\r\n');
+});
+
+test('column sort is stable and puts missing values last', () => {
+    const rows = [
+        { path: 'a', statistics: { total_episodes: 5 } },
+        { path: 'b' },
+        { path: 'c', statistics: { total_episodes: 9 } },
+        { path: 'd', statistics: { total_episodes: 5 } }
+    ];
+
+    assert.deepEqual(sortTableRows(rows, { column: 'episodes', direction: 'desc' }).map(ds => ds.path), ['c', 'a', 'd', 'b']);
+    assert.deepEqual(sortTableRows(rows, { column: 'episodes', direction: 'asc' }).map(ds => ds.path), ['a', 'd', 'c', 'b']);
+    assert.equal(sortTableRows(rows, null), rows);
+});
+
+test('header clicks cycle through default direction, reverse and grid order', () => {
+    let sort = cycleTableSort(null, 'episodes');
+    assert.deepEqual(sort, { column: 'episodes', direction: 'desc' });
+    sort = cycleTableSort(sort, 'episodes');
+    assert.deepEqual(sort, { column: 'episodes', direction: 'asc' });
+    assert.equal(cycleTableSort(sort, 'episodes'), null);
+    assert.deepEqual(cycleTableSort(sort, 'path'), { column: 'path', direction: 'asc' });
+});
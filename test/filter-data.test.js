@@ -0,0 +1,41 @@
+/**
+ * @file Filter Data Tests
+ * @description Filter ids and dataset filter values (docs/js/modules/@filter/data.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFilterId, getDatasetFilterIds, sortFilterValues } from '../docs/js/modules/@filter/data.js';
+
+test('parseFilterId splits at the first `:` only', () => {
+    assert.deepEqual(parseFilterId('robot:R1_Lite'), { key: 'robot', value: 'R1_Lite' });
+    assert.deepEqual(parseFilterId('object:kitchenware>cup'), { key: 'object', value: 'kitchenware>cup' });
+    assert.deepEqual(parseFilterId('scene:lab:room 2'), { key: 'scene', value: 'lab:room 2' });
+    assert.deepEqual(parseFilterId('frame range:1K-10K'), { key: 'frame range', value: '1K-10K' });
+    assert.deepEqual(parseFilterId('scene:'), { key: 'scene', value: '' });
+    assert.deepEqual(parseFilterId('scene'), { key: 'scene', value: '' });
+});
+
+test('getDatasetFilterIds round-trips through parseFilterId', () => {
+    const ids = getDatasetFilterIds({
+        robot: ['R1', 'R2'],
+        scenes: ['lab:room 2'],
+        frameRange: '1K-10K',
+        objects: [{ hierarchy: ['kitchenware', 'cup'] }]
+    });
+
+    assert.deepEqual([...ids].map(parseFilterId), [
+        { key: 'frame range', value: '1K-10K' },
+        { key: 'scene', value: 'lab:room 2' },
+        { key: 'robot', value: 'R1' },
+        { key: 'robot', value: 'R2' },
+        { key: 'object', value: 'kitchenware' },
+        { key: 'object', value: 'kitchenware>cup' }
+    ]);
+});
+
+test('frame range buckets sort by size', () => {
+    assert.deepEqual(sortFilterValues('frame range', ['100K-1M', '1K-10K', '10K-100K']), ['1K-10K', '10K-100K', '100K-1M']);
+    assert.deepEqual(sortFilterValues('scene', ['office', 'kitchen']), ['kitchen', 'office']);
+});
@@ -0,0 +1,127 @@
+/**
+ * @file Filter Index Tests
+ * @description Bitset filtering and conditional facet counts (docs/js/modules/@filter/filter-index.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FilterIndex } from '../docs/js/modules/@filter/filter-index.js';
+import { RangeIndex } from '../docs/js/modules/@filter/range-index.js';
+
+const DATASETS = [
+    { path: 'a', robot: 'R1', scenes: ['kitchen'], actions: ['pick', 'place'], statistics: { total_episodes: 100 } },
+    { path: 'b', robot: 'R1', scenes: ['kitchen', 'office'], actions: ['pick'], statistics: { total_episodes: 500 } },
+    { path: 'c', robot: 'AIRBOT', scenes: ['office'], actions: ['place'], statistics: { total_episodes: 1000 } },
+    { path: 'd', robot: 'AIRBOT', scenes: ['garage'], actions: ['pick', 'pour'] }
+];
+
+/**
+ * Build the indexes for the test catalog.
+ * @returns {{filterIndex: FilterIndex, rangeIndex: RangeIndex}}
+ */
+function buildIndexes() {
+    const filterIndex = new FilterIndex();
+    const rangeIndex = new RangeIndex();
+    filterIndex.rebuild(DATASETS);
+    rangeIndex.rebuild(DATASETS);
+    return { filterIndex, rangeIndex };
+}
+
+/**
+ * Dataset paths of a bitset.
+ * @param {FilterIndex} index
+ * @param {Uint32Array} bits
+ * @returns {string[]}
+ */
+function toPaths(index, bits) {
+    return index.toPositions(bits).map(position => DATASETS[position].path);
+}
+
+test('without filters every dataset matches and counts are static', () => {
+    const { filterIndex } = buildIndexes();
+    const { matches, facetCounts } = filterIndex.query({}, filterIndex.createFullBitset());
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['a', 'b', 'c', 'd']);
+    assert.equal(facetCounts.get('scene:kitchen'), 2);
+    assert.equal(facetCounts.get('action:pick'), 3);
+    assert.equal(facetCounts.get('robot:AIRBOT'), 2);
+});
+
+test('values of a category are ORed, categories are ANDed', () => {
+    const { filterIndex } = buildIndexes();
+    const { matches, facetCounts } = filterIndex.query(
+        { scene: ['kitchen', 'garage'], robot: ['AIRBOT'] },
+        filterIndex.createFullBitset()
+    );
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['d']);
+    // An option counts the results if it were added to its own category's selection
+    assert.equal(facetCounts.get('scene:office'), 1);
+    assert.equal(facetCounts.get('robot:R1'), 2);
+    assert.equal(facetCounts.get('action:pick'), 1);
+});
+
+test('ALL mode intersects the selected values and narrows the counts', () => {
+    const { filterIndex } = buildIndexes();
+    const { matches, facetCounts } = filterIndex.query(
+        { action: ['pick', 'place'] },
+        filterIndex.createFullBitset(),
+        {},
+        { action: 'all' }
+    );
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['a']);
+    assert.equal(facetCounts.get('action:pick'), 1);
+    assert.equal(facetCounts.has('action:pour'), false);
+});
+
+test('excluded values are removed and counted as if they were selected', () => {
+    const { filterIndex } = buildIndexes();
+    const { matches, facetCounts } = filterIndex.query(
+        {},
+        filterIndex.createFullBitset(),
+        { scene: ['kitchen'] }
+    );
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['c', 'd']);
+    assert.equal(facetCounts.get('scene:kitchen'), 2);
+    assert.equal(facetCounts.get('scene:office'), 1);
+    assert.equal(facetCounts.get('robot:R1') || 0, 0);
+});
+
+test('range constraints are intersected and report their own base', () => {
+    const { filterIndex, rangeIndex } = buildIndexes();
+    const episodes = rangeIndex.fillMatches('episodes', { min: 200, max: null }, filterIndex.createBitset());
+    const { matches, facetCounts, constraintBases } = filterIndex.query(
+        { robot: ['R1'] },
+        filterIndex.createFullBitset(),
+        {},
+        {},
+        { episodes }
+    );
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['b']);
+    assert.equal(facetCounts.get('robot:AIRBOT'), 1);
+    // The histogram base ignores the range itself but keeps the other selections
+    assert.deepEqual(toPaths(filterIndex, constraintBases.get('episodes')), ['a', 'b']);
+});
+
+test('candidates from the search restrict matches and counts', () => {
+    const { filterIndex } = buildIndexes();
+    const candidates = filterIndex.createBitset();
+    candidates[0] = 0b0011;
+    const { matches, facetCounts } = filterIndex.query({}, candidates);
+
+    assert.deepEqual(toPaths(filterIndex, matches), ['a', 'b']);
+    assert.equal(facetCounts.get('robot:AIRBOT') || 0, 0);
+});
+
+test('bitsets grow past one word', () => {
+    const filterIndex = new FilterIndex();
+    for (let i = 0; i < 70; i++) {
+        filterIndex.add({ path: `p${i}`, scenes: [i % 2 ? 'odd' : 'even'] });
+    }
+    assert.equal(filterIndex.count('scene:odd'), 35);
+    assert.equal(filterIndex.toPositions(filterIndex.createFullBitset()).length, 70);
+});
@@ -0,0 +1,86 @@
+/**
+ * @file Query Matcher Tests
+ * @description Compiled search predicates (docs/js/modules/@search/query-matcher.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSearchQuery } from '../docs/js/modules/@search/query-parser.js';
+import { compileQuery, getRankingTokens } from '../docs/js/modules/@search/query-matcher.js';
+import { normalizeSearchText } from '../docs/js/modules/@search/query-fields.js';
+
+const DATASETS = [
+    {
+        path: 'R1_Lite_fold_towel',
+        name: 'R1_Lite_fold_towel',
+        description: 'Fold the towel',
+        robot: 'R1_Lite',
+        scenes: ['kitchen'],
+        actions: ['pick up', 'fold'],
+        objects: [{ name: 'towel', hierarchy: ['textile', 'towel'] }],
+        statistics: { total_episodes: 800, total_frames: 120000 },
+        datasetSize: '2GB'
+    },
+    {
+        path: 'AIRBOT_pour_water',
+        name: 'AIRBOT_pour_water',
+        description: 'Pour water into the cup',
+        robot: 'AIRBOT_MMK2',
+        scenes: ['living room'],
+        actions: ['pick', 'pour'],
+        objects: [{ name: 'cup', hierarchy: ['kitchenware', 'cup'] }],
+        statistics: { total_episodes: 200, total_frames: 8000 },
+        datasetSize: '300MB'
+    }
+];
+
+const ALIAS_MAP = { R1_Lite: { common_name: 'Galaxea R1', aliases: ['R1'] } };
+
+/**
+ * Paths of the datasets matching a query.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function search(query) {
+    const context = {
+        aliasMap: ALIAS_MAP,
+        datasets: DATASETS,
+        searchTexts: DATASETS.map(ds => [ds.name, ds.path, ds.description].map(normalizeSearchText))
+    };
+    const match = compileQuery(parseSearchQuery(query).ast, context);
+    return DATASETS.filter((ds, position) => match(ds, position)).map(ds => ds.path);
+}
+
+test('an empty query matches everything', () => {
+    assert.equal(search('').length, DATASETS.length);
+});
+
+test('filter fields match whole values, ignoring case and underscores', () => {
+    assert.deepEqual(search('action:pick'), ['AIRBOT_pour_water']);
+    assert.deepEqual(search('action:PICK_UP'), ['R1_Lite_fold_towel']);
+    assert.deepEqual(search('scene:"living room"'), ['AIRBOT_pour_water']);
+    assert.deepEqual(search('object:kitchenware'), ['AIRBOT_pour_water']);
+});
+
+test('robot qualifiers match aliases', () => {
+    assert.deepEqual(search('robot:R1'), ['R1_Lite_fold_towel']);
+    assert.deepEqual(search('robot:"galaxea r1"'), ['R1_Lite_fold_towel']);
+});
+
+test('a misspelled value falls back to fuzzy matching only when nothing matches exactly', () => {
+    assert.deepEqual(search('scene:kitchn'), ['R1_Lite_fold_towel']);
+});
+
+test('text fields, negation, OR and comparisons', () => {
+    assert.deepEqual(search('task:towel'), ['R1_Lite_fold_towel']);
+    assert.deepEqual(search('-action:pour'), ['R1_Lite_fold_towel']);
+    assert.deepEqual(search('action:pour OR action:fold'), ['R1_Lite_fold_towel', 'AIRBOT_pour_water']);
+    assert.deepEqual(search('episodes>500'), ['R1_Lite_fold_towel']);
+    assert.deepEqual(search('size<1GB'), ['AIRBOT_pour_water']);
+    assert.deepEqual(search('cup'), ['AIRBOT_pour_water']);
+});
+
+test('ranking tokens skip negated terms', () => {
+    assert.deepEqual(getRankingTokens(parseSearchQuery('water -towel').ast), ['water']);
+});
@@ -0,0 +1,71 @@
+/**
+ * @file Query Parser Tests
+ * @description Search box query language (docs/js/modules/@search/query-parser.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSearchQuery, splitSearchTerms } from '../docs/js/modules/@search/query-parser.js';
+
+test('bare words and quoted phrases', () => {
+    assert.deepEqual(parseSearchQuery('towel').ast, { type: 'text', value: 'towel', phrase: false });
+    assert.deepEqual(parseSearchQuery('"fold towel"').ast, { type: 'text', value: 'fold towel', phrase: true });
+    assert.deepEqual(parseSearchQuery('').ast, null);
+});
+
+test('field qualifiers are normalized and negated', () => {
+    const { ast, errors } = parseSearchQuery('robot:AIRBOT -action:pour scene:"living room"');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(ast, {
+        type: 'and',
+        children: [
+            { type: 'field', field: 'robot', value: 'airbot' },
+            { type: 'not', child: { type: 'field', field: 'action', value: 'pour' } },
+            { type: 'field', field: 'scene', value: 'living room' }
+        ]
+    });
+    assert.deepEqual(parseSearchQuery('NOT action:pour').ast, parseSearchQuery('-action:pour').ast);
+});
+
+test('numeric comparisons accept units', () => {
+    const { ast } = parseSearchQuery('episodes>500 frames>=10k size<5GB');
+    assert.deepEqual(ast.children, [
+        { type: 'compare', field: 'episodes', op: '>', number: 500 },
+        { type: 'compare', field: 'frames', op: '>=', number: 10000 },
+        { type: 'compare', field: 'size', op: '<', number: 5 * 1024 ** 3 }
+    ]);
+});
+
+test('parenthesized OR groups are ANDed with the other terms', () => {
+    const { ast } = parseSearchQuery('(a | b) c');
+    assert.equal(ast.type, 'and');
+    assert.deepEqual(ast.children[0], {
+        type: 'or',
+        children: [
+            { type: 'text', value: 'a', phrase: false },
+            { type: 'text', value: 'b', phrase: false }
+        ]
+    });
+    assert.equal(parseSearchQuery('a OR b').ast.type, 'or');
+});
+
+test('errors are reported and the valid part is kept', () => {
+    const unknown = parseSearchQuery('foo:bar towel');
+    assert.equal(unknown.errors.length, 1);
+    assert.match(unknown.errors[0].message, /Unknown field/);
+    assert.deepEqual(unknown.ast, { type: 'text', value: 'towel', phrase: false });
+
+    const unclosed = parseSearchQuery('(a b');
+    assert.deepEqual(unclosed.errors.map(error => error.message), ['Missing closing parenthesis']);
+    assert.equal(unclosed.ast.children.length, 2);
+
+    const dangling = parseSearchQuery('a OR');
+    assert.deepEqual(dangling.errors.map(error => [error.start, error.end]), [[2, 4]]);
+    assert.deepEqual(dangling.ast, { type: 'text', value: 'a', phrase: false });
+});
+
+test('splitSearchTerms keeps negations and groups together', () => {
+    assert.deepEqual(splitSearchTerms('towel -action:pour (a | b)').map(term => term.text), ['towel', '-action:pour', '(a | b)']);
+    assert.equal(splitSearchTerms('a OR b').length, 1);
+});
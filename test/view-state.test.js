@@ -0,0 +1,56 @@
+/**
+ * @file View State Tests
+ * @description URL hash encoding of the view (docs/js/modules/view-state.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createViewState, encodeViewState, decodeViewState, hasViewState } from '../docs/js/modules/view-state.js';
+
+test('a full view state survives a round trip', () => {
+    const state = {
+        ...createViewState(),
+        filters: ['robot:R1_Lite', 'object:kitchenware>cup', 'scene:living room'],
+        exclude: ['scene:kitchen'],
+        modes: { action: 'all', scene: 'any' },
+        ranges: { episodes: { min: 50, max: 500 }, size: { min: null, max: 5e9 } },
+        search: 'fold "towel" -action:pour & more',
+        sort: { key: 'size', direction: 'desc', secondary: 'name' },
+        groupBy: 'robot',
+        hub: 'modelscope',
+        detail: 'AIRBOT_MMK2_cup_storage',
+        cart: 'zabc-_123'
+    };
+
+    const decoded = decodeViewState(`#${encodeViewState(state)}`);
+    assert.deepEqual(decoded, {
+        ...state,
+        filters: [...state.filters].sort(),
+        modes: { action: 'all' }
+    });
+});
+
+test('equal states give equal hashes and the defaults give none', () => {
+    const a = { ...createViewState(), filters: ['scene:office', 'robot:R1'] };
+    const b = { ...createViewState(), filters: ['robot:R1', 'scene:office'] };
+    assert.equal(encodeViewState(a), encodeViewState(b));
+    assert.equal(encodeViewState(createViewState()), '');
+});
+
+test('filter values keep `:` and `,` readable', () => {
+    const hash = encodeViewState({ ...createViewState(), filters: ['object:a:b,c'] });
+    assert.equal(hash, 'f=object:a:b,c');
+    assert.deepEqual(decodeViewState(hash).filters, ['object:a:b,c']);
+});
+
+test('foreign or invalid parameters fall back to the defaults', () => {
+    assert.equal(hasViewState('#section-2'), false);
+    assert.equal(hasViewState('#f=robot:R1'), true);
+
+    const state = decodeViewState('#hub=elsewhere&sort=unknown&group=nothing&r=episodes:abc..10&r=bogus');
+    assert.equal(state.hub, 'huggingface');
+    assert.equal(state.sort, null);
+    assert.equal(state.groupBy, null);
+    assert.deepEqual(state.ranges, { episodes: { min: null, max: 10 } });
+});